@@ -0,0 +1,42 @@
+/**
+ * 기본 알림 규칙
+ * 대시보드의 경고 표시 기준(디스크 75%/90% 등)과 맞춘 값입니다.
+ */
+
+module.exports = [
+    {
+        id: 'cpu-high',
+        name: 'CPU 사용률 높음',
+        expr: 'cpu.usage > 90 for 2m',
+        severity: 'warning',
+        cooldown: '10m'
+    },
+    {
+        id: 'memory-high',
+        name: '메모리 사용률 높음',
+        expr: 'memory.usagePercent > 90 for 2m',
+        severity: 'warning',
+        cooldown: '10m'
+    },
+    {
+        id: 'disk-warning',
+        name: '디스크 사용률 경고',
+        expr: 'disk[*].usagePercent >= 75',
+        severity: 'warning',
+        cooldown: '30m'
+    },
+    {
+        id: 'disk-critical',
+        name: '디스크 사용률 위험',
+        expr: 'disk[*].usagePercent >= 90',
+        severity: 'critical',
+        cooldown: '30m'
+    },
+    {
+        id: 'gpu-temp-high',
+        name: 'GPU 온도 높음',
+        expr: 'gpu.temperature > 85 for 1m',
+        severity: 'critical',
+        cooldown: '10m'
+    }
+];
@@ -0,0 +1,150 @@
+/**
+ * 임계값 알림 엔진
+ * 샘플마다 규칙을 평가하여 조건이 지속 시간(for) 이상 유지되면 'fired',
+ * 조건이 해소되면 'resolved' 이벤트를 발생시킵니다.
+ * 같은 규칙/메트릭은 cooldown 동안 다시 발생하지 않습니다.
+ * 무음(silence) 중인 규칙의 알림은 silenced 표시와 함께 발생합니다 (채널 전송 생략).
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { normalizeRules, describeRule } = require('./rules');
+
+/**
+ * 알림 엔진 생성
+ * @param {Object} [options]
+ * @param {Object[]} [options.rules] 규칙 정의 목록
+ * @param {Function} [options.isSilenced] (ruleId, now) => 규칙 무음 여부
+ */
+function createAlertEngine(options = {}) {
+    const emitter = new EventEmitter();
+    const isSilenced = options.isSilenced || (() => false);
+
+    let rules = normalizeRules(options.rules || []);
+    // 규칙/메트릭 조합별 상태 { pendingSince, alert, lastFiredAt }
+    const instances = new Map();
+
+    function instanceFor(rule, metric) {
+        const key = `${rule.id}|${metric}`;
+        if (!instances.has(key)) {
+            instances.set(key, { rule, metric, pendingSince: null, alert: null, lastFiredAt: null });
+        }
+        return instances.get(key);
+    }
+
+    function fire(instance, value, now) {
+        const { rule, metric } = instance;
+        instance.lastFiredAt = now;
+        instance.alert = {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            name: rule.name,
+            metric,
+            severity: rule.severity,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            value,
+            lastValue: value,
+            state: 'firing',
+            silenced: Boolean(isSilenced(rule.id, now)),
+            startedAt: instance.pendingSince,
+            firedAt: now,
+            resolvedAt: null
+        };
+        emitter.emit('fired', { ...instance.alert });
+    }
+
+    function resolve(instance, value, now) {
+        const alert = instance.alert;
+        instance.alert = null;
+
+        alert.state = 'resolved';
+        alert.resolvedAt = now;
+        if (value !== undefined) alert.lastValue = value;
+        emitter.emit('resolved', { ...alert });
+    }
+
+    /**
+     * 샘플 평가
+     * @param {number} now 샘플 시각 (ms)
+     * @param {Object} values { 'cpu.usage': 12.3, ... }
+     */
+    function evaluate(now, values) {
+        const seen = new Set();
+
+        rules.filter(rule => rule.enabled).forEach(rule => {
+            Object.keys(values).filter(rule.matches).forEach(metric => {
+                const instance = instanceFor(rule, metric);
+                const value = values[metric];
+                seen.add(instance);
+
+                if (!rule.test(value)) {
+                    instance.pendingSince = null;
+                    if (instance.alert) resolve(instance, value, now);
+                    return;
+                }
+
+                if (instance.pendingSince === null) {
+                    instance.pendingSince = now;
+                }
+
+                if (instance.alert) {
+                    instance.alert.lastValue = value;
+                    return;
+                }
+
+                const sustained = now - instance.pendingSince >= rule.for;
+                const cooledDown = instance.lastFiredAt === null || now - instance.lastFiredAt >= rule.cooldown;
+                if (sustained && cooledDown) {
+                    fire(instance, value, now);
+                }
+            });
+        });
+
+        // 메트릭이 사라진 경우 (파티션 해제 등) 진행 중인 알림 해소
+        instances.forEach(instance => {
+            if (seen.has(instance)) return;
+            instance.pendingSince = null;
+            if (instance.alert) resolve(instance, undefined, now);
+        });
+    }
+
+    // 현재 발생 중인 알림 목록
+    function getActive() {
+        return Array.from(instances.values())
+            .filter(instance => instance.alert)
+            .map(instance => ({ ...instance.alert }));
+    }
+
+    function getRules() {
+        return rules.map(describeRule);
+    }
+
+    // 규칙 교체 (제거된 규칙의 진행 중인 알림은 해소)
+    function setRules(definitions) {
+        const next = normalizeRules(definitions);
+        const ids = new Set(next.map(rule => rule.id));
+        const now = Date.now();
+
+        instances.forEach((instance, key) => {
+            if (ids.has(instance.rule.id)) {
+                instance.rule = next.find(rule => rule.id === instance.rule.id);
+                return;
+            }
+            if (instance.alert) resolve(instance, undefined, now);
+            instances.delete(key);
+        });
+        rules = next;
+    }
+
+    return {
+        evaluate,
+        getActive,
+        getRules,
+        setRules,
+        on: emitter.on.bind(emitter),
+        off: emitter.off.bind(emitter)
+    };
+}
+
+module.exports = { createAlertEngine };
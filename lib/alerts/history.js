@@ -0,0 +1,180 @@
+/**
+ * 알림 기록 및 운영 상태 저장소
+ * 발생/해소된 알림 기록, 확인(acknowledge) 정보, 규칙 무음(silence) 설정을
+ * JSON 파일에 보관하여 서버를 재시작해도 유지합니다.
+ * 확인/무음 상태가 바뀌면 'acknowledged', 'silences' 이벤트를 발생시킵니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_LIMIT = 500;
+const SAVE_DELAY = 1000;
+
+/**
+ * 알림 기록 저장소 생성
+ * @param {Object} options
+ * @param {string} options.file 저장 파일 경로
+ * @param {number} [options.limit=500] 보관할 최대 알림 수 (오래된 것부터 삭제)
+ */
+function createAlertHistory(options) {
+    const file = options.file;
+    const limit = options.limit || DEFAULT_LIMIT;
+    const emitter = new EventEmitter();
+
+    let alerts = [];
+    let silences = [];
+    let saveTimer = null;
+
+    // 저장된 상태 로드 (재시작 전 발생 중이던 알림은 해소 처리)
+    if (fs.existsSync(file)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const now = Date.now();
+            alerts = (saved.alerts || []).map(alert => (
+                alert.state === 'firing'
+                    ? { ...alert, state: 'resolved', resolvedAt: now, interrupted: true }
+                    : alert
+            ));
+            silences = saved.silences || [];
+        } catch (error) {
+            console.error(`알림 기록 파일 ${file}을 읽을 수 없습니다:`, error.message);
+        }
+    }
+
+    function save() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            flush().catch(error => console.error('알림 기록 저장 오류:', error));
+        }, SAVE_DELAY);
+        saveTimer.unref();
+    }
+
+    // 임시 파일에 기록한 뒤 교체하여 저장 중 손상 방지
+    async function flush() {
+        const tmp = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify({ alerts, silences }, null, 2));
+        await fs.promises.rename(tmp, file);
+    }
+
+    function find(id) {
+        return alerts.find(alert => alert.id === id) || null;
+    }
+
+    /**
+     * 알림 발생/해소 기록 (같은 id면 갱신)
+     * @param {Object} alert 알림 엔진이 전달한 알림
+     */
+    function record(alert) {
+        const existing = find(alert.id);
+        if (existing) {
+            Object.assign(existing, alert, { acknowledged: existing.acknowledged });
+        } else {
+            alerts.push({ ...alert, acknowledged: null });
+            if (alerts.length > limit) {
+                alerts = alerts.slice(alerts.length - limit);
+            }
+        }
+        save();
+        return { ...find(alert.id) };
+    }
+
+    /**
+     * 알림 확인 처리
+     * @returns {Object|null} 갱신된 알림 (없으면 null)
+     */
+    function acknowledge(id, by) {
+        const alert = find(id);
+        if (!alert) return null;
+
+        alert.acknowledged = { by, at: Date.now() };
+        save();
+        emitter.emit('acknowledged', { ...alert });
+        return { ...alert };
+    }
+
+    /**
+     * 알림 목록 (최신순)
+     * @param {Object} [filter]
+     * @param {string} [filter.state] firing | resolved
+     * @param {number} [filter.limit]
+     */
+    function list(filter = {}) {
+        return alerts
+            .filter(alert => !filter.state || alert.state === filter.state)
+            .slice()
+            .reverse()
+            .slice(0, filter.limit || alerts.length)
+            .map(alert => ({ ...alert }));
+    }
+
+    /**
+     * 규칙 무음 설정
+     * @param {Object} params
+     * @param {string} params.ruleId
+     * @param {number} params.duration 무음 기간 (ms)
+     * @param {string} params.by 설정한 사용자
+     * @param {string} [params.reason]
+     */
+    function silence({ ruleId, duration, by, reason }) {
+        const now = Date.now();
+        const entry = {
+            id: crypto.randomUUID(),
+            ruleId,
+            by,
+            reason: reason || '',
+            createdAt: now,
+            until: now + duration
+        };
+        silences.push(entry);
+        save();
+        emitter.emit('silences', activeSilences(now));
+        return { ...entry };
+    }
+
+    function unsilence(id) {
+        const before = silences.length;
+        silences = silences.filter(entry => entry.id !== id);
+        if (silences.length === before) return false;
+        save();
+        emitter.emit('silences', activeSilences());
+        return true;
+    }
+
+    // 만료되지 않은 무음 설정 (만료된 항목은 정리)
+    function activeSilences(now = Date.now()) {
+        const active = silences.filter(entry => entry.until > now);
+        if (active.length !== silences.length) {
+            silences = active;
+            save();
+        }
+        return active.map(entry => ({ ...entry }));
+    }
+
+    function isSilenced(ruleId, now = Date.now()) {
+        return silences.some(entry => entry.ruleId === ruleId && entry.until > now);
+    }
+
+    return {
+        record,
+        acknowledge,
+        list,
+        find: id => {
+            const alert = find(id);
+            return alert ? { ...alert } : null;
+        },
+        silence,
+        unsilence,
+        activeSilences,
+        isSilenced,
+        flush,
+        on: emitter.on.bind(emitter),
+        off: emitter.off.bind(emitter)
+    };
+}
+
+module.exports = { createAlertHistory };
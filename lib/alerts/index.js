@@ -0,0 +1,40 @@
+/**
+ * System Resource Monitor - 알림
+ * 임계값 규칙 엔진, 규칙 로딩, 알림 기록/확인/무음 상태 저장소
+ */
+
+const fs = require('fs');
+const { createAlertEngine } = require('./engine');
+const { createAlertHistory } = require('./history');
+const { normalizeRules, SEVERITIES } = require('./rules');
+const defaultRules = require('./defaults');
+
+/**
+ * 규칙 파일 로드 (JSON 배열). 파일이 없으면 기본 규칙을 사용합니다.
+ * @param {string} [file]
+ * @returns {Object[]} 규칙 정의 목록
+ */
+function loadRules(file) {
+    if (!file || !fs.existsSync(file)) {
+        return defaultRules;
+    }
+
+    let definitions;
+    try {
+        definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`알림 규칙 파일 ${file}을 읽을 수 없습니다: ${error.message}`);
+    }
+
+    // 검증만 수행하고 원본 정의를 반환
+    normalizeRules(definitions);
+    return definitions;
+}
+
+module.exports = {
+    createAlertEngine,
+    createAlertHistory,
+    loadRules,
+    defaultRules,
+    SEVERITIES
+};
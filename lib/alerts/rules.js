@@ -0,0 +1,140 @@
+/**
+ * 알림 규칙 정의 및 검증
+ *
+ * 규칙은 조건식 문자열(expr) 또는 개별 필드로 정의합니다.
+ *   { id: 'cpu-high', expr: 'cpu.usage > 90 for 2m', severity: 'critical', cooldown: '10m' }
+ *   { id: 'disk-full', metric: 'disk[*].usagePercent', operator: '>', threshold: 95 }
+ *
+ * 메트릭 이름은 히스토리와 같습니다 (lib/history/metrics.js).
+ * 파티션처럼 여러 개인 항목은 "disk[/home].usagePercent"로 지정하거나
+ * "disk[*].usagePercent"로 모든 항목에 적용할 수 있으며, 항목마다 따로 알림이 발생합니다.
+ */
+
+const { parseDuration } = require('../duration');
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const EXPR_PATTERN = /^\s*(\S+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*(?:for\s+(\S+))?\s*$/;
+
+// 와일드카드(*)를 포함한 메트릭 이름을 정규식으로 변환
+function metricMatcher(pattern) {
+    if (!pattern.includes('*')) {
+        return name => name === pattern;
+    }
+    const escaped = pattern
+        .split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return name => regex.test(name);
+}
+
+/**
+ * 규칙 정의를 검증하고 평가 가능한 형태로 변환
+ * @param {Object} definition
+ * @returns {Object} 정규화된 규칙
+ */
+function normalizeRule(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('알림 규칙은 객체여야 합니다.');
+    }
+
+    const { id } = definition;
+    if (!id || typeof id !== 'string') {
+        throw new Error('알림 규칙에 id가 필요합니다.');
+    }
+
+    let { metric, operator, threshold } = definition;
+    let duration = definition.for;
+
+    if (definition.expr) {
+        const match = EXPR_PATTERN.exec(definition.expr);
+        if (!match) {
+            throw new Error(`알림 규칙 "${id}": 조건식 "${definition.expr}"을 해석할 수 없습니다. (예: "cpu.usage > 90 for 2m")`);
+        }
+        [, metric, operator, threshold, duration] = match;
+        threshold = Number(threshold);
+    }
+
+    if (!metric || typeof metric !== 'string') {
+        throw new Error(`알림 규칙 "${id}": metric이 필요합니다.`);
+    }
+    if (!OPERATORS[operator]) {
+        throw new Error(`알림 규칙 "${id}": operator는 ${Object.keys(OPERATORS).join(', ')} 중 하나여야 합니다.`);
+    }
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+        throw new Error(`알림 규칙 "${id}": threshold는 숫자여야 합니다.`);
+    }
+
+    const forMs = duration === undefined ? 0 : parseDuration(duration);
+    if (Number.isNaN(forMs)) {
+        throw new Error(`알림 규칙 "${id}": 지속 시간 "${duration}" 형식이 올바르지 않습니다. (예: 30s, 2m)`);
+    }
+
+    const cooldown = definition.cooldown === undefined ? 0 : parseDuration(definition.cooldown);
+    if (Number.isNaN(cooldown)) {
+        throw new Error(`알림 규칙 "${id}": cooldown "${definition.cooldown}" 형식이 올바르지 않습니다. (예: 5m)`);
+    }
+
+    const severity = definition.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`알림 규칙 "${id}": severity는 ${SEVERITIES.join(', ')} 중 하나여야 합니다.`);
+    }
+
+    return {
+        id,
+        name: definition.name || id,
+        metric,
+        operator,
+        threshold,
+        for: forMs,
+        cooldown,
+        severity,
+        enabled: definition.enabled !== false,
+        matches: metricMatcher(metric),
+        test: value => OPERATORS[operator](value, threshold)
+    };
+}
+
+/**
+ * 규칙 목록 검증 (id 중복 확인 포함)
+ * @param {Object[]} definitions
+ */
+function normalizeRules(definitions) {
+    if (!Array.isArray(definitions)) {
+        throw new Error('알림 규칙 목록은 배열이어야 합니다.');
+    }
+
+    const ids = new Set();
+    return definitions.map(definition => {
+        const rule = normalizeRule(definition);
+        if (ids.has(rule.id)) {
+            throw new Error(`알림 규칙 "${rule.id}"이(가) 중복되었습니다.`);
+        }
+        ids.add(rule.id);
+        return rule;
+    });
+}
+
+// 외부 노출용 규칙 정보 (함수 제외)
+function describeRule(rule) {
+    const { matches, test, ...info } = rule;
+    return info;
+}
+
+module.exports = {
+    normalizeRule,
+    normalizeRules,
+    describeRule,
+    OPERATORS,
+    SEVERITIES
+};
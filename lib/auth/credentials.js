@@ -0,0 +1,55 @@
+/**
+ * 비밀번호 및 API 토큰 해시
+ * 비밀번호는 scrypt(솔트 포함), API 토큰은 SHA-256으로 저장하고
+ * 비교는 항상 상수 시간(timingSafeEqual)으로 수행합니다.
+ *
+ * 저장 형식
+ *   비밀번호: scrypt$<솔트 hex>$<해시 hex>
+ *   토큰:     sha256$<해시 hex>
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const TOKEN_BYTES = 32;
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return safeEqual(actual, expected);
+}
+
+// 새 API 토큰 (발급 시 한 번만 보여주고 해시만 저장)
+function generateToken() {
+    return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function hashToken(token) {
+    return `sha256$${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+function verifyToken(token, stored) {
+    return safeEqual(Buffer.from(hashToken(token)), Buffer.from(String(stored)));
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    generateToken,
+    hashToken,
+    verifyToken
+};
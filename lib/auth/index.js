@@ -0,0 +1,286 @@
+/**
+ * System Resource Monitor - 인증 및 권한
+ * 로컬 사용자 파일(해시된 비밀번호)과 Bearer API 토큰을 지원합니다.
+ * 설정 파일이 없으면 인증 없이 모든 요청을 관리자 권한으로 처리합니다 (기존 동작).
+ *
+ * 역할
+ *   viewer  조회 전용 (대시보드, 조회 API, Socket.IO 구독)
+ *   admin   조회 + 변경 작업 (알림 확인/무음, 알림 채널 테스트 등)
+ *
+ * 프로세스 종료 같은 위험한 작업은 인증을 사용할 때의 관리자(사용자 또는 토큰)만 허용하며,
+ * 인증을 사용하지 않을 때의 익명 사용자는 관리자 역할이어도 거부합니다.
+ *
+ * 브라우저는 로그인 후 발급되는 세션 쿠키로, 스크립트와 Prometheus는
+ * "Authorization: Bearer <토큰>" 헤더로 인증합니다.
+ * Socket.IO 핸드셰이크도 같은 쿠키 또는 auth.token으로 인증합니다.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const credentials = require('./credentials');
+
+const ROLES = ['viewer', 'admin'];
+const ROLE_LEVELS = { viewer: 1, admin: 2 };
+
+const SESSION_COOKIE = 'sysmon_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+// 로그인 실패 제한 (IP + 사용자명 기준)
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW = 15 * 60 * 1000;
+
+// 인증을 사용하지 않을 때의 사용자
+const ANONYMOUS = { name: 'anonymous', role: 'admin', type: 'anonymous' };
+
+/**
+ * 인증 설정 파일 로드. 파일이 없으면 null (인증 사용 안 함)
+ * @param {string} [file]
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] 파일이 없으면 오류 (직접 지정한 파일)
+ * @returns {{users: Object[], tokens: Object[]}|null}
+ */
+function loadAuthConfig(file, { required = false } = {}) {
+    if (!file) {
+        return null;
+    }
+    if (!fs.existsSync(file)) {
+        // 지정한 파일이 없을 때 조용히 인증 없이(익명 관리자) 실행하지 않도록 거부
+        if (required) {
+            throw new Error(`인증 설정 파일 ${file}이 없습니다.`);
+        }
+        return null;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`인증 설정 파일 ${file}을 읽을 수 없습니다: ${error.message}`);
+    }
+
+    const users = config.users || [];
+    const tokens = config.tokens || [];
+    if (!Array.isArray(users) || !Array.isArray(tokens)) {
+        throw new Error(`인증 설정 파일 ${file}: users와 tokens는 배열이어야 합니다.`);
+    }
+
+    users.forEach((user, i) => {
+        if (!user.username || !String(user.password).startsWith('scrypt$')) {
+            throw new Error(`인증 설정 파일 ${file}: users[${i}]에 username과 해시된 password가 필요합니다.`);
+        }
+        if (!ROLES.includes(user.role)) {
+            throw new Error(`인증 설정 파일 ${file}: users[${i}]의 role은 ${ROLES.join(', ')} 중 하나여야 합니다.`);
+        }
+    });
+
+    tokens.forEach((token, i) => {
+        if (!token.name || !String(token.token).startsWith('sha256$')) {
+            throw new Error(`인증 설정 파일 ${file}: tokens[${i}]에 name과 해시된 token이 필요합니다.`);
+        }
+        if (!ROLES.includes(token.role)) {
+            throw new Error(`인증 설정 파일 ${file}: tokens[${i}]의 role은 ${ROLES.join(', ')} 중 하나여야 합니다.`);
+        }
+    });
+
+    return { users, tokens };
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index < 0) return;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (error) {
+            // 잘못 인코딩된 쿠키는 무시
+        }
+    });
+    return cookies;
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLE_LEVELS[user.role] >= ROLE_LEVELS[role];
+}
+
+/**
+ * 인증기 생성
+ * @param {Object|null} config loadAuthConfig() 결과 (null이면 인증 사용 안 함)
+ * @param {Object} [options]
+ * @param {number} [options.sessionTtl] 세션 유효 기간 (ms)
+ */
+function createAuth(config, options = {}) {
+    const enabled = Boolean(config);
+    const users = enabled ? config.users : [];
+    const tokens = enabled ? config.tokens : [];
+    const sessionTtl = options.sessionTtl || SESSION_TTL;
+
+    // 세션 id → { user, expiresAt } (서버 재시작 시 다시 로그인)
+    const sessions = new Map();
+    const failures = new Map();
+
+    function sessionUser(id) {
+        const session = id && sessions.get(id);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            sessions.delete(id);
+            return null;
+        }
+        return session.user;
+    }
+
+    function tokenUser(value) {
+        const match = tokens.find(entry => credentials.verifyToken(value, entry.token));
+        return match ? { name: match.name, role: match.role, type: 'token' } : null;
+    }
+
+    /**
+     * 요청 헤더로 사용자 확인
+     * @param {Object} headers HTTP 요청 헤더
+     * @param {string} [token] Socket.IO auth.token 등 헤더 외로 전달된 토큰
+     * @returns {Object|null} { name, role, type }
+     */
+    function authenticate(headers, token) {
+        if (!enabled) return ANONYMOUS;
+
+        const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+        if (bearer) return tokenUser(bearer[1]);
+        if (token) return tokenUser(token);
+
+        return sessionUser(parseCookies(headers.cookie)[SESSION_COOKIE]);
+    }
+
+    /**
+     * 사용자명/비밀번호 로그인
+     * @param {string} username
+     * @param {string} password
+     * @param {string} client 실패 횟수 제한 기준 (IP 등)
+     * @returns {{session?: string, user?: Object, error?: string, status?: number}}
+     */
+    function login(username, password, client) {
+        const key = `${client}|${username}`;
+        const now = Date.now();
+        prune(now);
+
+        const failure = failures.get(key);
+
+        if (failure && now - failure.first < FAILURE_WINDOW && failure.count >= MAX_FAILURES) {
+            return { status: 429, error: '로그인 시도가 너무 많습니다. 잠시 후 다시 시도하세요.' };
+        }
+
+        const entry = users.find(user => user.username === username);
+        if (!entry || !credentials.verifyPassword(password, entry.password)) {
+            if (!failure || now - failure.first >= FAILURE_WINDOW) {
+                failures.set(key, { count: 1, first: now });
+            } else {
+                failure.count += 1;
+            }
+            return { status: 401, error: '사용자명 또는 비밀번호가 올바르지 않습니다.' };
+        }
+
+        failures.delete(key);
+        const user = { name: entry.username, role: entry.role, type: 'user' };
+        const session = crypto.randomBytes(32).toString('base64url');
+        sessions.set(session, { user, expiresAt: now + sessionTtl });
+        return { session, user };
+    }
+
+    function logout(headers) {
+        sessions.delete(parseCookies(headers.cookie)[SESSION_COOKIE]);
+    }
+
+    // 세션 쿠키 헤더 값 (HTTPS 요청이면 Secure 추가)
+    function sessionCookie(session, secure) {
+        const maxAge = session ? Math.floor(sessionTtl / 1000) : 0;
+        return [
+            `${SESSION_COOKIE}=${session || ''}`,
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Strict',
+            `Max-Age=${maxAge}`,
+            secure ? 'Secure' : null
+        ].filter(part => part).join('; ');
+    }
+
+    /**
+     * Express 인증 미들웨어
+     * 인증된 사용자는 req.user에 저장됩니다.
+     * 인증되지 않은 HTML 페이지 요청은 로그인 페이지로, 그 외(API, 정적 파일)는 401로 응답합니다.
+     * @param {Object} [params]
+     * @param {string[]} [params.publicPaths] 인증 없이 허용할 경로
+     * @param {string} [params.loginPage] 로그인 페이지 경로
+     */
+    function middleware({ publicPaths = [], loginPage = '/login.html' } = {}) {
+        return (req, res, next) => {
+            req.user = authenticate(req.headers);
+            if (req.user || publicPaths.includes(req.path)) {
+                return next();
+            }
+
+            const page = req.path === '/' || req.path.endsWith('.html');
+            if (req.method === 'GET' && page) {
+                return res.redirect(loginPage);
+            }
+            res.set('WWW-Authenticate', 'Bearer');
+            res.status(401).json({ error: '인증이 필요합니다.', code: 'unauthorized' });
+        };
+    }
+
+    /**
+     * 역할 확인 미들웨어
+     * @param {string} role 필요한 역할
+     * @param {Object} [params]
+     * @param {boolean} [params.anonymous=true] 인증을 사용하지 않을 때의 익명 사용자 허용
+     */
+    function requireRole(role, { anonymous = true } = {}) {
+        return (req, res, next) => {
+            if (!anonymous && (!req.user || req.user.type === 'anonymous')) {
+                return res.status(403).json({ error: '이 작업은 인증을 사용할 때 관리자만 수행할 수 있습니다. (authFile)', code: 'forbidden' });
+            }
+            if (hasRole(req.user, role)) return next();
+            res.status(403).json({ error: '이 작업을 수행할 권한이 없습니다.', code: 'forbidden' });
+        };
+    }
+
+    // Socket.IO 핸드셰이크 인증 (socket.data.user에 저장)
+    function socketMiddleware() {
+        return (socket, next) => {
+            const user = authenticate(socket.request.headers, socket.handshake.auth && socket.handshake.auth.token);
+            if (!user) {
+                return next(new Error('인증이 필요합니다.'));
+            }
+            socket.data.user = user;
+            next();
+        };
+    }
+
+    // 만료된 세션 정리
+    function prune(now = Date.now()) {
+        sessions.forEach((session, id) => {
+            if (session.expiresAt <= now) sessions.delete(id);
+        });
+        failures.forEach((failure, key) => {
+            if (now - failure.first >= FAILURE_WINDOW) failures.delete(key);
+        });
+    }
+
+    return {
+        enabled,
+        authenticate,
+        login,
+        logout,
+        sessionCookie,
+        middleware,
+        requireRole,
+        socketMiddleware
+    };
+}
+
+module.exports = {
+    createAuth,
+    loadAuthConfig,
+    hasRole,
+    ROLES,
+    ...credentials
+};
@@ -0,0 +1,138 @@
+/**
+ * System Resource Monitor - 시스템 정보 수집기
+ * Express 서버(server.js)와 Electron 메인 프로세스(main.js)가 함께 사용하는 공용 모듈
+ *
+ * 프로바이더별 주기(interval)에 따라 단계적으로 수집합니다.
+ * 정적 인벤토리는 최초 한 번만 수집하고, collectDue()는 이번 틱에 갱신된 항목만 반환합니다.
+ */
+
+const defaultProviders = require('./providers');
+const { createSampler } = require('./sampler');
+
+// 타이머 오차로 인해 주기가 한 틱씩 밀리지 않도록 허용하는 여유 시간 (ms)
+const TICK_SLACK = 50;
+
+// 인벤토리와 동적 정보 병합 (어느 한쪽이 null이면 해당 섹션은 없음)
+function mergeSection(inventory, dynamic) {
+    if (inventory === undefined) return dynamic;
+    if (inventory === null || dynamic === null) return null;
+    return { ...inventory, ...dynamic };
+}
+
+/**
+ * 수집기 생성
+ * @param {Object} [options]
+ * @param {Object} [options.si] systeminformation 모듈 (테스트 시 목 객체 주입)
+ * @param {Object} [options.fs] /proc, /sys를 읽는 fs.promises 호환 객체 (diskio, 테스트 시 목 객체 주입)
+ * @param {Array} [options.providers] 사용할 프로바이더 목록
+ * @param {Object} [options.intervals] 프로바이더별 수집 주기 재정의 ({ processes: 5000 })
+ * @param {number} [options.topProcesses] 상위 프로세스 개수
+ * @param {string} [options.networkInterface] 대표 네트워크 인터페이스 (all이면 전체 합계)
+ */
+function createCollector(options = {}) {
+    const si = options.si || require('systeminformation');
+    const providers = options.providers || defaultProviders;
+    const intervals = options.intervals || {};
+
+    let inventory = null;
+    let inventoryPromise = null;
+    const snapshot = {};
+    const lastRun = {};
+    // 프로바이더별 상태 (같은 프로세스의 다른 수집기와 공유하지 않음)
+    const states = {};
+
+    function intervalOf(provider) {
+        return intervals[provider.name] || provider.interval || 0;
+    }
+
+    // 정적 인벤토리 수집 (최초 한 번, 동시 호출 시 같은 작업을 공유)
+    function collectInventory() {
+        if (!inventoryPromise) {
+            inventoryPromise = loadInventory().catch((error) => {
+                inventoryPromise = null;
+                throw error;
+            });
+        }
+        return inventoryPromise;
+    }
+
+    async function loadInventory() {
+        const withInventory = providers.filter(p => typeof p.inventory === 'function');
+        const results = await Promise.all(
+            withInventory.map(provider => provider.inventory(si, options))
+        );
+
+        inventory = {};
+        withInventory.forEach((provider, i) => {
+            inventory[provider.name] = results[i];
+            snapshot[provider.name] = results[i];
+        });
+        return inventory;
+    }
+
+    // 지정한 프로바이더들의 동적 정보를 수집하여 스냅샷에 반영하고 변경분을 반환
+    async function run(selected, now) {
+        await collectInventory();
+
+        const results = await Promise.all(
+            selected.map((provider) => {
+                states[provider.name] = states[provider.name] || {};
+                return provider.collect(si, options, inventory[provider.name], states[provider.name]);
+            })
+        );
+
+        const delta = { timestamp: now };
+        snapshot.timestamp = now;
+        selected.forEach((provider, i) => {
+            lastRun[provider.name] = now;
+            delta[provider.name] = results[i];
+            snapshot[provider.name] = mergeSection(inventory[provider.name], results[i]);
+        });
+        return delta;
+    }
+
+    // 시스템 정보 수집 함수 (모든 프로바이더를 즉시 수집한 전체 스냅샷)
+    async function getSystemInfo() {
+        try {
+            await run(providers, Date.now());
+            return getSnapshot();
+        } catch (error) {
+            console.error('시스템 정보 수집 오류:', error);
+            return { error: error.message };
+        }
+    }
+
+    // 주기가 된 프로바이더만 수집하여 변경분 반환
+    async function collectDue() {
+        const now = Date.now();
+        const due = providers.filter(provider => {
+            const last = lastRun[provider.name];
+            return last === undefined || now - last + TICK_SLACK >= intervalOf(provider);
+        });
+
+        try {
+            return await run(due, now);
+        } catch (error) {
+            console.error('시스템 정보 수집 오류:', error);
+            return { error: error.message };
+        }
+    }
+
+    // 인벤토리가 병합된 현재 전체 스냅샷
+    function getSnapshot() {
+        return { ...snapshot };
+    }
+
+    return {
+        getSystemInfo,
+        collectInventory,
+        collectDue,
+        getSnapshot
+    };
+}
+
+module.exports = {
+    createCollector,
+    createSampler,
+    defaultProviders
+};
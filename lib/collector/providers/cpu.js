@@ -0,0 +1,39 @@
+/**
+ * CPU 메트릭 프로바이더
+ * 인벤토리: 제조사, 모델, 코어 수 / 주기 수집: 현재 속도, 온도, 전체 및 코어별 사용률
+ */
+
+module.exports = {
+    name: 'cpu',
+    interval: 1000,
+
+    async inventory(si) {
+        const cpu = await si.cpu();
+
+        return {
+            manufacturer: cpu.manufacturer,
+            brand: cpu.brand,
+            cores: cpu.cores,
+            physicalCores: cpu.physicalCores,
+            baseSpeed: cpu.speed
+        };
+    },
+
+    async collect(si, options, inventory) {
+        const [cpuCurrentSpeed, cpuTemperature, currentLoad] = await Promise.all([
+            si.cpuCurrentSpeed(),
+            si.cpuTemperature(),
+            si.currentLoad()
+        ]);
+
+        return {
+            speed: cpuCurrentSpeed.avg || (inventory ? inventory.baseSpeed : 0),
+            speedMin: cpuCurrentSpeed.min,
+            speedMax: cpuCurrentSpeed.max,
+            temperature: cpuTemperature.main || null,
+            temperatureMax: cpuTemperature.max || null,
+            usage: currentLoad.currentLoad,
+            coreLoads: currentLoad.cpus ? currentLoad.cpus.map(c => c.load) : []
+        };
+    }
+};
@@ -0,0 +1,40 @@
+/**
+ * 디스크 메트릭 프로바이더
+ * 인벤토리: 물리 디스크 구성 / 주기 수집: 파티션별 사용량
+ * S.M.A.R.T. 상태와 온도는 diskhealth 프로바이더가 따로 수집합니다.
+ */
+
+module.exports = {
+    name: 'disk',
+    interval: 30000,
+
+    async inventory(si) {
+        const diskLayout = await si.diskLayout();
+
+        return {
+            layout: diskLayout.map(d => ({
+                device: d.device,
+                type: d.type,
+                name: d.name,
+                size: d.size,
+                interfaceType: d.interfaceType || null
+            }))
+        };
+    },
+
+    async collect(si) {
+        const fsSize = await si.fsSize();
+
+        return {
+            partitions: fsSize.map(fs => ({
+                fs: fs.fs,
+                mount: fs.mount,
+                type: fs.type,
+                size: fs.size,
+                used: fs.used,
+                available: fs.available,
+                usagePercent: fs.use
+            }))
+        };
+    }
+};
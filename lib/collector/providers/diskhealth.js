@@ -0,0 +1,125 @@
+/**
+ * 디스크 상태(S.M.A.R.T.) 메트릭 프로바이더
+ * 물리 디스크별 자가 진단 결과, 온도, 사용 시간, 재할당/대기 섹터를 5분마다 수집
+ *
+ * 값은 si.diskLayout()이 smartctl(smartmontools)로 읽은 smartData에서 가져옵니다.
+ * smartctl이 없거나 권한이 없어(Linux는 보통 root 필요) smartData가 없으면
+ * 항목은 null, health는 unknown이며 available이 false입니다.
+ *
+ * health
+ *   ok       이상 없음 (자가 진단 통과)
+ *   warning  재할당/대기 섹터, 미디어 오류, 높은 온도, 수명 소모 등 주의 필요
+ *   critical 자가 진단 실패, NVMe 치명적 경고 또는 70°C 이상
+ *   unknown  S.M.A.R.T. 정보 없음
+ *
+ * smartStatus는 자가 진단 결과 passed | failing | unknown이며,
+ * warnings에 주의/위험 사유를 위험한 것부터 담습니다.
+ */
+
+// 디스크 온도 경고 기준 (°C)
+const TEMPERATURE_WARNING = 60;
+const TEMPERATURE_CRITICAL = 70;
+
+// NVMe 수명 사용률 경고 기준 (%)
+const WEAR_WARNING = 90;
+
+// ATA S.M.A.R.T. 속성 ID
+const ATA_REALLOCATED = 5;
+const ATA_PENDING = 197;
+const ATA_UNCORRECTABLE = 198;
+
+function ataRaw(smart, id) {
+    const table = smart.ata_smart_attributes && smart.ata_smart_attributes.table;
+    const attribute = (table || []).find(attr => attr.id === id);
+    return attribute && attribute.raw ? attribute.raw.value : null;
+}
+
+// 인자 중 첫 번째 숫자 (없으면 null)
+function toNumber(...values) {
+    const found = values.find(value => typeof value === 'number' && Number.isFinite(value));
+    return found === undefined ? null : found;
+}
+
+// smartctl JSON (ATA 속성 또는 NVMe 상태 로그) → 상태 항목
+function parseSmart(smart) {
+    const nvme = smart.nvme_smart_health_information_log || null;
+    return {
+        passed: smart.smart_status ? smart.smart_status.passed : null,
+        temperature: toNumber(smart.temperature && smart.temperature.current),
+        powerOnHours: toNumber(smart.power_on_time && smart.power_on_time.hours, nvme && nvme.power_on_hours),
+        reallocatedSectors: toNumber(ataRaw(smart, ATA_REALLOCATED)),
+        pendingSectors: toNumber(ataRaw(smart, ATA_PENDING)),
+        uncorrectableSectors: toNumber(ataRaw(smart, ATA_UNCORRECTABLE)),
+        mediaErrors: toNumber(nvme && nvme.media_errors),
+        percentageUsed: toNumber(nvme && nvme.percentage_used),
+        criticalWarning: toNumber(nvme && nvme.critical_warning),
+        protocol: smart.device ? smart.device.protocol : null
+    };
+}
+
+// 주의/위험 사유 목록과 종합 상태
+function evaluate(disk) {
+    const failures = [];
+    const warnings = [];
+
+    if (disk.smartStatus === 'failing') failures.push('S.M.A.R.T. 자가 진단 실패');
+    if (disk.criticalWarning) failures.push(`NVMe 치명적 경고 (0x${disk.criticalWarning.toString(16)})`);
+    if (disk.reallocatedSectors > 0) warnings.push(`재할당된 섹터 ${disk.reallocatedSectors}개`);
+    if (disk.pendingSectors > 0) warnings.push(`재할당 대기 섹터 ${disk.pendingSectors}개`);
+    if (disk.uncorrectableSectors > 0) warnings.push(`복구할 수 없는 섹터 ${disk.uncorrectableSectors}개`);
+    if (disk.mediaErrors > 0) warnings.push(`미디어 오류 ${disk.mediaErrors}회`);
+    if (disk.percentageUsed >= WEAR_WARNING) warnings.push(`수명 ${disk.percentageUsed}% 사용`);
+    if (disk.temperature >= TEMPERATURE_CRITICAL) {
+        failures.push(`온도 ${disk.temperature}°C (${TEMPERATURE_CRITICAL}°C 이상)`);
+    } else if (disk.temperature >= TEMPERATURE_WARNING) {
+        warnings.push(`온도 ${disk.temperature}°C (${TEMPERATURE_WARNING}°C 이상)`);
+    }
+
+    let health = 'ok';
+    if (failures.length > 0) health = 'critical';
+    else if (warnings.length > 0) health = 'warning';
+    else if (disk.smartStatus === 'unknown') health = 'unknown';
+
+    return { health, warnings: failures.concat(warnings) };
+}
+
+function toDisk(layout) {
+    const smart = layout.smartData ? parseSmart(layout.smartData) : null;
+
+    // si의 smartStatus: Ok | Predicted Failure | unknown (Windows는 smartctl 없이도 WMI 값)
+    let smartStatus = 'unknown';
+    if (layout.smartStatus === 'Ok' || (smart && smart.passed === true)) smartStatus = 'passed';
+    if (layout.smartStatus === 'Predicted Failure' || (smart && smart.passed === false)) smartStatus = 'failing';
+
+    const disk = {
+        device: layout.device,
+        name: layout.name || null,
+        interfaceType: layout.interfaceType || (smart && smart.protocol) || null,
+        smartStatus,
+        temperature: toNumber(layout.temperature, smart && smart.temperature),
+        powerOnHours: smart ? smart.powerOnHours : null,
+        reallocatedSectors: smart ? smart.reallocatedSectors : null,
+        pendingSectors: smart ? smart.pendingSectors : null,
+        uncorrectableSectors: smart ? smart.uncorrectableSectors : null,
+        mediaErrors: smart ? smart.mediaErrors : null,
+        percentageUsed: smart ? smart.percentageUsed : null,
+        criticalWarning: smart ? smart.criticalWarning : null
+    };
+    return { ...disk, ...evaluate(disk) };
+}
+
+module.exports = {
+    name: 'diskhealth',
+    interval: 300000,
+
+    async collect(si) {
+        const layout = await si.diskLayout();
+        const disks = layout.map(toDisk);
+
+        return {
+            // smartctl로 자세한 값을 읽은 디스크가 하나라도 있는지
+            available: layout.some(d => d.smartData),
+            disks
+        };
+    }
+};
@@ -0,0 +1,139 @@
+/**
+ * 디스크 I/O 메트릭 프로바이더
+ * 물리 디스크별 읽기/쓰기 속도(바이트/s), IOPS, 사용률(busy %)과 전체 합계를 수집
+ *
+ * Linux는 /proc/diskstats의 누적 카운터를 이전 수집과 비교하여 장치별로 계산합니다.
+ * /sys/block/<장치>/device가 있는 장치만 포함하므로 loop, zram, LVM(dm-), RAID(md) 장치는
+ * 제외되어 합계가 두 번 세어지지 않습니다.
+ * 그 밖의 운영체제는 si.fsStats() / si.disksIO()의 전체 합계만 수집합니다 (devices는 빈 배열, busy는 null).
+ *
+ * 이전 수집 값은 수집기의 프로바이더 상태(state.previous)에 두므로 수집기마다 따로 계산되며,
+ * 첫 수집처럼 이전 값이 없으면 속도와 사용률은 null입니다.
+ * /proc, /sys는 options.fs(기본 fs.promises)로 읽으므로 테스트에서 목 객체로 바꿀 수 있습니다.
+ */
+
+const fs = require('fs');
+
+// /proc/diskstats의 섹터는 장치와 관계없이 항상 512바이트
+const SECTOR_SIZE = 512;
+
+const RATE_FIELDS = ['readSec', 'writeSec', 'readIops', 'writeIops'];
+
+async function readPhysicalDevices(files) {
+    const names = await files.readdir('/sys/block');
+    const checks = await Promise.all(names.map(name => (
+        files.access(`/sys/block/${name}/device`).then(() => name, () => null)
+    )));
+    return checks.filter(name => name);
+}
+
+// 장치별 누적 카운터 (읽기/쓰기 완료 수, 바이트, I/O에 쓴 시간 ms)
+async function readDiskstats(files) {
+    const [content, physical] = await Promise.all([
+        files.readFile('/proc/diskstats', 'utf8'),
+        readPhysicalDevices(files)
+    ]);
+
+    const counters = {};
+    content.split('\n').forEach(line => {
+        // 주 번호, 부 번호, 장치, 읽기 완료, 병합, 읽은 섹터, 읽기 시간, 쓰기 완료, 병합, 쓴 섹터, 쓰기 시간, 진행 중, I/O 시간, ...
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 14 || !physical.includes(fields[2])) return;
+
+        counters[fields[2]] = {
+            reads: Number(fields[3]),
+            readBytes: Number(fields[5]) * SECTOR_SIZE,
+            writes: Number(fields[7]),
+            writeBytes: Number(fields[9]) * SECTOR_SIZE,
+            ioTime: Number(fields[12])
+        };
+    });
+    return counters;
+}
+
+// 초당 증가량 (카운터가 초기화되어 줄어든 경우는 null)
+function perSecond(current, last, elapsed) {
+    if (last === undefined || elapsed <= 0 || current < last) return null;
+    return (current - last) / elapsed * 1000;
+}
+
+function toDevice(device, counter, last, elapsed) {
+    const ioTime = last ? perSecond(counter.ioTime, last.ioTime, elapsed) : null;
+    return {
+        device,
+        readSec: last ? perSecond(counter.readBytes, last.readBytes, elapsed) : null,
+        writeSec: last ? perSecond(counter.writeBytes, last.writeBytes, elapsed) : null,
+        readIops: last ? perSecond(counter.reads, last.reads, elapsed) : null,
+        writeIops: last ? perSecond(counter.writes, last.writes, elapsed) : null,
+        // I/O에 쓴 시간의 비율 (1초 중 1초 = 100%)
+        busy: ioTime === null ? null : Math.min(100, ioTime / 10),
+        ...counter
+    };
+}
+
+// 장치 합계 (속도는 합, 사용률은 가장 바쁜 장치 기준)
+function sumDevices(devices) {
+    const total = {
+        readBytes: devices.reduce((sum, d) => sum + d.readBytes, 0),
+        writeBytes: devices.reduce((sum, d) => sum + d.writeBytes, 0)
+    };
+    RATE_FIELDS.forEach(field => {
+        const values = devices.map(d => d[field]).filter(value => value !== null);
+        total[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    });
+    const busy = devices.map(d => d.busy).filter(value => value !== null);
+    total.busy = busy.length > 0 ? Math.max(...busy) : null;
+    return total;
+}
+
+// state.previous: 이전 수집의 누적 카운터 { timestamp, counters: { 장치: {...} } }
+async function collectDiskstats(files, state, now) {
+    const counters = await readDiskstats(files);
+    const previous = state.previous;
+    const elapsed = previous ? now - previous.timestamp : 0;
+    const devices = Object.keys(counters).sort().map(device => (
+        toDevice(device, counters[device], previous && previous.counters[device], elapsed)
+    ));
+    state.previous = { timestamp: now, counters };
+
+    return { source: 'diskstats', ...sumDevices(devices), devices };
+}
+
+// systeminformation의 속도 값은 첫 호출에서 null 또는 음수
+function rate(value) {
+    return typeof value === 'number' && value >= 0 ? value : null;
+}
+
+async function collectTotals(si) {
+    const [fsStats, disksIO] = await Promise.all([si.fsStats(), si.disksIO()]);
+    if (!fsStats && !disksIO) return null;
+
+    return {
+        source: 'systeminformation',
+        readBytes: fsStats ? fsStats.rx : null,
+        writeBytes: fsStats ? fsStats.wx : null,
+        readSec: fsStats ? rate(fsStats.rx_sec) : null,
+        writeSec: fsStats ? rate(fsStats.wx_sec) : null,
+        readIops: disksIO ? rate(disksIO.rIO_sec) : null,
+        writeIops: disksIO ? rate(disksIO.wIO_sec) : null,
+        busy: null,
+        devices: []
+    };
+}
+
+module.exports = {
+    name: 'diskio',
+    interval: 1000,
+
+    async collect(si, options, inventory, state) {
+        // fs를 주입하면(테스트) 운영체제와 관계없이 diskstats를 읽음
+        if (options.fs || process.platform === 'linux') {
+            try {
+                return await collectDiskstats(options.fs || fs.promises, state, Date.now());
+            } catch (error) {
+                // 컨테이너 등에서 /proc, /sys를 읽을 수 없으면 전체 합계로 대체
+            }
+        }
+        return collectTotals(si);
+    }
+};
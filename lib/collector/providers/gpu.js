@@ -0,0 +1,41 @@
+/**
+ * GPU 메트릭 프로바이더
+ * 첫 번째 그래픽 컨트롤러 기준 (없으면 null)
+ * 인벤토리: 제조사, 모델, VRAM / 주기 수집: 사용률, 온도, VRAM 사용량
+ */
+
+function firstController(graphics) {
+    return graphics.controllers && graphics.controllers.length > 0
+        ? graphics.controllers[0]
+        : null;
+}
+
+module.exports = {
+    name: 'gpu',
+    // si.graphics()는 외부 명령을 실행하므로 느린 주기로 수집
+    interval: 5000,
+
+    async inventory(si) {
+        const gpuInfo = firstController(await si.graphics());
+        if (!gpuInfo) return null;
+
+        return {
+            vendor: gpuInfo.vendor,
+            model: gpuInfo.model,
+            vram: gpuInfo.vram,
+            vramDynamic: gpuInfo.vramDynamic
+        };
+    },
+
+    async collect(si) {
+        const gpuInfo = firstController(await si.graphics());
+        if (!gpuInfo) return null;
+
+        return {
+            temperature: gpuInfo.temperatureGpu || null,
+            utilizationGpu: gpuInfo.utilizationGpu || null,
+            memoryUsed: gpuInfo.memoryUsed || null,
+            memoryTotal: gpuInfo.memoryTotal || null
+        };
+    }
+};
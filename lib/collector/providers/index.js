@@ -0,0 +1,24 @@
+/**
+ * 기본 메트릭 프로바이더 목록
+ *
+ * 각 프로바이더는 다음 형태입니다.
+ *   name                              스냅샷 키
+ *   interval                          주기 수집 간격 (ms)
+ *   inventory(si, options)            (선택) 시작 시 한 번만 수집하는 정적 정보
+ *   collect(si, options, inventory, state)
+ *                                     주기적으로 수집하는 동적 정보
+ *                                     state는 수집기마다 따로 두는 프로바이더 상태 객체 (이전 수집 값 등, 스냅샷에는 포함되지 않음)
+ */
+
+module.exports = [
+    require('./cpu'),
+    require('./memory'),
+    require('./gpu'),
+    require('./disk'),
+    require('./diskio'),
+    require('./diskhealth'),
+    require('./network'),
+    require('./interfaces'),
+    require('./processes'),
+    require('./system')
+];
@@ -0,0 +1,52 @@
+/**
+ * 네트워크 인터페이스 구성 프로바이더
+ * 인터페이스별 IPv4/IPv6 주소, MAC, MTU, 링크 속도, duplex, 동작 상태, 가상/기본 경로 여부
+ *
+ * 인터페이스가 올라오거나 내려가는 것과 주소 변경을 반영하도록 인벤토리가 아닌 주기 수집으로 처리합니다.
+ * si.networkInterfaces()는 인터페이스당 주소를 하나씩만 주므로 주소 목록은 os.networkInterfaces()에서 읽습니다.
+ */
+
+const os = require('os');
+
+// family는 Node 18.0~18.3에서 숫자(4, 6)로 전달됨
+const FAMILY_NUMBERS = { IPv4: 4, IPv6: 6 };
+
+// 주소 목록 (CIDR 표기, os.networkInterfaces()에 없는 인터페이스는 si 값 사용)
+function addressesOf(entries, family, fallback) {
+    const addresses = (entries || [])
+        .filter(entry => entry.family === family || entry.family === FAMILY_NUMBERS[family])
+        .map(entry => entry.cidr || entry.address);
+    if (addresses.length === 0 && fallback) addresses.push(fallback);
+    return addresses;
+}
+
+module.exports = {
+    name: 'interfaces',
+    interval: 5000,
+
+    async collect(si) {
+        const [interfaces, defaultInterface] = await Promise.all([
+            si.networkInterfaces(),
+            si.networkInterfaceDefault()
+        ]);
+        const addresses = os.networkInterfaces();
+
+        return (Array.isArray(interfaces) ? interfaces : [interfaces]).map(iface => ({
+            interface: iface.iface,
+            name: iface.ifaceName || iface.iface,
+            type: iface.type || null,
+            operstate: iface.operstate || null,
+            ipv4: addressesOf(addresses[iface.iface], 'IPv4', iface.ip4),
+            ipv6: addressesOf(addresses[iface.iface], 'IPv6', iface.ip6),
+            mac: iface.mac || null,
+            mtu: iface.mtu || null,
+            // 링크 속도 (Mbit/s, 알 수 없으면 null)
+            speed: iface.speed > 0 ? iface.speed : null,
+            duplex: iface.duplex && iface.duplex !== 'unknown' ? iface.duplex : null,
+            dhcp: Boolean(iface.dhcp),
+            internal: Boolean(iface.internal),
+            virtual: Boolean(iface.virtual) || iface.type === 'virtual',
+            default: Boolean(iface.default) || iface.iface === defaultInterface
+        }));
+    }
+};
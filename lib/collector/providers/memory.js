@@ -0,0 +1,24 @@
+/**
+ * 메모리 메트릭 프로바이더
+ * 물리 메모리 및 Swap 사용량
+ */
+
+module.exports = {
+    name: 'memory',
+    interval: 1000,
+
+    async collect(si) {
+        const mem = await si.mem();
+
+        return {
+            total: mem.total,
+            used: mem.used,
+            free: mem.free,
+            active: mem.active,
+            available: mem.available,
+            usagePercent: (mem.used / mem.total) * 100,
+            swapTotal: mem.swaptotal,
+            swapUsed: mem.swapused
+        };
+    }
+};
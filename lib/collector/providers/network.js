@@ -0,0 +1,80 @@
+/**
+ * 네트워크 메트릭 프로바이더
+ * 모든 인터페이스의 송수신 통계(interfaces), 루프백을 제외한 합계(total),
+ * 대표 인터페이스의 통계(최상위 필드)를 함께 수집
+ *
+ * 대표 인터페이스
+ *   options.networkInterface로 고정한 인터페이스 (all이면 합계)
+ *   고정하지 않았거나 고정한 인터페이스가 없으면 기본 경로 인터페이스,
+ *   그것도 없으면 동작 중(up)인 첫 번째 인터페이스
+ *   트래픽 유무로 고르지 않으므로 여러 인터페이스가 있어도 대표가 바뀌지 않음
+ */
+
+// 합계의 인터페이스 이름 (options.networkInterface로 합계를 대표로 고정할 때도 사용)
+const ALL_INTERFACES = 'all';
+
+const LOOPBACK_PATTERN = /^(lo\d*|loopback.*)$/i;
+
+const SUM_FIELDS = ['rxBytes', 'txBytes', 'rxSec', 'txSec', 'rxDropped', 'txDropped', 'rxErrors', 'txErrors'];
+
+function toStats(stats) {
+    return {
+        interface: stats.iface,
+        operstate: stats.operstate,
+        rxBytes: stats.rx_bytes,
+        txBytes: stats.tx_bytes,
+        rxSec: stats.rx_sec,
+        txSec: stats.tx_sec,
+        rxDropped: stats.rx_dropped,
+        txDropped: stats.tx_dropped,
+        rxErrors: stats.rx_errors,
+        txErrors: stats.tx_errors
+    };
+}
+
+// 루프백을 제외한 인터페이스 합계 (첫 수집처럼 속도를 모르는 값은 0으로 계산)
+function sumStats(interfaces) {
+    const targets = interfaces.filter(iface => !LOOPBACK_PATTERN.test(iface.interface));
+    const total = {
+        interface: ALL_INTERFACES,
+        operstate: targets.some(iface => iface.operstate === 'up') ? 'up' : 'down',
+        count: targets.length
+    };
+    SUM_FIELDS.forEach(field => {
+        total[field] = targets.reduce((sum, iface) => sum + (iface[field] > 0 ? iface[field] : 0), 0);
+    });
+    return total;
+}
+
+module.exports = {
+    name: 'network',
+    interval: 1000,
+
+    async collect(si, options = {}) {
+        const [networkStats, defaultInterface] = await Promise.all([
+            si.networkStats('*'),
+            si.networkInterfaceDefault()
+        ]);
+
+        if (!networkStats || networkStats.length === 0) return null;
+
+        const interfaces = networkStats.map(toStats);
+        const total = sumStats(interfaces);
+        const pinned = options.networkInterface || null;
+
+        const active = (pinned === ALL_INTERFACES ? total : null)
+            || interfaces.find(n => n.interface === pinned)
+            || interfaces.find(n => n.interface === defaultInterface)
+            || interfaces.find(n => n.operstate === 'up' && !LOOPBACK_PATTERN.test(n.interface))
+            || interfaces[0];
+
+        return {
+            ...active,
+            // 고정한 인터페이스를 대표로 사용 중인지 (고정한 인터페이스가 없으면 false)
+            pinned: Boolean(pinned) && active.interface === pinned,
+            defaultInterface: defaultInterface || null,
+            interfaces,
+            total
+        };
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * 프로세스 메트릭 프로바이더
+ * CPU 사용률 기준 상위 N개 프로세스 (options.topProcesses, 기본 10개)
+ */
+
+const DEFAULT_TOP_PROCESSES = 10;
+
+module.exports = {
+    name: 'processes',
+    interval: 3000,
+
+    async collect(si, options = {}) {
+        const processes = await si.processes();
+        const limit = options.topProcesses || DEFAULT_TOP_PROCESSES;
+
+        return processes.list
+            .sort((a, b) => b.cpu - a.cpu)
+            .slice(0, limit)
+            .map(p => ({
+                name: p.name,
+                pid: p.pid,
+                cpu: p.cpu,
+                mem: p.mem,
+                memRss: p.memRss,
+                // 우선순위 변경 대화상자의 기본값
+                nice: p.nice
+            }));
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * 시스템 메트릭 프로바이더
+ * 인벤토리: 운영체제, 호스트명, 하드웨어 제조사/모델 / 주기 수집: 업타임
+ */
+
+module.exports = {
+    name: 'system',
+    interval: 10000,
+
+    async inventory(si) {
+        const [osInfo, system] = await Promise.all([
+            si.osInfo(),
+            si.system()
+        ]);
+
+        return {
+            platform: osInfo.platform,
+            distro: osInfo.distro,
+            hostname: osInfo.hostname,
+            manufacturer: system.manufacturer,
+            model: system.model
+        };
+    },
+
+    async collect(si) {
+        const time = await si.time();
+
+        return {
+            uptime: time.uptime
+        };
+    }
+};
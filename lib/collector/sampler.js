@@ -0,0 +1,64 @@
+/**
+ * 공유 샘플링 루프
+ * 하나의 타이머로 주기마다 한 번만 수집하고 'sample' 이벤트로 모든 구독자에게 전달합니다.
+ * 이전 수집이 아직 끝나지 않았으면 해당 틱은 건너뜁니다.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * 샘플러 생성
+ * @param {Function} collect 스냅샷을 반환하는 비동기 함수
+ * @param {Object} [options]
+ * @param {number} [options.interval=1000] 수집 주기 (ms)
+ */
+function createSampler(collect, options = {}) {
+    const interval = options.interval || 1000;
+    const emitter = new EventEmitter();
+
+    let timer = null;
+    let running = false;
+    let latest = null;
+
+    async function tick() {
+        // 이전 수집이 진행 중이면 겹치지 않도록 건너뜀
+        if (running) {
+            emitter.emit('skip');
+            return;
+        }
+
+        running = true;
+        try {
+            latest = await collect();
+            emitter.emit('sample', latest);
+        } catch (error) {
+            emitter.emit('error', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(tick, interval);
+        tick();
+    }
+
+    function stop() {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        start,
+        stop,
+        tick,
+        getLatest: () => latest,
+        isRunning: () => timer !== null,
+        on: emitter.on.bind(emitter),
+        off: emitter.off.bind(emitter)
+    };
+}
+
+module.exports = { createSampler };
@@ -0,0 +1,385 @@
+/**
+ * 서버 설정 로더
+ * 기본값 < 설정 파일(JSON/YAML) < 환경 변수 < CLI 플래그 순으로 병합하고 검증합니다.
+ *
+ * 설정 파일은 --config 플래그나 SYSMON_CONFIG 환경 변수로 지정하며,
+ * 지정하지 않으면 프로젝트 루트의 config.json, config.yaml, config.yml 중 처음 발견한 파일을 사용합니다.
+ * 잘못된 값은 어디서 지정했는지(파일, 환경 변수, 플래그)와 함께 한 번에 모두 보고합니다.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { parseDuration } = require('./duration');
+const { NAME_PATTERN, LABEL_PATTERN, LOCAL_ID } = require('./hub/registry');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+const COLLECTORS = ['cpu', 'memory', 'gpu', 'disk', 'diskio', 'diskhealth', 'network', 'interfaces', 'processes', 'system'];
+
+// 그룹/태그 형식 안내 (LABEL_PATTERN)
+const LABEL_RULE = '공백, 쉼표, 따옴표, <, >, & 없이 32자 이하여야 합니다.';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * 설정 항목 정의
+ *   key     설정 파일 경로 (점으로 구분)
+ *   type    port | string | duration | integer | boolean | list
+ *   env     환경 변수 이름
+ *   flag    CLI 플래그 이름 (boolean은 --no-<flag>로 끌 수 있음)
+ *   path    파일 경로 (설정 파일에서는 파일 위치, 그 외에는 현재 디렉터리 기준)
+ *   values  list에서 허용하는 항목 (없으면 pattern으로 검사)
+ *   pattern string, list 항목의 형식
+ */
+const OPTIONS = [
+    { key: 'port', type: 'port', default: 3000, env: 'PORT', flag: 'port', help: '서버 포트' },
+    { key: 'host', type: 'string', default: null, env: 'BIND_HOST', flag: 'host', help: '바인드 주소 (기본: 모든 인터페이스)' },
+    { key: 'interval', type: 'duration', default: 1000, min: 250, env: 'SAMPLE_INTERVAL', flag: 'interval', help: '샘플링 주기 (예: 1s, 500ms)' },
+    { key: 'topProcesses', type: 'integer', default: 10, min: 1, max: 1000, env: 'TOP_PROCESSES', flag: 'top-processes', help: '상위 프로세스 개수' },
+    { key: 'networkInterface', type: 'string', default: null, env: 'NETWORK_INTERFACE', flag: 'network-interface', help: '대표 네트워크 인터페이스 고정 (all이면 전체 합계, 기본: 기본 경로 인터페이스)' },
+    { key: 'openBrowser', type: 'boolean', default: true, env: 'OPEN_BROWSER', flag: 'open', help: '시작 시 브라우저 열기 (--no-open으로 끄기)' },
+    { key: 'collectors', type: 'list', default: COLLECTORS, values: COLLECTORS, env: 'COLLECTORS', flag: 'collectors', help: `수집할 항목 (쉼표 구분: ${COLLECTORS.join(',')})` },
+    { key: 'history.dir', type: 'string', path: true, default: path.join(ROOT, 'data', 'history'), env: 'HISTORY_DIR', flag: 'history-dir', help: '히스토리 저장 경로' },
+    { key: 'history.retention.raw', type: 'duration', default: 24 * HOUR, min: HOUR, env: 'HISTORY_RETENTION_RAW', flag: 'retention-raw', help: '1초 원본 보존 기간' },
+    { key: 'history.retention.1m', type: 'duration', default: 7 * DAY, min: DAY, env: 'HISTORY_RETENTION_1M', flag: 'retention-1m', help: '1분 롤업 보존 기간' },
+    { key: 'history.retention.1h', type: 'duration', default: 90 * DAY, min: DAY, env: 'HISTORY_RETENTION_1H', flag: 'retention-1h', help: '1시간 롤업 보존 기간' },
+    { key: 'alerts.rulesFile', type: 'string', path: true, default: path.join(ROOT, 'alerts.json'), env: 'ALERT_RULES_FILE', flag: 'alert-rules', help: '알림 규칙 파일' },
+    { key: 'alerts.historyFile', type: 'string', path: true, default: path.join(ROOT, 'data', 'alerts-history.json'), env: 'ALERT_HISTORY_FILE', flag: 'alert-history', help: '알림 기록 파일' },
+    { key: 'notifiersFile', type: 'string', path: true, default: path.join(ROOT, 'notifiers.json'), env: 'NOTIFIERS_FILE', flag: 'notifiers', help: '알림 채널 파일' },
+    { key: 'authFile', type: 'string', path: true, default: null, env: 'AUTH_FILE', flag: 'auth', help: '인증 설정 파일 (지정하면 파일이 있어야 함, 기본: auth.json이 있으면 사용)' },
+    { key: 'auditFile', type: 'string', path: true, default: path.join(ROOT, 'data', 'audit.log'), env: 'AUDIT_FILE', flag: 'audit-log', help: '감사 로그 파일 (프로세스 작업 기록)' },
+    { key: 'processActions', type: 'boolean', default: false, env: 'PROCESS_ACTIONS', flag: 'process-actions', help: '인증된 관리자의 프로세스 종료/우선순위 변경 허용 (에이전트는 허브 요청 허용)' },
+    { key: 'tls.enabled', type: 'boolean', default: false, env: 'TLS_ENABLED', flag: 'tls', help: 'HTTPS/WSS 사용' },
+    { key: 'tls.cert', type: 'string', path: true, default: null, env: 'TLS_CERT', flag: 'tls-cert', help: 'TLS 인증서 파일 (PEM)' },
+    { key: 'tls.key', type: 'string', path: true, default: null, env: 'TLS_KEY', flag: 'tls-key', help: 'TLS 개인 키 파일 (PEM)' },
+    { key: 'tls.selfSigned', type: 'boolean', default: false, env: 'TLS_SELF_SIGNED', flag: 'self-signed', help: '자체 서명 인증서 생성/사용 (로컬용)' },
+    { key: 'tls.redirectPort', type: 'port', default: null, env: 'HTTP_REDIRECT_PORT', flag: 'http-redirect-port', help: 'HTTPS로 리다이렉트할 HTTP 포트' },
+    { key: 'labels.group', type: 'string', default: null, pattern: LABEL_PATTERN, env: 'HOST_GROUP', flag: 'group', help: '호스트 개요에 표시할 그룹' },
+    { key: 'labels.tags', type: 'list', default: [], pattern: LABEL_PATTERN, env: 'HOST_TAGS', flag: 'tags', help: '호스트 개요에 표시할 태그 (쉼표 구분)' },
+    { key: 'hub.enabled', type: 'boolean', default: false, env: 'HUB_ENABLED', flag: 'accept-agents', help: '허브로 동작하여 에이전트 연결 받기' },
+    { key: 'hub.staleAfter', type: 'duration', default: 10000, min: 1000, env: 'HUB_STALE_AFTER', flag: 'stale-after', help: '에이전트 데이터가 끊기면 stale로 표시할 시간' },
+    { key: 'agent.hub', type: 'string', default: null, env: 'AGENT_HUB', flag: 'hub', help: '에이전트 모드: 스냅샷을 보낼 허브 주소' },
+    { key: 'agent.name', type: 'string', default: os.hostname(), env: 'AGENT_NAME', flag: 'agent-name', help: '에이전트 모드: 허브에 표시할 이름 (기본: 호스트명)' },
+    { key: 'agent.token', type: 'string', default: null, env: 'AGENT_TOKEN', flag: 'agent-token', help: '에이전트 모드: 허브 API 토큰 (관리자 역할)' }
+];
+
+// 이전 버전의 환경 변수 (숫자 단위 보존 기간, 같은 항목은 앞의 것을 우선)
+// HISTORY_RETENTION_DAYS는 롤업 도입 전 1초 원본의 보존 기간(일)
+const LEGACY_ENV = [
+    { env: 'HISTORY_RETENTION_RAW_HOURS', key: 'history.retention.raw', unit: 'h' },
+    { env: 'HISTORY_RETENTION_DAYS', key: 'history.retention.raw', unit: 'd' },
+    { env: 'HISTORY_RETENTION_1M_DAYS', key: 'history.retention.1m', unit: 'd' },
+    { env: 'HISTORY_RETENTION_1H_DAYS', key: 'history.retention.1h', unit: 'd' }
+];
+
+// 최솟값 표시용 (3600000 → "1시간")
+function formatMs(ms) {
+    if (ms >= DAY && ms % DAY === 0) return `${ms / DAY}일`;
+    if (ms >= HOUR && ms % HOUR === 0) return `${ms / HOUR}시간`;
+    return `${ms}ms`;
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => {
+        if (!node[part]) node[part] = {};
+        return node[part];
+    }, object);
+    target[last] = value;
+}
+
+// 설정 파일의 알 수 없는 키 (오타 확인용)
+function unknownKeys(object, prefix = '') {
+    const known = OPTIONS.map(option => option.key);
+    return Object.keys(object).flatMap(name => {
+        const key = prefix + name;
+        const value = object[name];
+        if (known.includes(key)) return [];
+        if (value && typeof value === 'object' && !Array.isArray(value)
+            && known.some(k => k.startsWith(`${key}.`))) {
+            return unknownKeys(value, `${key}.`);
+        }
+        return [key];
+    });
+}
+
+/**
+ * 값 하나 변환 및 검증
+ * 환경 변수와 플래그는 문자열로, 설정 파일은 JSON/YAML 타입으로 들어옵니다.
+ * @returns {{value?: *, error?: string}}
+ */
+function coerce(option, raw) {
+    switch (option.type) {
+        case 'port': {
+            const value = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : raw;
+            if (!Number.isInteger(value) || value < 1 || value > 65535) {
+                return { error: '1~65535 사이의 정수여야 합니다.' };
+            }
+            return { value };
+        }
+        case 'integer': {
+            const value = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : raw;
+            if (!Number.isInteger(value) || value < option.min || value > option.max) {
+                return { error: `${option.min}~${option.max} 사이의 정수여야 합니다.` };
+            }
+            return { value };
+        }
+        case 'duration': {
+            const value = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : parseDuration(raw);
+            if (!Number.isFinite(value)) {
+                return { error: '기간이어야 합니다. (예: "500ms", "1s", "24h", "7d" 또는 밀리초 숫자)' };
+            }
+            if (value < option.min) {
+                return { error: `${formatMs(option.min)} 이상이어야 합니다.` };
+            }
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+            return { error: 'true 또는 false여야 합니다.' };
+        }
+        case 'list': {
+            const value = Array.isArray(raw)
+                ? raw.map(String)
+                : String(raw).split(',').map(item => item.trim()).filter(item => item);
+            if (option.values) {
+                const unknown = value.filter(item => !option.values.includes(item));
+                if (unknown.length > 0) {
+                    return { error: `알 수 없는 항목 ${unknown.join(', ')} (사용 가능: ${option.values.join(', ')})` };
+                }
+            } else {
+                const invalid = value.filter(item => !option.pattern.test(item));
+                if (invalid.length > 0) {
+                    return { error: `${invalid.join(', ')}: ${LABEL_RULE}` };
+                }
+                return { value: Array.from(new Set(value)) };
+            }
+            if (value.length === 0) {
+                return { error: '하나 이상 지정해야 합니다.' };
+            }
+            return { value: Array.from(new Set(value)) };
+        }
+        default:
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                return { error: '비어 있지 않은 문자열이어야 합니다.' };
+            }
+            if (option.pattern && !option.pattern.test(raw)) {
+                return { error: LABEL_RULE };
+            }
+            return { value: raw };
+    }
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`설정 파일 ${file}을 읽을 수 없습니다: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`설정 파일 ${file}의 형식이 올바르지 않습니다: ${error.message}`);
+    }
+
+    if (data === null || data === undefined) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`설정 파일 ${file}의 최상위 값은 객체여야 합니다.`);
+    }
+    return data;
+}
+
+function parseFlags(argv) {
+    const options = { config: { type: 'string' }, help: { type: 'boolean', short: 'h' } };
+    OPTIONS.forEach(option => {
+        if (option.type === 'boolean') {
+            options[option.flag] = { type: 'boolean' };
+            options[`no-${option.flag}`] = { type: 'boolean' };
+        } else {
+            options[option.flag] = { type: 'string' };
+        }
+    });
+
+    let values;
+    try {
+        values = parseArgs({ args: argv, options, strict: true }).values;
+    } catch (error) {
+        throw new Error(`CLI 옵션 오류: ${error.message}\n사용 가능한 옵션은 --help로 확인하세요.`);
+    }
+
+    // --no-<flag>를 false 값으로 변환
+    OPTIONS.filter(option => option.type === 'boolean').forEach(option => {
+        if (values[`no-${option.flag}`]) values[option.flag] = false;
+    });
+    return values;
+}
+
+// 항목 간 조합 검증 (TLS)
+function checkTls(config) {
+    const { tls } = config;
+    const errors = [];
+
+    if (tls.enabled && !tls.selfSigned && (!tls.cert || !tls.key)) {
+        errors.push('tls.enabled: tls.cert와 tls.key를 지정하거나 tls.selfSigned를 켜야 합니다.');
+    }
+    if (Boolean(tls.cert) !== Boolean(tls.key)) {
+        errors.push('tls.cert와 tls.key는 함께 지정해야 합니다.');
+    }
+    if (tls.selfSigned && (tls.cert || tls.key)) {
+        errors.push('tls.selfSigned: 자체 서명 인증서는 data/tls에 생성하므로 tls.cert/tls.key와 함께 지정할 수 없습니다.');
+    }
+    if (tls.redirectPort !== null) {
+        if (!tls.enabled) {
+            errors.push('tls.redirectPort: HTTPS(tls.enabled)를 켠 경우에만 사용할 수 있습니다.');
+        } else if (tls.redirectPort === config.port) {
+            errors.push(`tls.redirectPort: 서버 포트(${config.port})와 다른 포트여야 합니다.`);
+        }
+    }
+    return errors;
+}
+
+// 항목 간 조합 검증 (에이전트 모드)
+function checkAgent(config) {
+    const { agent, hub } = config;
+    const errors = [];
+    if (!agent.hub) return errors;
+
+    let url = null;
+    try {
+        url = new URL(agent.hub);
+    } catch (error) {
+        // 아래에서 보고
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push(`agent.hub: http:// 또는 https:// 주소여야 합니다. (입력값: ${JSON.stringify(agent.hub)})`);
+    }
+    if (!NAME_PATTERN.test(agent.name) || agent.name === LOCAL_ID) {
+        errors.push(`agent.name: 영문자, 숫자, ".", "_", "-"로 된 64자 이하여야 합니다. ("${LOCAL_ID}" 제외, 입력값: ${JSON.stringify(agent.name)})`);
+    }
+    if (hub.enabled) {
+        errors.push('agent.hub와 hub.enabled는 함께 사용할 수 없습니다. (에이전트는 허브가 될 수 없음)');
+    }
+    return errors;
+}
+
+/**
+ * --help 출력 내용
+ */
+function usage() {
+    const lines = OPTIONS.map(option => {
+        const flag = option.type === 'boolean' ? `--[no-]${option.flag}` : `--${option.flag} <값>`;
+        return `  ${flag.padEnd(26)} ${option.help} [${option.env}]`;
+    });
+    return [
+        '사용법: node server.js [옵션]',
+        '',
+        `  ${'--config <파일>'.padEnd(26)} 설정 파일 (JSON/YAML) [SYSMON_CONFIG]`,
+        ...lines,
+        `  ${'-h, --help'.padEnd(26)} 도움말`
+    ].join('\n');
+}
+
+/**
+ * 설정 로드
+ * @param {Object} [params]
+ * @param {string[]} [params.argv] CLI 인자 (process.argv.slice(2))
+ * @param {Object} [params.env] 환경 변수
+ * @returns {Object} 설정 ({ help: true }이면 도움말만 요청된 것)
+ * @throws {Error} 설정 파일을 읽을 수 없거나 값이 잘못된 경우
+ */
+function loadConfig({ argv = [], env = {} } = {}) {
+    const flags = parseFlags(argv);
+    if (flags.help) {
+        return { help: true };
+    }
+
+    // 설정 파일 선택
+    let file = flags.config || env.SYSMON_CONFIG || null;
+    if (file) {
+        file = path.resolve(file);
+        if (!fs.existsSync(file)) {
+            throw new Error(`설정 파일 ${file}이 없습니다.`);
+        }
+    } else {
+        file = DEFAULT_CONFIG_FILES.map(name => path.join(ROOT, name)).find(candidate => fs.existsSync(candidate)) || null;
+    }
+    const fileData = file ? readConfigFile(file) : {};
+
+    const config = { file };
+    const errors = [];
+
+    unknownKeys(fileData).forEach(key => {
+        errors.push(`설정 파일의 알 수 없는 항목 "${key}"`);
+    });
+
+    OPTIONS.forEach(option => {
+        let raw = option.default;
+        let source = null;
+        let base = process.cwd();
+
+        if (getPath(fileData, option.key) !== undefined) {
+            raw = getPath(fileData, option.key);
+            source = `설정 파일의 ${option.key}`;
+            base = path.dirname(file);
+        }
+
+        const legacy = LEGACY_ENV.find(entry => entry.key === option.key && env[entry.env]);
+        if (legacy) {
+            raw = `${env[legacy.env]}${legacy.unit}`;
+            source = `환경 변수 ${legacy.env}`;
+            base = process.cwd();
+        }
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            raw = env[option.env];
+            source = `환경 변수 ${option.env}`;
+            base = process.cwd();
+        }
+        if (flags[option.flag] !== undefined) {
+            raw = flags[option.flag];
+            source = `--${option.flag}`;
+            base = process.cwd();
+        }
+
+        if (source === null || raw === null) {
+            setPath(config, option.key, raw);
+            return;
+        }
+
+        const result = coerce(option, raw);
+        if (result.error) {
+            errors.push(`${source}: ${result.error} (입력값: ${JSON.stringify(raw)})`);
+            return;
+        }
+        setPath(config, option.key, option.path ? path.resolve(base, result.value) : result.value);
+    });
+
+    if (errors.length === 0) {
+        errors.push(...checkTls(config), ...checkAgent(config));
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`설정이 올바르지 않습니다.\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return config;
+}
+
+module.exports = {
+    loadConfig,
+    usage,
+    COLLECTORS
+};
@@ -0,0 +1,30 @@
+/**
+ * 기간 문자열 파싱
+ * "500ms", "30s", "2m", "1h", "7d" 형식 또는 밀리초 숫자를 받습니다.
+ */
+
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * @param {string|number} value
+ * @returns {number} 밀리초 (형식이 잘못되면 NaN)
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') {
+        return value >= 0 ? value : NaN;
+    }
+    if (typeof value !== 'string') return NaN;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(value);
+    if (!match) return NaN;
+
+    return Number(match[1]) * UNITS[match[2] || 'ms'];
+}
+
+module.exports = { parseDuration };
@@ -0,0 +1,13 @@
+/**
+ * System Resource Monitor - 메트릭 히스토리
+ * 서버 측 시계열 저장소(원본 + 1분/1시간 롤업)와 스냅샷 메트릭 추출
+ */
+
+const { createHistoryStore, AGGREGATES } = require('./store');
+const { extractMetrics } = require('./metrics');
+
+module.exports = {
+    createHistoryStore,
+    extractMetrics,
+    AGGREGATES
+};
@@ -0,0 +1,82 @@
+/**
+ * 히스토리 메트릭 추출
+ * 스냅샷에서 시계열로 저장할 숫자 값들을 "섹션.필드" 이름으로 평탄화합니다.
+ * 파티션처럼 여러 개인 항목은 "disk[/home].usagePercent" 형태로 구분합니다.
+ * 네트워크는 대표 인터페이스(network.rxSec) 외에 인터페이스별(network[eth0].rxSec)과
+ * 전체 합계(network.total.rxSec)도 기록합니다.
+ * 디스크 I/O는 전체 합계(diskio.readSec) 외에 물리 디스크별(diskio[sda].readSec)로도 기록합니다.
+ */
+
+const SECTION_FIELDS = {
+    cpu: ['usage', 'speed', 'temperature'],
+    memory: ['usagePercent', 'used', 'available', 'swapUsed'],
+    gpu: ['utilizationGpu', 'temperature', 'memoryUsed'],
+    diskio: ['readSec', 'writeSec', 'readIops', 'writeIops', 'busy'],
+    network: ['rxSec', 'txSec']
+};
+
+const PARTITION_FIELDS = ['usagePercent', 'used'];
+const INTERFACE_FIELDS = ['rxSec', 'txSec'];
+const DISK_DEVICE_FIELDS = ['readSec', 'writeSec', 'readIops', 'writeIops', 'busy'];
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * 스냅샷에서 메트릭 값 추출
+ * @param {Object} snapshot 수집기 스냅샷
+ * @returns {Object} { 'cpu.usage': 12.3, ... }
+ */
+function extractMetrics(snapshot) {
+    const values = {};
+
+    Object.keys(SECTION_FIELDS).forEach(section => {
+        const data = snapshot[section];
+        if (!data) return;
+
+        SECTION_FIELDS[section].forEach(field => {
+            if (isNumber(data[field])) {
+                values[`${section}.${field}`] = data[field];
+            }
+        });
+    });
+
+    if (snapshot.disk && snapshot.disk.partitions) {
+        snapshot.disk.partitions.forEach(part => {
+            PARTITION_FIELDS.forEach(field => {
+                if (isNumber(part[field])) {
+                    values[`disk[${part.mount || part.fs}].${field}`] = part[field];
+                }
+            });
+        });
+    }
+
+    if (snapshot.diskio && snapshot.diskio.devices) {
+        snapshot.diskio.devices.forEach(device => {
+            DISK_DEVICE_FIELDS.forEach(field => {
+                if (isNumber(device[field])) {
+                    values[`diskio[${device.device}].${field}`] = device[field];
+                }
+            });
+        });
+    }
+
+    if (snapshot.network) {
+        const { interfaces, total } = snapshot.network;
+        INTERFACE_FIELDS.forEach(field => {
+            if (total && isNumber(total[field])) {
+                values[`network.total.${field}`] = total[field];
+            }
+            (interfaces || []).forEach(iface => {
+                if (isNumber(iface[field])) {
+                    values[`network[${iface.interface}].${field}`] = iface[field];
+                }
+            });
+        });
+    }
+
+    return values;
+}
+
+module.exports = { extractMetrics };
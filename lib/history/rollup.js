@@ -0,0 +1,78 @@
+/**
+ * 히스토리 롤업 (다운샘플링)
+ * 일정 구간(resolution) 동안 들어온 원본 샘플을 메트릭별 min/avg/max/p95 요약으로 묶습니다.
+ */
+
+// 최근접 순위(nearest-rank) 방식 백분위수 (정렬된 배열 기준)
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * 값 목록 요약
+ * @param {number[]} values
+ * @returns {{min: number, avg: number, max: number, p95: number, n: number}}
+ */
+function summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const sum = sorted.reduce((acc, v) => acc + v, 0);
+
+    return {
+        min: sorted[0],
+        avg: sum / sorted.length,
+        max: sorted[sorted.length - 1],
+        p95: percentile(sorted, 95),
+        n: sorted.length
+    };
+}
+
+/**
+ * 롤업 생성
+ * 새 구간의 샘플이 들어오면 이전 구간의 요약을 onFlush(bucketStart, summaries)로 전달합니다.
+ * @param {number} resolution 구간 크기 (ms)
+ * @param {Function} onFlush
+ */
+function createRollup(resolution, onFlush) {
+    let bucketStart = null;
+    let buckets = {};
+
+    function flush() {
+        if (bucketStart === null) return;
+
+        const summaries = {};
+        Object.keys(buckets).forEach(name => {
+            summaries[name] = summarize(buckets[name]);
+        });
+
+        const start = bucketStart;
+        bucketStart = null;
+        buckets = {};
+
+        if (Object.keys(summaries).length > 0) {
+            onFlush(start, summaries);
+        }
+    }
+
+    function add(timestamp, values) {
+        const start = Math.floor(timestamp / resolution) * resolution;
+        if (bucketStart !== null && start !== bucketStart) {
+            flush();
+        }
+        bucketStart = start;
+
+        Object.keys(values).forEach(name => {
+            if (!buckets[name]) buckets[name] = [];
+            buckets[name].push(values[name]);
+        });
+    }
+
+    return { add, flush };
+}
+
+module.exports = {
+    createRollup,
+    summarize,
+    percentile
+};
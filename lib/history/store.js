@@ -0,0 +1,286 @@
+/**
+ * 메트릭 히스토리 저장소
+ * 샘플을 해상도별 티어로 나누어 추가 전용(append-only) NDJSON 파일에 기록하고
+ * 티어마다 보존 기간이 지난 파일은 주기적으로 삭제합니다.
+ *
+ * 티어           해상도   파일 단위   기본 보존 기간
+ *   raw          1초      시간        24시간
+ *   1m           1분      일          7일
+ *   1h           1시간    월          90일
+ *
+ * 파일 형식: <dir>/<tier>/<partition>.ndjson (UTC 기준)
+ *   raw 줄:    {"t":1706706000000,"v":{"cpu.usage":12.3,...}}
+ *   롤업 줄:   {"t":1706706000000,"v":{"cpu.usage":{"min":1,"avg":5,"max":9,"p95":8,"n":60},...}}
+ *
+ * 조회 시 요청 범위와 step에 맞는 티어를 자동으로 선택합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createRollup, percentile } = require('./rollup');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const AGGREGATES = ['avg', 'min', 'max', 'p95'];
+
+// 파티션 단위별 키 길이 (ISO 문자열 앞부분)와 다음 파티션 시작 시각 계산
+const PARTITIONS = {
+    hour: {
+        keyLength: 13,
+        pattern: /^(\d{4}-\d{2}-\d{2}T\d{2})\.ndjson$/,
+        start: key => Date.parse(`${key}:00:00.000Z`),
+        end: start => start + HOUR
+    },
+    day: {
+        keyLength: 10,
+        pattern: /^(\d{4}-\d{2}-\d{2})\.ndjson$/,
+        start: key => Date.parse(`${key}T00:00:00.000Z`),
+        end: start => start + DAY
+    },
+    month: {
+        keyLength: 7,
+        pattern: /^(\d{4}-\d{2})\.ndjson$/,
+        start: key => Date.parse(`${key}-01T00:00:00.000Z`),
+        end: (start) => {
+            const date = new Date(start);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+        }
+    }
+};
+
+const TIERS = [
+    { name: 'raw', resolution: SECOND, partition: 'hour', retention: DAY },
+    { name: '1m', resolution: MINUTE, partition: 'day', retention: 7 * DAY },
+    { name: '1h', resolution: HOUR, partition: 'month', retention: 90 * DAY }
+];
+
+// 파일의 각 줄을 파싱하여 콜백 호출 (기록 중 잘린 줄은 무시)
+async function readSamples(file, onSample) {
+    const stream = fs.createReadStream(file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (!line) continue;
+        try {
+            onSample(JSON.parse(line));
+        } catch (error) {
+            // 불완전한 줄은 건너뜀
+        }
+    }
+}
+
+// 조회 구간 버킷 (원본 값과 롤업 요약을 모두 누적)
+function createBucket() {
+    return { values: [], sum: 0, count: 0, min: Infinity, max: -Infinity, p95: -Infinity };
+}
+
+function addToBucket(bucket, value) {
+    if (typeof value === 'number') {
+        bucket.values.push(value);
+        bucket.sum += value;
+        bucket.count += 1;
+        bucket.min = Math.min(bucket.min, value);
+        bucket.max = Math.max(bucket.max, value);
+    } else if (value && typeof value.avg === 'number') {
+        // 롤업 요약: 평균은 샘플 수 가중, p95는 구간 내 최댓값으로 근사
+        bucket.sum += value.avg * value.n;
+        bucket.count += value.n;
+        bucket.min = Math.min(bucket.min, value.min);
+        bucket.max = Math.max(bucket.max, value.max);
+        bucket.p95 = Math.max(bucket.p95, value.p95);
+    }
+}
+
+function bucketValue(bucket, agg) {
+    switch (agg) {
+        case 'min': return bucket.min;
+        case 'max': return bucket.max;
+        case 'p95':
+            return bucket.values.length > 0
+                ? percentile(bucket.values.slice().sort((a, b) => a - b), 95)
+                : bucket.p95;
+        default: return bucket.sum / bucket.count;
+    }
+}
+
+/**
+ * 히스토리 저장소 생성
+ * @param {Object} options
+ * @param {string} options.dir 저장 디렉터리
+ * @param {Object} [options.retention] 티어별 보존 기간 (ms) 재정의 ({ raw, '1m', '1h' })
+ * @param {number} [options.pruneInterval=1시간] 만료 파일 정리 주기 (ms)
+ */
+function createHistoryStore(options) {
+    const dir = options.dir;
+    const retention = options.retention || {};
+    const pruneInterval = options.pruneInterval || HOUR;
+
+    const tiers = TIERS.map(tier => ({
+        ...tier,
+        retention: retention[tier.name] || tier.retention,
+        dir: path.join(dir, tier.name)
+    }));
+
+    const knownMetrics = new Set();
+    let writeQueue = Promise.resolve();
+    let pruneTimer = null;
+
+    tiers.forEach(tier => fs.mkdirSync(tier.dir, { recursive: true }));
+
+    // 티어 파일에 한 줄 기록 (기록 순서 보장)
+    function writeLine(tier, timestamp, values) {
+        const partition = PARTITIONS[tier.partition];
+        const key = new Date(timestamp).toISOString().slice(0, partition.keyLength);
+        const file = path.join(tier.dir, `${key}.ndjson`);
+        const line = JSON.stringify({ t: timestamp, v: values }) + '\n';
+
+        writeQueue = writeQueue
+            .then(() => fs.promises.appendFile(file, line))
+            .catch(error => console.error('히스토리 기록 오류:', error));
+        return writeQueue;
+    }
+
+    const rollups = tiers
+        .filter(tier => tier.name !== 'raw')
+        .map(tier => createRollup(tier.resolution, (start, summaries) => writeLine(tier, start, summaries)));
+
+    /**
+     * 샘플 기록
+     * @param {number} timestamp
+     * @param {Object} values { 'cpu.usage': 12.3, ... }
+     */
+    function append(timestamp, values) {
+        Object.keys(values).forEach(name => knownMetrics.add(name));
+
+        rollups.forEach(rollup => rollup.add(timestamp, values));
+        return writeLine(tiers[0], timestamp, values);
+    }
+
+    /**
+     * 조회에 사용할 티어 선택
+     * step 이하의 해상도 중 가장 거친 티어를 고르고,
+     * 시작 시각이 해당 티어의 보존 기간을 벗어나면 더 거친 티어로 넘어갑니다.
+     */
+    function selectTier(from, step, now = Date.now()) {
+        let index = 0;
+        tiers.forEach((tier, i) => {
+            if (tier.resolution <= step) index = i;
+        });
+        while (index < tiers.length - 1 && from < now - tiers[index].retention) {
+            index += 1;
+        }
+        return tiers[index];
+    }
+
+    // 범위와 겹치는 티어 파일 목록
+    async function filesInRange(tier, from, to) {
+        const partition = PARTITIONS[tier.partition];
+        const names = await fs.promises.readdir(tier.dir);
+
+        return names
+            .map(name => partition.pattern.exec(name))
+            .filter(match => match)
+            .map(match => ({ name: match[0], start: partition.start(match[1]) }))
+            .filter(file => partition.end(file.start) > from && file.start <= to)
+            .sort((a, b) => a.start - b.start)
+            .map(file => path.join(tier.dir, file.name));
+    }
+
+    /**
+     * 범위 조회
+     * @param {Object} params
+     * @param {string} params.metric 메트릭 이름 (예: 'cpu.usage')
+     * @param {number} params.from 시작 시각 (ms)
+     * @param {number} params.to 종료 시각 (ms)
+     * @param {number} params.step 구간 크기 (ms)
+     * @param {string} [params.agg='avg'] 구간 집계 방식 (avg, min, max, p95)
+     * @param {string} [params.resolution] 티어 강제 지정 (raw, 1m, 1h)
+     * @returns {Promise<{resolution: string, step: number, points: Array<{t: number, value: number}>}>}
+     */
+    async function query({ metric, from, to, step, agg = 'avg', resolution }) {
+        await writeQueue;
+
+        const tier = resolution
+            ? tiers.find(t => t.name === resolution)
+            : selectTier(from, step);
+        const bucketSize = Math.max(step, tier.resolution);
+
+        const buckets = new Map();
+        const files = await filesInRange(tier, from, to);
+
+        for (const file of files) {
+            await readSamples(file, (sample) => {
+                if (sample.t < from || sample.t > to) return;
+                const value = sample.v && sample.v[metric];
+                if (value === undefined || value === null) return;
+
+                const t = Math.floor(sample.t / bucketSize) * bucketSize;
+                if (!buckets.has(t)) buckets.set(t, createBucket());
+                addToBucket(buckets.get(t), value);
+            });
+        }
+
+        const points = Array.from(buckets.entries())
+            .filter(([, bucket]) => bucket.count > 0)
+            .sort((a, b) => a[0] - b[0])
+            .map(([t, bucket]) => ({ t, value: bucketValue(bucket, agg) }));
+
+        return { resolution: tier.name, step: bucketSize, points };
+    }
+
+    // 티어별로 보존 기간이 지난 파일 삭제
+    async function prune(now = Date.now()) {
+        let removed = 0;
+
+        for (const tier of tiers) {
+            const partition = PARTITIONS[tier.partition];
+            const names = await fs.promises.readdir(tier.dir);
+            const expired = names.filter(name => {
+                const match = partition.pattern.exec(name);
+                return match && partition.end(partition.start(match[1])) < now - tier.retention;
+            });
+
+            await Promise.all(expired.map(name => fs.promises.unlink(path.join(tier.dir, name))));
+            removed += expired.length;
+        }
+        return removed;
+    }
+
+    function start() {
+        if (pruneTimer) return;
+        prune().catch(error => console.error('히스토리 정리 오류:', error));
+        pruneTimer = setInterval(() => {
+            prune().catch(error => console.error('히스토리 정리 오류:', error));
+        }, pruneInterval);
+        pruneTimer.unref();
+    }
+
+    // 정리 타이머를 멈추고 진행 중인 롤업 구간을 기록
+    function stop() {
+        if (pruneTimer) {
+            clearInterval(pruneTimer);
+            pruneTimer = null;
+        }
+        rollups.forEach(rollup => rollup.flush());
+        return writeQueue;
+    }
+
+    return {
+        append,
+        query,
+        prune,
+        start,
+        stop,
+        tiers: () => tiers.map(({ name, resolution, retention: keep }) => ({ name, resolution, retention: keep })),
+        metrics: () => Array.from(knownMetrics).sort()
+    };
+}
+
+module.exports = {
+    createHistoryStore,
+    AGGREGATES
+};
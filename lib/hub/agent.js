@@ -0,0 +1,227 @@
+/**
+ * 에이전트 모드
+ * 웹 서버, 히스토리, 알림 없이 시스템 정보만 수집하여 허브로 전송합니다.
+ * 허브 연결이 끊긴 동안의 샘플은 버리고, 다시 연결되면 전체 스냅샷부터 다시 보냅니다.
+ *
+ * 허브 대시보드의 프로세스 탐색기('process-query'), 프로세스 상세('process-detail'),
+ * 네트워크 연결('connection-query') 요청에는 이 호스트의 정보를 조회하여 응답합니다.
+ * processActions를 허용하면 허브 관리자가 보낸 프로세스 작업(종료, 우선순위 변경)을 실행합니다.
+ * 권한 확인과 감사 기록은 허브가 하고, 에이전트는 실행한 작업을 콘솔에 출력합니다.
+ */
+
+const { io } = require('socket.io-client');
+const { createCollector, createSampler, defaultProviders } = require('../collector');
+const {
+    validateAction,
+    performAction,
+    describeAction,
+    validateProcessQuery,
+    createProcessExplorer,
+    getProcessDetail
+} = require('../processes');
+const { validateConnectionQuery, createConnectionExplorer } = require('../network');
+const { version } = require('../../package.json');
+
+/**
+ * 에이전트 생성
+ * @param {Object} options
+ * @param {string} options.url 허브 주소 (예: https://hub.example.com:3000)
+ * @param {string} options.name 허브에 표시할 에이전트 이름
+ * @param {string} [options.token] 허브 API 토큰 (관리자 역할)
+ * @param {string} [options.group] 호스트 개요에 표시할 그룹
+ * @param {string[]} [options.tags] 호스트 개요에 표시할 태그
+ * @param {boolean} [options.processActions=false] 허브의 프로세스 작업 요청 허용
+ * @param {Object} options.collector createCollector() 결과
+ * @param {Object} options.sampler createSampler() 결과
+ * @param {Object} [options.explorer] createProcessExplorer() 결과
+ * @param {Object} [options.connections] createConnectionExplorer() 결과
+ */
+function createAgent(options) {
+    const { collector, sampler } = options;
+    const explorer = options.explorer || createProcessExplorer();
+    const connections = options.connections || createConnectionExplorer();
+    let socket = null;
+    let lastError = null;
+
+    function sendSnapshot() {
+        collector.collectInventory()
+            .then(() => socket.emit('agent-snapshot', collector.getSnapshot()))
+            .catch(error => console.error('인벤토리 수집 오류:', error));
+    }
+
+    // 허브가 보낸 프로세스 탐색기 조회
+    async function onProcessQuery(request, ack) {
+        if (typeof ack !== 'function') return;
+        const { query, error } = validateProcessQuery(request || {});
+        if (error) {
+            return ack({ ok: false, status: 400, error });
+        }
+
+        try {
+            ack({ ok: true, status: 200, result: await explorer.query(query) });
+        } catch (err) {
+            console.error('프로세스 목록 조회 오류:', err);
+            ack({ ok: false, status: 500, error: err.message });
+        }
+    }
+
+    // 허브가 보낸 프로세스 상세 조회 (조회한 프로세스는 이 에이전트가 계속 추적)
+    async function onProcessDetail(request, ack) {
+        if (typeof ack !== 'function') return;
+        try {
+            ack(await getProcessDetail(explorer, request || {}));
+        } catch (err) {
+            console.error('프로세스 상세 조회 오류:', err);
+            ack({ ok: false, status: 500, error: err.message });
+        }
+    }
+
+    // 허브가 보낸 네트워크 연결 조회
+    async function onConnectionQuery(request, ack) {
+        if (typeof ack !== 'function') return;
+        const { query, error } = validateConnectionQuery(request || {});
+        if (error) {
+            return ack({ ok: false, status: 400, error });
+        }
+
+        try {
+            ack({ ok: true, status: 200, result: await connections.query(query) });
+        } catch (err) {
+            console.error('네트워크 연결 조회 오류:', err);
+            ack({ ok: false, status: 500, error: err.message });
+        }
+    }
+
+    // 허브가 보낸 프로세스 작업 (허브에서 이미 검증했지만 에이전트에서도 다시 확인)
+    async function onProcessAction(request, ack) {
+        if (typeof ack !== 'function') return;
+        if (!options.processActions) {
+            return ack({ ok: false, status: 403, error: '이 에이전트는 원격 프로세스 작업을 허용하지 않습니다. (processActions)' });
+        }
+
+        const { action, error } = validateAction(request || {});
+        if (error) {
+            return ack({ ok: false, status: 400, error });
+        }
+
+        try {
+            const result = await performAction(action);
+            console.log(`[프로세스 작업] 허브 요청: ${describeAction(action)} ${result.ok ? '성공' : `실패: ${result.error}`}`);
+            ack(result);
+        } catch (err) {
+            console.error('프로세스 작업 오류:', err);
+            ack({ ok: false, status: 500, error: err.message });
+        }
+    }
+
+    // 연결된 동안만 전송 (끊긴 동안 쌓인 변경분이 재연결 시 한꺼번에 전송되지 않도록)
+    function onSample(delta) {
+        if (socket && socket.connected) {
+            socket.emit('agent-update', delta);
+        }
+    }
+
+    function start() {
+        if (socket) return;
+
+        socket = io(`${options.url.replace(/\/+$/, '')}/agents`, {
+            auth: {
+                name: options.name,
+                token: options.token || undefined,
+                version,
+                group: options.group || undefined,
+                tags: options.tags || [],
+                processActions: Boolean(options.processActions)
+            },
+            transports: ['websocket'],
+            reconnectionDelayMax: 10000
+        });
+
+        socket.on('connect', () => {
+            lastError = null;
+            console.log(`허브에 연결됨: ${options.url} (에이전트 이름: ${options.name})`);
+            sendSnapshot();
+        });
+
+        socket.on('disconnect', (reason) => {
+            if (reason === 'io client disconnect') return;
+            console.warn(`허브 연결 끊김 (${reason}). 다시 연결을 시도합니다.`);
+        });
+
+        // 같은 오류가 반복되면 한 번만 출력
+        socket.on('connect_error', (error) => {
+            if (error.message !== lastError) {
+                lastError = error.message;
+                console.error(`허브에 연결할 수 없습니다: ${error.message}`);
+            }
+        });
+
+        socket.on('process-query', onProcessQuery);
+        socket.on('process-detail', onProcessDetail);
+        socket.on('process-action', onProcessAction);
+        socket.on('connection-query', onConnectionQuery);
+
+        sampler.on('sample', onSample);
+    }
+
+    function stop() {
+        sampler.off('sample', onSample);
+        if (socket) {
+            socket.close();
+            socket = null;
+        }
+    }
+
+    return { start, stop };
+}
+
+/**
+ * 설정으로 에이전트 실행 (server.js의 에이전트 모드)
+ * @param {Object} config loadConfig() 결과
+ */
+function runAgent(config) {
+    const collector = createCollector({
+        providers: defaultProviders.filter(provider => config.collectors.includes(provider.name)),
+        topProcesses: config.topProcesses,
+        networkInterface: config.networkInterface
+    });
+    const sampler = createSampler(collector.collectDue, { interval: config.interval });
+
+    sampler.on('skip', () => {
+        console.warn('이전 수집이 끝나지 않아 이번 샘플을 건너뜁니다.');
+    });
+
+    sampler.on('error', (error) => {
+        console.error('샘플링 오류:', error);
+    });
+
+    const agent = createAgent({
+        url: config.agent.hub,
+        name: config.agent.name,
+        token: config.agent.token,
+        group: config.labels.group,
+        tags: config.labels.tags,
+        processActions: config.processActions,
+        collector,
+        sampler
+    });
+
+    function shutdown() {
+        sampler.stop();
+        agent.stop();
+        process.exit(0);
+    }
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    console.log(`에이전트 모드로 시작합니다. 허브: ${config.agent.hub}`);
+    if (config.file) {
+        console.log(`설정 파일: ${config.file}`);
+    }
+
+    sampler.start();
+    agent.start();
+}
+
+module.exports = { createAgent, runAgent };
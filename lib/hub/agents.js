@@ -0,0 +1,105 @@
+/**
+ * 허브의 에이전트 수신 (Socket.IO /agents 네임스페이스)
+ *
+ * 에이전트는 핸드셰이크 auth로 { name, token, version, group, tags, processActions }를 보내고,
+ * 연결 직후 'agent-snapshot'(인벤토리가 병합된 전체 스냅샷), 이후 'agent-update'(변경분)를 전송합니다.
+ * 관리자 역할의 API 토큰이 필요하며, 인증을 사용하지 않을 때의 익명 사용자는 거부합니다.
+ *
+ * 허브는 request()로 에이전트에 작업(예: 'process-action')을 보내고 응답(ack)을 기다립니다.
+ */
+
+const { hasRole } = require('../auth');
+const { LOCAL_ID, NAME_PATTERN } = require('./registry');
+
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 에이전트 네임스페이스 연결
+ * @param {Object} io Socket.IO 서버
+ * @param {Object} registry createHostRegistry() 결과
+ * @param {Object} auth createAuth() 결과
+ * @returns {{namespace: Object, request: Function}}
+ */
+function attachAgents(io, registry, auth) {
+    const namespace = io.of('/agents');
+
+    // 에이전트 id → 현재 연결된 소켓
+    const sockets = new Map();
+
+    namespace.use(auth.socketMiddleware());
+
+    namespace.use((socket, next) => {
+        const user = socket.data.user;
+        if (user.type === 'anonymous' || !hasRole(user, 'admin')) {
+            return next(new Error('에이전트 연결에는 관리자 토큰이 필요합니다.'));
+        }
+
+        const { name } = socket.handshake.auth || {};
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name === LOCAL_ID) {
+            return next(new Error('에이전트 이름은 영문자, 숫자, ".", "_", "-"로 된 64자 이하여야 합니다. ("local" 제외)'));
+        }
+        socket.data.agent = name;
+        next();
+    });
+
+    namespace.on('connection', (socket) => {
+        const id = socket.data.agent;
+        const address = socket.handshake.address;
+        const { group, tags, processActions } = socket.handshake.auth;
+        const version = String(socket.handshake.auth.version || '').slice(0, 32) || null;
+
+        // 같은 이름으로 다시 연결하면 이전 연결을 끊고 대체
+        const replaced = registry.connect(id, { socketId: socket.id, address, version, group, tags, processActions });
+        if (replaced) {
+            console.warn(`에이전트 "${id}"가 다른 연결로 대체되었습니다. 같은 이름을 쓰는 에이전트가 둘 이상인지 확인하세요.`);
+            const previous = namespace.sockets.get(replaced);
+            if (previous) previous.disconnect(true);
+        }
+        sockets.set(id, socket);
+        console.log(`에이전트 연결됨: ${id} (${address})`);
+
+        socket.on('agent-snapshot', (snapshot) => {
+            if (isObject(snapshot)) registry.replace(id, snapshot);
+        });
+
+        socket.on('agent-update', (delta) => {
+            if (isObject(delta)) registry.update(id, delta);
+        });
+
+        socket.on('disconnect', (reason) => {
+            registry.disconnect(id, socket.id);
+            if (sockets.get(id) === socket) sockets.delete(id);
+            console.log(`에이전트 연결 해제: ${id} (${reason})`);
+        });
+    });
+
+    /**
+     * 에이전트에 요청을 보내고 응답을 기다림
+     * 연결되어 있지 않거나 응답이 없으면 { ok: false, status, error }로 응답
+     * @param {string} id 에이전트 이름
+     * @param {string} event 이벤트 이름
+     * @param {*} payload
+     * @param {number} [timeout=10000] 응답 대기 시간 (ms)
+     * @returns {Promise<Object>}
+     */
+    async function request(id, event, payload, timeout = DEFAULT_REQUEST_TIMEOUT) {
+        const socket = sockets.get(id);
+        if (!socket || !socket.connected) {
+            return { ok: false, status: 409, error: `에이전트 "${id}"가 연결되어 있지 않습니다.` };
+        }
+        try {
+            const response = await socket.timeout(timeout).emitWithAck(event, payload);
+            return isObject(response) ? response : { ok: false, status: 502, error: '에이전트 응답 형식이 올바르지 않습니다.' };
+        } catch (error) {
+            return { ok: false, status: 504, error: `에이전트 "${id}"가 응답하지 않습니다.` };
+        }
+    }
+
+    return { namespace, request };
+}
+
+module.exports = { attachAgents };
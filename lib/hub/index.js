@@ -0,0 +1,16 @@
+/**
+ * System Resource Monitor - 다중 호스트 모니터링
+ * 허브(호스트 레지스트리, 에이전트 수신)와 에이전트(스냅샷 전송)
+ */
+
+const { createHostRegistry, LOCAL_ID } = require('./registry');
+const { attachAgents } = require('./agents');
+const { createAgent, runAgent } = require('./agent');
+
+module.exports = {
+    createHostRegistry,
+    attachAgents,
+    createAgent,
+    runAgent,
+    LOCAL_ID
+};
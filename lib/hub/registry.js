@@ -0,0 +1,282 @@
+/**
+ * 호스트 레지스트리
+ * 허브에 연결된 에이전트들의 최신 스냅샷과 연결 상태를 메모리에 보관합니다.
+ * 허브 자신은 id "local" 호스트로 항상 포함됩니다.
+ *
+ * 상태
+ *   online    연결되어 있고 staleAfter 안에 데이터를 받음
+ *   stale     연결은 유지되지만 staleAfter 동안 데이터가 없음
+ *   offline   연결 끊김 (삭제하기 전까지 마지막 스냅샷 유지)
+ *
+ * 호스트가 추가/삭제되거나 상태가 바뀌면 'change' 이벤트를,
+ * 에이전트 데이터를 받으면 'update' (id, delta) 이벤트를 발생시킵니다.
+ */
+
+const { EventEmitter } = require('events');
+
+const LOCAL_ID = 'local';
+const DEFAULT_STALE_AFTER = 10000;
+const CHECK_INTERVAL = 1000;
+
+// 에이전트 이름 규칙 (URL과 Socket.IO 룸 이름에 그대로 사용)
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// 그룹/태그 규칙 (대시보드에 그대로 표시하므로 HTML 특수 문자 제외)
+const LABEL_PATTERN = /^[^\s,<>"'&`]{1,32}$/;
+const MAX_TAGS = 20;
+
+// 에이전트 스냅샷에서 목록에 표시하는 문자열 (호스트명, OS, 마운트 경로, 오류) 최대 길이
+const MAX_TEXT = 128;
+const MAX_ERROR = 256;
+
+// 표시용 문자열: 제어 문자와 HTML 특수 문자를 빼고 길이 제한 (문자열이 아니면 null)
+function sanitizeText(value, max = MAX_TEXT) {
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/[\u0000-\u001f\u007f<>"'&`]/g, '').trim().slice(0, max);
+    return text || null;
+}
+
+function sanitizeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// 에이전트가 보낸 그룹/태그 중 규칙에 맞는 것만 사용
+function sanitizeLabels(info) {
+    const group = typeof info.group === 'string' && LABEL_PATTERN.test(info.group) ? info.group : null;
+    const tags = Array.isArray(info.tags)
+        ? Array.from(new Set(info.tags.filter(tag => typeof tag === 'string' && LABEL_PATTERN.test(tag)))).slice(0, MAX_TAGS)
+        : [];
+    return { group, tags };
+}
+
+// 가장 많이 사용 중인 파티션
+function worstPartition(disk) {
+    const partitions = disk && Array.isArray(disk.partitions) ? disk.partitions.filter(part => part && typeof part === 'object') : [];
+    return partitions.reduce((worst, part) => (
+        !worst || part.usagePercent > worst.usagePercent ? part : worst
+    ), null);
+}
+
+// 변경분을 스냅샷에 병합 (섹션 단위 얕은 병합, 배열과 null은 교체)
+function mergeSnapshot(snapshot, delta) {
+    Object.keys(delta).forEach(key => {
+        const value = delta[key];
+        const current = snapshot[key];
+        if (value && current && typeof value === 'object' && !Array.isArray(value)) {
+            snapshot[key] = { ...current, ...value };
+        } else {
+            snapshot[key] = value;
+        }
+    });
+}
+
+/**
+ * 호스트 레지스트리 생성
+ * @param {Object} options
+ * @param {Object} options.local 허브 자신 { name, group, tags, processActions, getSnapshot }
+ * @param {number} [options.staleAfter=10000] 데이터가 없을 때 stale로 표시하기까지의 시간 (ms)
+ */
+function createHostRegistry(options) {
+    const staleAfter = options.staleAfter || DEFAULT_STALE_AFTER;
+    const emitter = new EventEmitter();
+
+    // id → { id, name, address, version, group, tags, processActions, socketId, connected, connectedAt, lastSeen, snapshot, status }
+    const agents = new Map();
+    let timer = null;
+
+    function statusOf(host, now = Date.now()) {
+        if (!host.connected) return 'offline';
+        return now - host.lastSeen > staleAfter ? 'stale' : 'online';
+    }
+
+    /**
+     * 에이전트 연결 등록 (같은 이름의 이전 연결은 대체됨)
+     * @param {string} id 에이전트 이름
+     * @param {Object} info { socketId, address, version, group, tags, processActions }
+     * @returns {string|null} 대체된 이전 연결의 socketId
+     */
+    function connect(id, info) {
+        const existing = agents.get(id);
+        const replaced = existing && existing.connected ? existing.socketId : null;
+        const now = Date.now();
+
+        agents.set(id, {
+            id,
+            name: id,
+            address: info.address || null,
+            version: info.version || null,
+            ...sanitizeLabels(info),
+            processActions: info.processActions === true,
+            socketId: info.socketId,
+            connected: true,
+            connectedAt: now,
+            lastSeen: now,
+            // 다시 연결되면 새 전체 스냅샷을 받을 때까지 마지막 스냅샷 유지
+            snapshot: existing ? existing.snapshot : {},
+            status: 'online'
+        });
+        emitter.emit('change');
+        return replaced;
+    }
+
+    // 에이전트가 보낸 전체 스냅샷 (연결 직후 한 번)
+    function replace(id, snapshot) {
+        const host = agents.get(id);
+        if (!host) return;
+        host.snapshot = { ...snapshot };
+        touch(host);
+    }
+
+    // 에이전트가 보낸 변경분
+    function update(id, delta) {
+        const host = agents.get(id);
+        if (!host) return;
+        if (delta.error) {
+            host.snapshot.error = delta.error;
+        } else {
+            delete host.snapshot.error;
+            mergeSnapshot(host.snapshot, delta);
+        }
+        touch(host);
+        emitter.emit('update', id, delta);
+    }
+
+    function touch(host) {
+        host.lastSeen = Date.now();
+        if (host.status !== 'online') {
+            host.status = 'online';
+            emitter.emit('change');
+        }
+    }
+
+    // 연결 해제 (대체된 이전 연결의 해제는 무시)
+    function disconnect(id, socketId) {
+        const host = agents.get(id);
+        if (!host || host.socketId !== socketId) return;
+        host.connected = false;
+        host.status = 'offline';
+        emitter.emit('change');
+    }
+
+    // 오프라인 호스트 삭제
+    function remove(id) {
+        const host = agents.get(id);
+        if (!host || host.connected) return false;
+        agents.delete(id);
+        emitter.emit('change');
+        return true;
+    }
+
+    function has(id) {
+        return id === LOCAL_ID || agents.has(id);
+    }
+
+    // 호스트의 현재 스냅샷 (없으면 null)
+    function getSnapshot(id) {
+        if (id === LOCAL_ID) return options.local.getSnapshot();
+        const host = agents.get(id);
+        return host ? { ...host.snapshot } : null;
+    }
+
+    // 목록 표시용 요약
+    function summarize(host, snapshot) {
+        const system = snapshot.system || {};
+        const disk = worstPartition(snapshot.disk);
+        return {
+            id: host.id,
+            name: host.name,
+            local: host.id === LOCAL_ID,
+            group: host.group || null,
+            tags: host.tags || [],
+            status: host.status,
+            // 대시보드에서 프로세스 작업(종료, 우선순위 변경)을 허용하는지
+            processActions: Boolean(host.processActions),
+            address: host.address || null,
+            version: sanitizeText(host.version),
+            connectedAt: host.connectedAt || null,
+            lastSeen: host.lastSeen || null,
+            // 에이전트가 보낸 값은 표시 전에 형식과 길이를 제한
+            error: sanitizeText(snapshot.error, MAX_ERROR),
+            hostname: sanitizeText(system.hostname),
+            os: sanitizeText(system.distro) || sanitizeText(system.platform),
+            uptime: sanitizeNumber(system.uptime),
+            cpu: snapshot.cpu ? sanitizeNumber(snapshot.cpu.usage) : null,
+            memory: snapshot.memory ? sanitizeNumber(snapshot.memory.usagePercent) : null,
+            disk: disk ? { mount: sanitizeText(disk.mount) || sanitizeText(disk.fs), usagePercent: sanitizeNumber(disk.usagePercent) } : null
+        };
+    }
+
+    /**
+     * 호스트 목록 (허브 자신, 이름 순 에이전트)
+     * @returns {Object[]}
+     */
+    function list() {
+        const localSnapshot = options.local.getSnapshot();
+        const local = summarize({
+            id: LOCAL_ID,
+            name: options.local.name,
+            ...sanitizeLabels(options.local),
+            processActions: options.local.processActions,
+            status: 'online',
+            lastSeen: localSnapshot.timestamp || null
+        }, localSnapshot);
+
+        const remote = Array.from(agents.values())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(host => summarize(host, host.snapshot));
+
+        return [local, ...remote];
+    }
+
+    function get(id) {
+        return list().find(host => host.id === id) || null;
+    }
+
+    // 데이터가 끊긴 연결을 stale로 표시
+    function check() {
+        const now = Date.now();
+        let changed = false;
+        agents.forEach(host => {
+            const status = statusOf(host, now);
+            if (status !== host.status) {
+                host.status = status;
+                changed = true;
+            }
+        });
+        if (changed) emitter.emit('change');
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(check, CHECK_INTERVAL);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        connect,
+        replace,
+        update,
+        disconnect,
+        remove,
+        has,
+        get,
+        list,
+        getSnapshot,
+        start,
+        stop,
+        on: emitter.on.bind(emitter),
+        off: emitter.off.bind(emitter)
+    };
+}
+
+module.exports = {
+    createHostRegistry,
+    LOCAL_ID,
+    NAME_PATTERN,
+    LABEL_PATTERN
+};
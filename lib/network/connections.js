@@ -0,0 +1,190 @@
+/**
+ * 네트워크 연결 / 수신 대기 포트 조회
+ * si.networkConnections()의 TCP/UDP 연결을 요청이 있을 때만 조회하여
+ * 상태, 포트, 프로토콜, PID로 거르고 페이지 단위로 응답합니다.
+ * 웹 서버, 에이전트, Electron 메인 프로세스가 함께 사용합니다.
+ *
+ * 다른 사용자의 소켓은 모니터를 실행 중인 계정에 권한이 없으면 pid와 process가 null입니다.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// 여러 클라이언트가 동시에 조회해도 연결 목록은 이 시간 동안 재사용
+const DEFAULT_MAX_AGE = 2000;
+
+const PROTOCOLS = ['tcp', 'udp'];
+const STATE_PATTERN = /^[A-Z_0-9]{1,20}$/;
+
+// 수신 대기를 먼저, 나머지는 상태 이름 순
+const STATE_ORDER = ['LISTEN', 'ESTABLISHED'];
+
+// 허브가 에이전트에 전달하는 검증된 조회 조건은 빈 값이 null
+function parseInteger(value, fallback, min, max) {
+    if (value === undefined || value === null || value === '') return { value: fallback };
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${min}~${max} 사이의 정수여야 합니다.` };
+    }
+    return { value: number };
+}
+
+/**
+ * 조회 조건 검증 (쿼리 문자열 또는 에이전트 요청)
+ * @param {Object} params { state, port, protocol, pid, page, pageSize }
+ *   state     연결 상태 목록 (배열 또는 쉼표 구분, 예: LISTEN,ESTABLISHED, 대소문자 무관, 상태 없는 UDP는 NONE)
+ *   port      로컬 또는 원격 포트
+ *   protocol  tcp | udp (IPv6 포함)
+ *   pid       소유 프로세스 PID
+ * @returns {{query?: Object, error?: string}}
+ */
+function validateConnectionQuery(params = {}) {
+    const rawStates = params.state === undefined ? [] : params.state;
+    const states = (Array.isArray(rawStates) ? rawStates : String(rawStates).split(','))
+        .map(state => String(state).trim().toUpperCase())
+        .filter(state => state !== '');
+    if (states.some(state => !STATE_PATTERN.test(state))) {
+        return { error: 'state는 쉼표로 구분한 연결 상태 목록이어야 합니다. (예: LISTEN,ESTABLISHED)' };
+    }
+
+    const port = parseInteger(params.port, null, 0, 65535);
+    if (port.error) return { error: `port는 ${port.error}` };
+
+    const protocol = params.protocol === undefined || params.protocol === null || params.protocol === '' ? null : params.protocol;
+    if (protocol !== null && !PROTOCOLS.includes(protocol)) {
+        return { error: `protocol은 ${PROTOCOLS.join(', ')} 중 하나여야 합니다.` };
+    }
+
+    const pid = parseInteger(params.pid, null, 1, Number.MAX_SAFE_INTEGER);
+    if (pid.error) return { error: `pid는 ${pid.error}` };
+
+    const page = parseInteger(params.page, 1, 1, Number.MAX_SAFE_INTEGER);
+    if (page.error) return { error: `page는 ${page.error}` };
+
+    const pageSize = parseInteger(params.pageSize, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    if (pageSize.error) return { error: `pageSize는 ${pageSize.error}` };
+
+    return {
+        query: { state: states, port: port.value, protocol, pid: pid.value, page: page.value, pageSize: pageSize.value }
+    };
+}
+
+function toPort(value) {
+    const port = Number(value);
+    return Number.isInteger(port) && port >= 0 ? port : null;
+}
+
+// systeminformation 연결 항목 → 조회 항목 (tcp6/udp6은 tcp/udp로 통일)
+function normalize(conn) {
+    return {
+        protocol: String(conn.protocol || '').replace(/6$/, ''),
+        localAddress: conn.localAddress || null,
+        localPort: toPort(conn.localPort),
+        peerAddress: conn.peerAddress || null,
+        peerPort: toPort(conn.peerPort),
+        state: conn.state ? String(conn.state).toUpperCase() : null,
+        pid: conn.pid || null,
+        process: conn.process || null
+    };
+}
+
+function stateRank(state) {
+    const index = STATE_ORDER.indexOf(state);
+    return index === -1 ? STATE_ORDER.length : index;
+}
+
+function compareConnections(a, b) {
+    return stateRank(a.state) - stateRank(b.state)
+        || String(a.state || '').localeCompare(String(b.state || ''))
+        || (a.localPort === null ? 1 : 0) - (b.localPort === null ? 1 : 0)
+        || a.localPort - b.localPort
+        || (a.peerPort || 0) - (b.peerPort || 0);
+}
+
+/**
+ * 연결 목록에 조회 조건 적용
+ * @param {Object[]} list normalize()된 전체 연결
+ * @param {Object} query validateConnectionQuery()의 query
+ * @param {number} timestamp 목록을 조회한 시각
+ * @returns {Object} { timestamp, count, total, page, pageSize, pages, states, connections }
+ *   states는 상태별 연결 수 (상태 조건을 적용하기 전, 상태가 없는 UDP 소켓은 NONE)
+ */
+function queryConnections(list, query, timestamp) {
+    const base = list.filter(conn => (!query.protocol || conn.protocol === query.protocol)
+        && (query.port === null || conn.localPort === query.port || conn.peerPort === query.port)
+        && (query.pid === null || conn.pid === query.pid));
+
+    const states = {};
+    base.forEach(conn => {
+        const state = conn.state || 'NONE';
+        states[state] = (states[state] || 0) + 1;
+    });
+
+    const rows = base
+        .filter(conn => query.state.length === 0 || query.state.includes(conn.state || 'NONE'))
+        .sort(compareConnections);
+
+    const pages = Math.max(1, Math.ceil(rows.length / query.pageSize));
+    const page = Math.min(query.page, pages);
+    const start = (page - 1) * query.pageSize;
+
+    return {
+        timestamp,
+        count: list.length,
+        total: rows.length,
+        page,
+        pageSize: query.pageSize,
+        pages,
+        states,
+        connections: rows.slice(start, start + query.pageSize)
+    };
+}
+
+/**
+ * 연결 조회기 생성
+ * @param {Object} [options]
+ * @param {Object} [options.si] systeminformation 모듈
+ * @param {number} [options.maxAge=2000] 조회한 목록을 재사용할 시간 (ms)
+ */
+function createConnectionExplorer(options = {}) {
+    const si = options.si || require('systeminformation');
+    const maxAge = options.maxAge || DEFAULT_MAX_AGE;
+
+    let cache = null;
+    let pending = null;
+
+    // 동시에 들어온 요청은 진행 중인 조회 하나를 함께 기다림
+    function load() {
+        if (cache && Date.now() - cache.timestamp < maxAge) {
+            return Promise.resolve(cache);
+        }
+        if (!pending) {
+            pending = si.networkConnections()
+                .then(list => {
+                    cache = { timestamp: Date.now(), list: list.map(normalize) };
+                    return cache;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    }
+
+    /**
+     * @param {Object} params validateConnectionQuery()의 query
+     * @returns {Promise<Object>} queryConnections() 결과
+     */
+    async function query(params) {
+        const { timestamp, list } = await load();
+        return queryConnections(list, params, timestamp);
+    }
+
+    return { query };
+}
+
+module.exports = {
+    createConnectionExplorer,
+    validateConnectionQuery,
+    queryConnections
+};
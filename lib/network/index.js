@@ -0,0 +1,6 @@
+/**
+ * System Resource Monitor - 네트워크 연결
+ * 활성 연결과 수신 대기 포트 조회
+ */
+
+module.exports = require('./connections');
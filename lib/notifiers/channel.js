@@ -0,0 +1,132 @@
+/**
+ * 알림 채널 공통 래퍼
+ * 채널별 전송 함수에 재시도(지수 백오프)와 전송량 제한(rate limit)을 적용합니다.
+ *
+ * 공통 설정
+ *   id          채널 식별자 (필수)
+ *   type        webhook | email | desktop
+ *   events      전송할 이벤트 (기본: ["fired", "resolved"])
+ *   retries     실패 시 재시도 횟수 (기본: 3)
+ *   retryDelay  첫 재시도 대기 시간, 이후 2배씩 증가 (기본: "1s")
+ *   rateLimit   { max, window } 기간 내 최대 전송 수 (기본: { max: 10, window: "1m" })
+ */
+
+const { parseDuration } = require('../duration');
+const { createWebhookChannel } = require('./webhook');
+const { createEmailChannel } = require('./email');
+const { createDesktopChannel } = require('./desktop');
+
+const CHANNEL_TYPES = {
+    webhook: createWebhookChannel,
+    email: createEmailChannel,
+    desktop: createDesktopChannel
+};
+
+const DEFAULT_EVENTS = ['fired', 'resolved'];
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 채널 생성
+ * @param {Object} config 채널 설정
+ * @param {Object} [deps] 외부 의존성 (desktop 채널의 Electron Notification 등)
+ */
+function createChannel(config, deps) {
+    if (!config || !config.id) {
+        throw new Error('알림 채널에 id가 필요합니다.');
+    }
+
+    const factory = CHANNEL_TYPES[config.type];
+    if (!factory) {
+        throw new Error(`알림 채널 "${config.id}": type은 ${Object.keys(CHANNEL_TYPES).join(', ')} 중 하나여야 합니다.`);
+    }
+
+    const transport = factory(config, deps);
+    const events = config.events || DEFAULT_EVENTS;
+    const retries = config.retries === undefined ? 3 : config.retries;
+    const retryDelay = parseDuration(config.retryDelay || '1s');
+    const rateLimit = {
+        max: (config.rateLimit && config.rateLimit.max) || 10,
+        window: parseDuration((config.rateLimit && config.rateLimit.window) || '1m')
+    };
+
+    if ([retryDelay, rateLimit.window].some(Number.isNaN)) {
+        throw new Error(`알림 채널 "${config.id}": retryDelay/rateLimit.window 형식이 올바르지 않습니다.`);
+    }
+
+    // 최근 전송 시각 (rate limit 계산용)
+    let sentAt = [];
+
+    function allowSend(now) {
+        sentAt = sentAt.filter(t => now - t < rateLimit.window);
+        if (sentAt.length >= rateLimit.max) return false;
+        sentAt.push(now);
+        return true;
+    }
+
+    /**
+     * 알림 전송 (rate limit 적용, 실패 시 재시도)
+     * @returns {Promise<{ok: boolean, skipped?: boolean, attempts?: number, error?: string}>}
+     */
+    async function notify(payload) {
+        if (!events.includes(payload.event)) {
+            return { ok: false, skipped: true };
+        }
+        if (!allowSend(Date.now())) {
+            console.warn(`알림 채널 "${config.id}": 전송 한도(${rateLimit.max}회/${rateLimit.window}ms)를 초과하여 건너뜁니다.`);
+            return { ok: false, skipped: true };
+        }
+
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await delay(retryDelay * Math.pow(2, attempt - 1));
+            }
+            try {
+                await transport.send(payload);
+                return { ok: true, attempts: attempt + 1 };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        console.error(`알림 채널 "${config.id}" 전송 실패 (${retries + 1}회 시도):`, lastError.message);
+        return { ok: false, attempts: retries + 1, error: lastError.message };
+    }
+
+    // 테스트 전송 (재시도/한도 없이 한 번만 시도하여 결과를 바로 반환)
+    async function test(payload) {
+        try {
+            await transport.send(payload);
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    function describe() {
+        return {
+            id: config.id,
+            type: config.type,
+            name: config.name || config.id,
+            events,
+            retries,
+            rateLimit,
+            ...transport.describe()
+        };
+    }
+
+    return {
+        id: config.id,
+        notify,
+        test,
+        describe
+    };
+}
+
+module.exports = {
+    createChannel,
+    CHANNEL_TYPES
+};
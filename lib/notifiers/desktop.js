@@ -0,0 +1,33 @@
+/**
+ * 데스크톱 알림 채널 (Electron 전용)
+ * Electron의 Notification 클래스를 주입받아 OS 기본 알림을 표시합니다.
+ */
+
+const { formatTitle, formatBody } = require('./format');
+
+function createDesktopChannel(config, deps = {}) {
+    const Notification = deps.Notification;
+    if (!Notification) {
+        throw new Error(`알림 채널 "${config.id}": 데스크톱 알림은 Electron 앱에서만 사용할 수 있습니다.`);
+    }
+
+    return {
+        async send(payload) {
+            if (!Notification.isSupported()) {
+                throw new Error('이 시스템은 데스크톱 알림을 지원하지 않습니다.');
+            }
+
+            new Notification({
+                title: formatTitle(payload),
+                body: formatBody(payload),
+                urgency: payload.alert.severity === 'critical' ? 'critical' : 'normal'
+            }).show();
+        },
+
+        describe() {
+            return {};
+        }
+    };
+}
+
+module.exports = { createDesktopChannel };
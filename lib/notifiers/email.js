@@ -0,0 +1,48 @@
+/**
+ * 이메일(SMTP) 알림 채널
+ *
+ * {
+ *   "type": "email",
+ *   "host": "smtp.example.com", "port": 587, "secure": false,
+ *   "user": "monitor", "pass": "secret",
+ *   "from": "monitor@example.com", "to": ["ops@example.com"]
+ * }
+ */
+
+const nodemailer = require('nodemailer');
+const { formatTitle, formatBody } = require('./format');
+
+function createEmailChannel(config) {
+    if (!config.host) {
+        throw new Error(`알림 채널 "${config.id}": SMTP host가 필요합니다.`);
+    }
+    if (!config.from || !config.to || config.to.length === 0) {
+        throw new Error(`알림 채널 "${config.id}": from과 to가 필요합니다.`);
+    }
+
+    const transport = nodemailer.createTransport({
+        host: config.host,
+        port: config.port || 587,
+        secure: config.secure === true,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        tls: config.rejectUnauthorized === false ? { rejectUnauthorized: false } : undefined
+    });
+
+    return {
+        async send(payload) {
+            await transport.sendMail({
+                from: config.from,
+                to: config.to,
+                subject: formatTitle(payload),
+                text: formatBody(payload),
+                headers: { 'X-System-Monitor-Event': payload.event }
+            });
+        },
+
+        describe() {
+            return { host: config.host, port: config.port || 587, to: config.to };
+        }
+    };
+}
+
+module.exports = { createEmailChannel };
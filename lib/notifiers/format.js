@@ -0,0 +1,45 @@
+/**
+ * 알림 메시지 포맷
+ * 이메일 제목/본문과 데스크톱 알림 문구에 공통으로 사용합니다.
+ */
+
+const SEVERITY_LABELS = {
+    info: '정보',
+    warning: '경고',
+    critical: '위험'
+};
+
+const EVENT_LABELS = {
+    fired: '발생',
+    resolved: '해소',
+    test: '테스트'
+};
+
+function formatValue(value) {
+    return typeof value === 'number' ? String(parseFloat(value.toFixed(2))) : '-';
+}
+
+function formatTitle(payload) {
+    const { event, alert, host } = payload;
+    const severity = SEVERITY_LABELS[alert.severity] || alert.severity;
+    return `[${EVENT_LABELS[event] || event}] ${severity} - ${alert.name} (${host})`;
+}
+
+function formatBody(payload) {
+    const { event, alert } = payload;
+    const value = event === 'resolved' ? alert.lastValue : alert.value;
+    const lines = [
+        `조건: ${alert.metric} ${alert.operator} ${alert.threshold}`,
+        `현재 값: ${formatValue(value)}`,
+        `발생 시각: ${new Date(alert.firedAt).toLocaleString('ko-KR')}`
+    ];
+    if (alert.resolvedAt) {
+        lines.push(`해소 시각: ${new Date(alert.resolvedAt).toLocaleString('ko-KR')}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    formatTitle,
+    formatBody
+};
@@ -0,0 +1,112 @@
+/**
+ * System Resource Monitor - 알림 전송
+ * 알림 엔진의 발생/해소 이벤트를 설정된 채널(웹훅, 이메일, 데스크톱)로 전달합니다.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { createChannel } = require('./channel');
+
+/**
+ * 채널 설정 파일 로드 (JSON 배열). 파일이 없으면 빈 목록을 반환합니다.
+ * @param {string} [file]
+ */
+function loadChannels(file) {
+    if (!file || !fs.existsSync(file)) {
+        return [];
+    }
+
+    try {
+        const channels = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(channels)) {
+            throw new Error('채널 목록은 배열이어야 합니다.');
+        }
+        return channels;
+    } catch (error) {
+        throw new Error(`알림 채널 파일 ${file}을 읽을 수 없습니다: ${error.message}`);
+    }
+}
+
+/**
+ * 알림 디스패처 생성
+ * @param {Object} options
+ * @param {Object[]} options.channels 채널 설정 목록
+ * @param {Object} [options.deps] 채널 의존성 (Electron Notification 등)
+ * @param {string} [options.hostname] 알림에 표시할 호스트명
+ */
+function createNotificationDispatcher(options) {
+    const hostname = options.hostname || os.hostname();
+    const channels = options.channels.map(config => createChannel(config, options.deps));
+
+    const ids = new Set();
+    channels.forEach(channel => {
+        if (ids.has(channel.id)) {
+            throw new Error(`알림 채널 "${channel.id}"이(가) 중복되었습니다.`);
+        }
+        ids.add(channel.id);
+    });
+
+    function buildPayload(event, alert) {
+        return {
+            event,
+            host: hostname,
+            timestamp: Date.now(),
+            alert
+        };
+    }
+
+    // 모든 채널에 전송 (채널 간 실패는 서로 영향을 주지 않음)
+    function notify(event, alert) {
+        const payload = buildPayload(event, alert);
+        return Promise.all(channels.map(channel => channel.notify(payload)));
+    }
+
+    // 알림 엔진 이벤트 구독 (무음 처리된 알림은 전송하지 않음)
+    function attach(engine) {
+        engine.on('fired', (alert) => {
+            if (!alert.silenced) notify('fired', alert);
+        });
+        engine.on('resolved', (alert) => {
+            if (!alert.silenced) notify('resolved', alert);
+        });
+    }
+
+    /**
+     * 테스트 알림 전송
+     * @param {string} id 채널 id
+     * @returns {Promise<{ok: boolean, error?: string}>|null} 채널이 없으면 null
+     */
+    function test(id) {
+        const channel = channels.find(c => c.id === id);
+        if (!channel) return null;
+
+        const now = Date.now();
+        return channel.test(buildPayload('test', {
+            id: 'test',
+            ruleId: 'test',
+            name: '테스트 알림',
+            metric: 'cpu.usage',
+            severity: 'info',
+            operator: '>',
+            threshold: 90,
+            value: 95,
+            lastValue: 95,
+            state: 'firing',
+            startedAt: now,
+            firedAt: now,
+            resolvedAt: null
+        }));
+    }
+
+    return {
+        attach,
+        notify,
+        test,
+        list: () => channels.map(channel => channel.describe())
+    };
+}
+
+module.exports = {
+    createNotificationDispatcher,
+    loadChannels
+};
@@ -0,0 +1,52 @@
+/**
+ * 웹훅 알림 채널
+ * 알림 페이로드를 JSON으로 지정한 URL에 전송합니다.
+ *
+ * { "type": "webhook", "url": "https://example.com/hook", "headers": { "Authorization": "Bearer ..." } }
+ */
+
+const { parseDuration } = require('../duration');
+
+function createWebhookChannel(config) {
+    if (!config.url) {
+        throw new Error(`알림 채널 "${config.id}": url이 필요합니다.`);
+    }
+
+    // 잘못된 주소는 채널을 만들 때 거부 (쿼리 문자열의 토큰이 로그에 남지 않도록 주소는 표시하지 않음)
+    let url;
+    try {
+        url = new URL(config.url);
+    } catch (error) {
+        throw new Error(`알림 채널 "${config.id}": url 형식이 올바르지 않습니다.`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`알림 채널 "${config.id}": url은 http 또는 https 주소여야 합니다.`);
+    }
+
+    const timeout = parseDuration(config.timeout || '5s');
+
+    return {
+        async send(payload) {
+            const response = await fetch(config.url, {
+                method: config.method || 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...config.headers
+                },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`웹훅 응답 오류: HTTP ${response.status}`);
+            }
+        },
+
+        // 쿼리 문자열의 토큰 등이 노출되지 않도록 경로까지만 표시
+        describe() {
+            return { url: `${url.origin}${url.pathname}` };
+        }
+    };
+}
+
+module.exports = { createWebhookChannel };
@@ -0,0 +1,116 @@
+/**
+ * 프로세스 작업 (시그널 전송, 우선순위 변경)
+ * 웹 서버, 에이전트, Electron 메인 프로세스가 함께 사용합니다.
+ *
+ * 작업 전에 PID의 현재 프로세스를 다시 조회하여, 화면에서 본 프로세스 이름과 다르면
+ * (그 사이 PID가 다른 프로세스에 재사용된 경우) 실행하지 않습니다.
+ */
+
+const os = require('os');
+
+const SIGNALS = ['SIGTERM', 'SIGKILL', 'SIGINT', 'SIGHUP'];
+const NICE_MIN = -20;
+const NICE_MAX = 19;
+
+/**
+ * 작업 요청 검증
+ * @param {Object} request { pid, type: 'signal' | 'renice', signal?, nice?, name? }
+ * @returns {{action?: Object, error?: string}}
+ */
+function validateAction(request) {
+    const pid = Number(request.pid);
+    if (!Number.isInteger(pid) || pid < 1) {
+        return { error: 'PID는 양의 정수여야 합니다.' };
+    }
+    if (request.name !== undefined && typeof request.name !== 'string') {
+        return { error: 'name은 문자열이어야 합니다.' };
+    }
+
+    const base = { pid, name: request.name || null };
+
+    if (request.type === 'signal') {
+        if (!SIGNALS.includes(request.signal)) {
+            return { error: `signal은 ${SIGNALS.join(', ')} 중 하나여야 합니다.` };
+        }
+        return { action: { ...base, type: 'signal', signal: request.signal } };
+    }
+
+    if (request.type === 'renice') {
+        const nice = Number(request.nice);
+        if (!Number.isInteger(nice) || nice < NICE_MIN || nice > NICE_MAX) {
+            return { error: `nice 값은 ${NICE_MIN}~${NICE_MAX} 사이의 정수여야 합니다.` };
+        }
+        return { action: { ...base, type: 'renice', nice } };
+    }
+
+    return { error: '작업은 signal, renice 중 하나여야 합니다.' };
+}
+
+// 시스템 오류 코드 → HTTP 상태와 안내 메시지
+function describeError(error) {
+    if (error.code === 'ESRCH') {
+        return { status: 404, error: '프로세스가 이미 종료되었습니다.' };
+    }
+    if (error.code === 'EPERM' || error.code === 'EACCES') {
+        return { status: 403, error: '모니터를 실행 중인 계정에 이 프로세스를 제어할 권한이 없습니다.' };
+    }
+    return { status: 500, error: error.message };
+}
+
+/**
+ * 검증된 작업 실행
+ * @param {Object} action validateAction()의 action
+ * @param {Object} [options]
+ * @param {Object} [options.si] systeminformation 모듈
+ * @returns {Promise<{ok: boolean, status: number, error?: string, process?: Object}>}
+ */
+async function performAction(action, options = {}) {
+    const si = options.si || require('systeminformation');
+
+    if (action.pid === process.pid) {
+        return { ok: false, status: 409, error: '모니터 자신의 프로세스에는 실행할 수 없습니다.' };
+    }
+
+    const { list } = await si.processes();
+    const target = list.find(p => p.pid === action.pid);
+    if (!target) {
+        return { ok: false, status: 404, error: `PID ${action.pid} 프로세스를 찾을 수 없습니다.` };
+    }
+
+    const info = { pid: target.pid, name: target.name, user: target.user || null, nice: target.nice };
+    if (action.name && action.name !== target.name) {
+        return {
+            ok: false,
+            status: 409,
+            error: `PID ${action.pid}는 현재 "${target.name}" 프로세스입니다. 목록을 새로 고친 뒤 다시 시도하세요.`,
+            process: info
+        };
+    }
+
+    try {
+        if (action.type === 'signal') {
+            process.kill(action.pid, action.signal);
+        } else {
+            os.setPriority(action.pid, action.nice);
+        }
+    } catch (error) {
+        return { ok: false, ...describeError(error), process: info };
+    }
+    return { ok: true, status: 200, process: info };
+}
+
+// 작업 설명 (로그, 감사 기록용)
+function describeAction(action) {
+    return action.type === 'signal'
+        ? `${action.signal} → PID ${action.pid}`
+        : `nice ${action.nice} → PID ${action.pid}`;
+}
+
+module.exports = {
+    validateAction,
+    performAction,
+    describeAction,
+    SIGNALS,
+    NICE_MIN,
+    NICE_MAX
+};
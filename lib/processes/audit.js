@@ -0,0 +1,83 @@
+/**
+ * 감사 로그
+ * 프로세스 작업 등 시스템을 변경한 작업을 JSON Lines 파일에 한 줄씩 추가합니다.
+ * 최근 기록은 메모리에도 보관하여 대시보드에서 조회합니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 500;
+
+/**
+ * 감사 로그 생성
+ * @param {Object} options
+ * @param {string} options.file 로그 파일 경로
+ * @param {number} [options.limit=500] 메모리에 보관할 최근 기록 수
+ */
+function createAuditLog(options) {
+    const file = options.file;
+    const limit = options.limit || DEFAULT_LIMIT;
+
+    let entries = [];
+    let pending = Promise.resolve();
+
+    // 최근 기록 로드 (손상된 줄은 건너뜀)
+    if (fs.existsSync(file)) {
+        try {
+            entries = fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .flatMap(line => {
+                    try {
+                        return [JSON.parse(line)];
+                    } catch (error) {
+                        return [];
+                    }
+                })
+                .slice(-limit);
+        } catch (error) {
+            console.error(`감사 로그 ${file}을 읽을 수 없습니다:`, error.message);
+        }
+    }
+
+    /**
+     * 기록 추가 (파일 쓰기는 순서대로 처리)
+     * @param {Object} entry { user, host, action, signal?, nice?, pid, name, result, error? }
+     * @returns {Object} 저장된 기록
+     */
+    function record(entry) {
+        const saved = { time: Date.now(), ...entry };
+        entries.push(saved);
+        if (entries.length > limit) {
+            entries = entries.slice(entries.length - limit);
+        }
+
+        pending = pending
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.appendFile(file, JSON.stringify(saved) + '\n'))
+            .catch(error => console.error('감사 로그 기록 오류:', error));
+        return saved;
+    }
+
+    /**
+     * 최근 기록 (최신순)
+     * @param {Object} [params]
+     * @param {string} [params.host] 호스트 id로 거르기
+     * @param {number} [params.limit]
+     */
+    function list({ host, limit: max = limit } = {}) {
+        return entries
+            .filter(entry => !host || entry.host === host)
+            .slice(-max)
+            .reverse();
+    }
+
+    function flush() {
+        return pending;
+    }
+
+    return { record, list, flush };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,502 @@
+/**
+ * 프로세스 탐색기
+ * 1초마다 전송하는 상위 N개 목록과 달리, 요청이 있을 때만 전체 프로세스 목록을 조회하여
+ * 정렬, 검색, 페이지 나누기, 부모/자식 트리 구성을 서버에서 처리합니다.
+ * 웹 서버, 에이전트, Electron 메인 프로세스가 함께 사용합니다.
+ *
+ * 트리 보기는 부모 → 자식 순서로 펼친 행에 depth(들여쓰기 단계)와 children(자식 수)을 붙이고,
+ * 같은 부모의 자식끼리 정렬합니다. 검색 중에는 일치하는 프로세스와 그 상위 프로세스만 표시합니다.
+ *
+ * 묶기(group)를 지정하면 이름, 사용자 또는 cgroup(컨테이너)이 같은 프로세스를 한 행으로 합쳐
+ * CPU, 메모리, RSS 합계와 프로세스 수를 보여 주고, 펼친(expanded) 묶음 아래에 개별 프로세스를 붙입니다.
+ * 묶기는 목록 보기에서만 사용할 수 있습니다.
+ *
+ * 상세 화면에서 연 프로세스는 상위 N개에서 빠지더라도 TRACK_INTERVAL마다 CPU/메모리를 기록합니다.
+ * 상세 화면이 TRACK_LEASE 동안 조회하지 않으면 추적을 멈추고 기록을 버립니다.
+ * 종료된 프로세스는 조회해도 추적 기간을 연장하지 않으며, 같은 PID로 새 프로세스가 실행되면 새로 추적합니다.
+ * 동시에 추적하는 프로세스는 MAX_TRACKED개까지이며, 넘으면 가장 오래 조회하지 않은 항목을 버립니다.
+ */
+
+const { inspectProcess, readCgroup, describeCgroup } = require('./inspect');
+
+const SORT_KEYS = ['cpu', 'mem', 'memRss', 'pid', 'name', 'user', 'started'];
+const VIEWS = ['list', 'tree'];
+const GROUPS = ['name', 'user', 'cgroup'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_SEARCH_LENGTH = 100;
+const MAX_COLLAPSED = 1000;
+const MAX_EXPANDED = 100;
+const MAX_GROUP_KEY_LENGTH = 1024;
+
+// 여러 클라이언트가 동시에 조회해도 프로세스 목록은 이 시간 동안 재사용
+const DEFAULT_MAX_AGE = 2000;
+
+// 프로세스 추적 주기, 보관 개수(10분), 조회가 없을 때 추적을 멈추기까지의 시간
+const TRACK_INTERVAL = 2000;
+const TRACK_POINTS = 300;
+const TRACK_LEASE = 60000;
+const MAX_TRACKED = 50;
+
+// 이름, 사용자, 시작 시각, PID는 오름차순, 사용률은 내림차순이 기본
+const ASCENDING_KEYS = ['name', 'user', 'started', 'pid'];
+
+function parseInteger(value, fallback, min, max) {
+    if (value === undefined || value === '') return { value: fallback };
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${min}~${max} 사이의 정수여야 합니다.` };
+    }
+    return { value: number };
+}
+
+/**
+ * 조회 조건 검증 (쿼리 문자열 또는 에이전트 요청)
+ * @param {Object} params { sort, order, search, page, pageSize, view, collapsed, group, expanded }
+ *   collapsed  트리에서 자식을 접은 PID 목록 (배열 또는 쉼표 구분 문자열)
+ *   group      묶기 기준 (name, user, cgroup, 비우면 묶지 않음)
+ *   expanded   펼친 묶음 이름 목록 (배열 또는 문자열 하나, 이름에 쉼표가 있을 수 있어 나누지 않음)
+ * @returns {{query?: Object, error?: string}}
+ */
+function validateProcessQuery(params = {}) {
+    const sort = params.sort === undefined ? 'cpu' : params.sort;
+    if (!SORT_KEYS.includes(sort)) {
+        return { error: `sort는 ${SORT_KEYS.join(', ')} 중 하나여야 합니다.` };
+    }
+
+    const order = params.order === undefined ? (ASCENDING_KEYS.includes(sort) ? 'asc' : 'desc') : params.order;
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order는 asc, desc 중 하나여야 합니다.' };
+    }
+
+    const view = params.view === undefined ? 'list' : params.view;
+    if (!VIEWS.includes(view)) {
+        return { error: `view는 ${VIEWS.join(', ')} 중 하나여야 합니다.` };
+    }
+
+    if (params.search !== undefined && typeof params.search !== 'string') {
+        return { error: 'search는 문자열이어야 합니다.' };
+    }
+    const search = (params.search || '').trim();
+    if (search.length > MAX_SEARCH_LENGTH) {
+        return { error: `search는 ${MAX_SEARCH_LENGTH}자 이하여야 합니다.` };
+    }
+
+    const page = parseInteger(params.page, 1, 1, Number.MAX_SAFE_INTEGER);
+    if (page.error) return { error: `page는 ${page.error}` };
+
+    const pageSize = parseInteger(params.pageSize, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    if (pageSize.error) return { error: `pageSize는 ${pageSize.error}` };
+
+    const rawCollapsed = params.collapsed === undefined ? [] : params.collapsed;
+    const collapsed = (Array.isArray(rawCollapsed) ? rawCollapsed : String(rawCollapsed).split(','))
+        .filter(item => item !== '')
+        .map(Number);
+    if (collapsed.some(pid => !Number.isInteger(pid) || pid < 0) || collapsed.length > MAX_COLLAPSED) {
+        return { error: `collapsed는 쉼표로 구분한 PID 목록이어야 합니다. (최대 ${MAX_COLLAPSED}개)` };
+    }
+
+    const group = params.group === undefined || params.group === '' ? null : params.group;
+    if (group !== null && !GROUPS.includes(group)) {
+        return { error: `group은 ${GROUPS.join(', ')} 중 하나여야 합니다.` };
+    }
+    if (group && view !== 'list') {
+        return { error: 'group은 목록 보기(view=list)에서만 사용할 수 있습니다.' };
+    }
+
+    const rawExpanded = params.expanded === undefined ? [] : params.expanded;
+    const expanded = Array.isArray(rawExpanded) ? rawExpanded : [rawExpanded];
+    if (expanded.some(key => typeof key !== 'string' || key.length > MAX_GROUP_KEY_LENGTH) || expanded.length > MAX_EXPANDED) {
+        return { error: `expanded는 묶음 이름 목록이어야 합니다. (최대 ${MAX_EXPANDED}개)` };
+    }
+
+    return {
+        query: {
+            sort, order, view, search, page: page.value, pageSize: pageSize.value, collapsed, group, expanded
+        }
+    };
+}
+
+// systeminformation 프로세스 항목 → 탐색기 항목
+function normalize(p) {
+    return {
+        pid: p.pid,
+        parentPid: p.parentPid || null,
+        name: p.name,
+        user: p.user || '',
+        state: p.state || null,
+        cpu: p.cpu || 0,
+        mem: p.mem || 0,
+        memRss: p.memRss || 0,
+        nice: p.nice,
+        started: p.started || '',
+        command: [p.command, p.params].filter(part => part).join(' ')
+    };
+}
+
+function compareBy(sort, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    return (a, b) => {
+        const left = a[sort];
+        const right = b[sort];
+        const result = typeof left === 'string' ? left.localeCompare(right) : left - right;
+        // 같은 값이면 PID 순으로 고정하여 페이지 사이에서 순서가 바뀌지 않게 함
+        return result * direction || a.pid - b.pid;
+    };
+}
+
+function matcher(search) {
+    const text = search.toLowerCase();
+    return proc => String(proc.pid) === search
+        || proc.name.toLowerCase().includes(text)
+        || proc.user.toLowerCase().includes(text)
+        || proc.command.toLowerCase().includes(text);
+}
+
+// 부모 → 자식 순서로 펼친 트리 행
+function flattenTree(list, query, matches) {
+    const byPid = new Map(list.map(proc => [proc.pid, proc]));
+    const children = new Map();
+    const roots = [];
+
+    list.forEach(proc => {
+        const parent = proc.parentPid !== proc.pid ? byPid.get(proc.parentPid) : null;
+        if (!parent) {
+            roots.push(proc);
+            return;
+        }
+        if (!children.has(parent.pid)) children.set(parent.pid, []);
+        children.get(parent.pid).push(proc);
+    });
+
+    // 검색 중에는 일치하는 프로세스와 그 상위 프로세스만 표시
+    let visible = null;
+    if (matches) {
+        visible = new Set();
+        list.filter(matches).forEach(proc => {
+            let current = proc;
+            while (current && !visible.has(current.pid)) {
+                visible.add(current.pid);
+                current = byPid.get(current.parentPid);
+            }
+        });
+    }
+
+    const compare = compareBy(query.sort, query.order);
+    const collapsed = new Set(query.collapsed);
+    const visited = new Set();
+    const rows = [];
+
+    function visit(proc, depth) {
+        if (visited.has(proc.pid)) return;
+        visited.add(proc.pid);
+
+        const kids = (children.get(proc.pid) || [])
+            .filter(child => !visible || visible.has(child.pid))
+            .sort(compare);
+        rows.push({
+            ...proc,
+            depth,
+            children: kids.length,
+            collapsed: collapsed.has(proc.pid),
+            match: matches ? matches(proc) : true
+        });
+        if (!collapsed.has(proc.pid)) {
+            kids.forEach(child => visit(child, depth + 1));
+        }
+    }
+
+    roots
+        .filter(proc => !visible || visible.has(proc.pid))
+        .sort(compare)
+        .forEach(proc => visit(proc, 0));
+    return rows;
+}
+
+// 묶기 기준 값 (cgroup을 읽지 못한 프로세스는 빈 문자열로 묶음)
+function groupKeyOf(proc, group) {
+    if (group === 'cgroup') return proc.cgroup || '';
+    return proc[group] || '';
+}
+
+// 묶음 행 정렬: 사용률은 합계, PID는 프로세스 수, 그 밖에는 묶음 이름 기준
+function compareGroups(sort, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    const valueOf = row => {
+        if (sort === 'cpu' || sort === 'mem' || sort === 'memRss') return row[sort];
+        if (sort === 'pid') return row.count;
+        return row.group;
+    };
+    return (a, b) => {
+        const left = valueOf(a);
+        const right = valueOf(b);
+        const result = typeof left === 'string' ? left.localeCompare(right) : left - right;
+        return result * direction || a.group.localeCompare(b.group);
+    };
+}
+
+// 묶음 행과 펼친 묶음의 개별 프로세스 행
+function groupRows(list, query) {
+    const groups = new Map();
+    list.forEach(proc => {
+        const key = groupKeyOf(proc, query.group);
+        if (!groups.has(key)) {
+            groups.set(key, { group: key, count: 0, cpu: 0, mem: 0, memRss: 0, members: [] });
+        }
+        const row = groups.get(key);
+        row.count += 1;
+        row.cpu += proc.cpu;
+        row.mem += proc.mem;
+        row.memRss += proc.memRss;
+        row.members.push(proc);
+    });
+
+    const compare = compareBy(query.sort, query.order);
+    const expanded = new Set(query.expanded);
+    const rows = [];
+    Array.from(groups.values())
+        .sort(compareGroups(query.sort, query.order))
+        .forEach(({ members, ...row }) => {
+            const isExpanded = expanded.has(row.group);
+            rows.push({ ...row, expanded: isExpanded });
+            if (isExpanded) {
+                members.sort(compare).forEach(proc => rows.push({ ...proc, depth: 1 }));
+            }
+        });
+    return rows;
+}
+
+/**
+ * 프로세스 목록에 조회 조건 적용
+ * @param {Object[]} list normalize()된 전체 프로세스 (cgroup으로 묶을 때는 cgroup 포함)
+ * @param {Object} query validateProcessQuery()의 query
+ * @param {number} timestamp 목록을 조회한 시각
+ * @returns {Object} { timestamp, count, total, page, pageSize, pages, sort, order, view, group, groups, processes }
+ *   groups는 묶음 수 (묶지 않으면 null)
+ *   묶음 행은 { group, count, cpu, mem, memRss, expanded }, 펼친 묶음의 프로세스 행은 depth: 1
+ */
+function queryProcesses(list, query, timestamp) {
+    const matches = query.search ? matcher(query.search) : null;
+
+    let rows;
+    if (query.view === 'tree') {
+        rows = flattenTree(list, query, matches);
+    } else if (query.group) {
+        rows = groupRows(list.filter(proc => !matches || matches(proc)), query);
+    } else {
+        rows = list.filter(proc => !matches || matches(proc)).sort(compareBy(query.sort, query.order));
+    }
+
+    const pages = Math.max(1, Math.ceil(rows.length / query.pageSize));
+    const page = Math.min(query.page, pages);
+    const start = (page - 1) * query.pageSize;
+
+    return {
+        timestamp,
+        count: list.length,
+        total: rows.length,
+        page,
+        pageSize: query.pageSize,
+        pages,
+        sort: query.sort,
+        order: query.order,
+        view: query.view,
+        group: query.group || null,
+        groups: query.group ? rows.filter(row => row.group !== undefined).length : null,
+        processes: rows.slice(start, start + query.pageSize)
+    };
+}
+
+/**
+ * 프로세스 탐색기 생성
+ * @param {Object} [options]
+ * @param {Object} [options.si] systeminformation 모듈
+ * @param {number} [options.maxAge=2000] 조회한 목록을 재사용할 시간 (ms)
+ */
+function createProcessExplorer(options = {}) {
+    const si = options.si || require('systeminformation');
+    const maxAge = options.maxAge || DEFAULT_MAX_AGE;
+
+    let cache = null;
+    let pending = null;
+
+    // cgroup 묶기 이름: "pid:시작 시각" → 이름 (목록에서 사라진 프로세스는 다음 조회 때 정리)
+    const cgroups = new Map();
+
+    // 추적 중인 프로세스: pid → { pid, started, process, exited, history, lastAccess }
+    const tracked = new Map();
+    let timer = null;
+
+    // 동시에 들어온 요청은 진행 중인 조회 하나를 함께 기다림
+    function load(age = maxAge) {
+        if (cache && Date.now() - cache.timestamp < age) {
+            return Promise.resolve(cache);
+        }
+        if (!pending) {
+            pending = si.processes()
+                .then(({ list }) => {
+                    cache = { timestamp: Date.now(), list: list.map(normalize) };
+                    return cache;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    }
+
+    // 목록의 각 프로세스에 cgroup 묶기 이름을 붙임 (프로세스마다 처음 한 번만 읽음)
+    async function attachCgroups(list) {
+        const alive = new Set();
+        await Promise.all(list.map(async proc => {
+            const key = `${proc.pid}:${proc.started}`;
+            alive.add(key);
+            if (!cgroups.has(key)) {
+                const path = await readCgroup(proc.pid);
+                cgroups.set(key, path ? describeCgroup(path) : null);
+            }
+            proc.cgroup = cgroups.get(key);
+        }));
+        cgroups.forEach((value, key) => {
+            if (!alive.has(key)) cgroups.delete(key);
+        });
+    }
+
+    /**
+     * @param {Object} params validateProcessQuery()의 query
+     * @returns {Promise<Object>} queryProcesses() 결과
+     */
+    async function query(params) {
+        const { timestamp, list } = await load();
+        if (params.group === 'cgroup') await attachCgroups(list);
+        return queryProcesses(list, params, timestamp);
+    }
+
+    // 같은 PID라도 시작 시각이 다르면 다른 프로세스(PID 재사용)로 보고 종료된 것으로 처리
+    function recordSample(entry, list, timestamp) {
+        const proc = list.find(p => p.pid === entry.pid && p.started === entry.started);
+        if (!proc) {
+            entry.exited = true;
+            return;
+        }
+
+        entry.process = proc;
+        const last = entry.history[entry.history.length - 1];
+        if (last && last.timestamp === timestamp) return;
+
+        entry.history.push({ timestamp, cpu: proc.cpu, mem: proc.mem, memRss: proc.memRss });
+        if (entry.history.length > TRACK_POINTS) {
+            entry.history.shift();
+        }
+    }
+
+    async function sampleTracked() {
+        const now = Date.now();
+        tracked.forEach((entry, pid) => {
+            if (now - entry.lastAccess > TRACK_LEASE) tracked.delete(pid);
+        });
+        if (tracked.size === 0) {
+            clearInterval(timer);
+            timer = null;
+            return;
+        }
+
+        const { timestamp, list } = await load(TRACK_INTERVAL / 2);
+        tracked.forEach(entry => {
+            if (!entry.exited) recordSample(entry, list, timestamp);
+        });
+    }
+
+    // 추적 개수 제한: 종료된 항목을 먼저, 그다음 가장 오래 조회하지 않은 항목을 버림
+    function evictTracked() {
+        while (tracked.size >= MAX_TRACKED) {
+            let oldest = null;
+            tracked.forEach(entry => {
+                if (!oldest || entry.exited > oldest.exited ||
+                    (entry.exited === oldest.exited && entry.lastAccess < oldest.lastAccess)) {
+                    oldest = entry;
+                }
+            });
+            tracked.delete(oldest.pid);
+        }
+    }
+
+    /**
+     * 프로세스 상세 조회 (추적을 시작하거나 연장)
+     * @param {number} pid
+     * @param {Object} [params]
+     * @param {boolean} [params.inspect=false] 스레드, 열린 파일, 포트도 조회
+     * @returns {Promise<Object|null>} { process, exited, history, details } (추적 중이 아니고 실행 중이지도 않으면 null)
+     */
+    async function detail(pid, params = {}) {
+        const { timestamp, list } = await load();
+
+        let entry = tracked.get(pid);
+        if (entry && !entry.exited) recordSample(entry, list, timestamp);
+
+        // 종료된 항목의 PID를 새 프로세스가 쓰고 있으면 이전 기록을 버리고 새로 추적
+        const proc = list.find(p => p.pid === pid);
+        if (entry && entry.exited && proc && proc.started !== entry.started) {
+            tracked.delete(pid);
+            entry = null;
+        }
+
+        if (!entry) {
+            if (!proc) return null;
+
+            evictTracked();
+            entry = { pid, started: proc.started, process: proc, exited: false, history: [], lastAccess: Date.now() };
+            tracked.set(pid, entry);
+            recordSample(entry, list, timestamp);
+            if (!timer) {
+                timer = setInterval(() => {
+                    sampleTracked().catch(error => console.error('프로세스 추적 오류:', error));
+                }, TRACK_INTERVAL);
+                timer.unref();
+            }
+        }
+
+        // 종료된 프로세스는 추적 기간을 연장하지 않음 (TRACK_LEASE가 지나면 정리)
+        if (!entry.exited) entry.lastAccess = Date.now();
+
+        const details = params.inspect && !entry.exited ? await inspectProcess(pid, { si }) : null;
+        return {
+            process: entry.process,
+            exited: entry.exited,
+            history: entry.history.slice(),
+            details
+        };
+    }
+
+    return { query, detail };
+}
+
+/**
+ * 프로세스 상세 요청 처리 (웹 서버, 에이전트, Electron 공용 응답 형식)
+ * @param {Object} explorer createProcessExplorer() 결과
+ * @param {Object} request { pid, inspect }
+ * @returns {Promise<{ok: boolean, status: number, error?: string, result?: Object}>}
+ */
+async function getProcessDetail(explorer, request = {}) {
+    const pid = Number(request.pid);
+    if (!Number.isInteger(pid) || pid < 1) {
+        return { ok: false, status: 400, error: 'PID는 양의 정수여야 합니다.' };
+    }
+
+    const result = await explorer.detail(pid, { inspect: request.inspect === true });
+    if (!result) {
+        return { ok: false, status: 404, error: `PID ${pid} 프로세스를 찾을 수 없습니다.` };
+    }
+    return { ok: true, status: 200, result };
+}
+
+module.exports = {
+    createProcessExplorer,
+    getProcessDetail,
+    validateProcessQuery,
+    queryProcesses,
+    PROCESS_SORT_KEYS: SORT_KEYS,
+    PROCESS_GROUPS: GROUPS,
+    TRACK_INTERVAL,
+    MAX_TRACKED
+};
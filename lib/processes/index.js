@@ -0,0 +1,16 @@
+/**
+ * System Resource Monitor - 프로세스 관리
+ * 전체 프로세스 탐색기와 프로세스별 추적, 시그널 전송/우선순위 변경 작업과 감사 로그
+ */
+
+const actions = require('./actions');
+const explorer = require('./explorer');
+const { inspectProcess } = require('./inspect');
+const { createAuditLog } = require('./audit');
+
+module.exports = {
+    ...actions,
+    ...explorer,
+    inspectProcess,
+    createAuditLog
+};
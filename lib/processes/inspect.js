@@ -0,0 +1,132 @@
+/**
+ * 프로세스 상세 정보 (스레드 수, 열린 파일, 사용 중인 포트)
+ * 프로세스 상세 화면을 열 때만 조회합니다.
+ *
+ * 스레드와 열린 파일은 Linux의 /proc에서 읽으며, 다른 운영체제이거나
+ * 모니터를 실행 중인 계정에 권한이 없으면 null(알 수 없음)로 응답합니다.
+ *
+ * 프로세스 묶기에서 사용하는 cgroup(컨테이너) 정보도 /proc/<pid>/cgroup에서 읽습니다.
+ */
+
+const fs = require('fs');
+
+// 열린 파일 목록은 앞에서부터 이 개수까지만 전달 (개수는 모두 셈)
+const MAX_FILES = 100;
+
+async function readThreads(pid) {
+    try {
+        const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/^Threads:\s+(\d+)/m);
+        return match ? Number(match[1]) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readOpenFiles(pid) {
+    let fds;
+    try {
+        fds = await fs.promises.readdir(`/proc/${pid}/fd`);
+    } catch (error) {
+        return null;
+    }
+
+    const targets = await Promise.all(fds.map(fd => (
+        fs.promises.readlink(`/proc/${pid}/fd/${fd}`).catch(() => null)
+    )));
+
+    // socket:[1234], pipe:[1234], anon_inode:[eventfd] 등은 종류별 개수로만 표시
+    const files = targets.filter(target => target && target.startsWith('/'));
+    return {
+        count: fds.length,
+        sockets: targets.filter(target => target && target.startsWith('socket:')).length,
+        pipes: targets.filter(target => target && target.startsWith('pipe:')).length,
+        files: files.slice(0, MAX_FILES),
+        truncated: files.length > MAX_FILES
+    };
+}
+
+// cgroup 경로에 들어 있는 컨테이너 ID (docker, podman, containerd, CRI-O)
+const CONTAINER_PATTERNS = [
+    { runtime: 'docker', pattern: /docker[-/]([0-9a-f]{64})/ },
+    { runtime: 'podman', pattern: /libpod-([0-9a-f]{64})/ },
+    { runtime: 'containerd', pattern: /cri-containerd-([0-9a-f]{64})/ },
+    { runtime: 'cri-o', pattern: /crio-([0-9a-f]{64})/ }
+];
+
+/**
+ * cgroup 경로 → 묶기 이름
+ * 컨테이너 안의 프로세스는 "런타임:짧은 ID", 그 밖에는 cgroup 경로를 그대로 사용
+ * @param {string} path 예: /system.slice/docker-<id>.scope
+ * @returns {string}
+ */
+function describeCgroup(path) {
+    for (const { runtime, pattern } of CONTAINER_PATTERNS) {
+        const match = path.match(pattern);
+        if (match) return `${runtime}:${match[1].slice(0, 12)}`;
+    }
+    return path;
+}
+
+/**
+ * 프로세스의 cgroup 경로
+ * cgroup v2의 통합 계층(0::)을 우선하고, v1만 있으면 name=systemd 또는 첫 계층을 사용
+ * @param {number} pid
+ * @returns {Promise<string|null>}
+ */
+async function readCgroup(pid) {
+    let content;
+    try {
+        content = await fs.promises.readFile(`/proc/${pid}/cgroup`, 'utf8');
+    } catch (error) {
+        return null;
+    }
+
+    // 한 줄 형식: 계층 ID:컨트롤러:경로
+    const entries = content.split('\n')
+        .map(line => line.match(/^(\d+):([^:]*):(.*)$/))
+        .filter(match => match)
+        .map(([, id, controllers, path]) => ({ id, controllers, path }));
+    const entry = entries.find(item => item.id === '0' && item.controllers === '' && item.path !== '/')
+        || entries.find(item => item.controllers === 'name=systemd')
+        || entries.find(item => item.path !== '/')
+        || entries[0];
+    return entry ? entry.path : null;
+}
+
+async function readPorts(si, pid) {
+    try {
+        const connections = await si.networkConnections();
+        return connections
+            .filter(conn => conn.pid === pid)
+            .map(conn => ({
+                protocol: conn.protocol,
+                localAddress: conn.localAddress,
+                localPort: conn.localPort,
+                peerAddress: conn.peerAddress,
+                peerPort: conn.peerPort,
+                state: conn.state || null
+            }));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 프로세스 상세 조회
+ * @param {number} pid
+ * @param {Object} [options]
+ * @param {Object} [options.si] systeminformation 모듈
+ * @returns {Promise<{threads: number|null, openFiles: Object|null, ports: Object[]|null}>}
+ */
+async function inspectProcess(pid, options = {}) {
+    const si = options.si || require('systeminformation');
+    const [threads, openFiles, ports] = await Promise.all([
+        readThreads(pid),
+        readOpenFiles(pid),
+        readPorts(si, pid)
+    ]);
+    return { threads, openFiles, ports };
+}
+
+module.exports = { inspectProcess, readCgroup, describeCgroup };
@@ -0,0 +1,200 @@
+/**
+ * Prometheus 텍스트 형식 변환
+ * 수집기 스냅샷을 Prometheus 텍스트 노출 형식(0.0.4)으로 변환합니다.
+ *
+ * 단위는 Prometheus 관례를 따릅니다 (바이트, 초, 헤르츠, 섭씨).
+ * 부팅 이후 누적되는 네트워크 송수신량과 디스크 읽기/쓰기량은 counter(_total), 나머지 현재 값은 gauge입니다.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const PREFIX = 'sysmon_';
+const MIB = 1024 * 1024;
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// 레이블 값 이스케이프 (역슬래시, 큰따옴표, 줄바꿈)
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.keys(labels)
+        .filter(key => labels[key] !== undefined && labels[key] !== null)
+        .map(key => `${key}="${escapeLabel(labels[key])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 메트릭 패밀리 목록 생성
+ * 값이 없는 샘플은 건너뛰고, 샘플이 하나도 없는 패밀리는 출력하지 않습니다.
+ */
+function createRegistry() {
+    const families = [];
+
+    function define(type) {
+        return (name, help) => {
+            const family = { name: PREFIX + name, type, help, samples: [] };
+            families.push(family);
+            return (value, labels = {}) => {
+                if (isNumber(value)) family.samples.push({ labels, value });
+            };
+        };
+    }
+
+    function format() {
+        return families
+            .filter(family => family.samples.length > 0)
+            .map(family => [
+                `# HELP ${family.name} ${escapeHelp(family.help)}`,
+                `# TYPE ${family.name} ${family.type}`,
+                ...family.samples.map(sample => `${family.name}${formatLabels(sample.labels)} ${sample.value}`)
+            ].join('\n'))
+            .join('\n') + '\n';
+    }
+
+    return { gauge: define('gauge'), counter: define('counter'), format };
+}
+
+function addCpu(registry, cpu) {
+    const usage = registry.gauge('cpu_usage_percent', '전체 CPU 사용률 (%)');
+    const coreUsage = registry.gauge('cpu_core_usage_percent', '코어별 CPU 사용률 (%)');
+    const frequency = registry.gauge('cpu_frequency_hertz', '현재 평균 CPU 클럭 (Hz)');
+    const temperature = registry.gauge('cpu_temperature_celsius', 'CPU 온도 (°C)');
+
+    usage(cpu.usage);
+    (cpu.coreLoads || []).forEach((load, core) => coreUsage(load, { core }));
+    if (isNumber(cpu.speed) && cpu.speed > 0) frequency(cpu.speed * 1e9);
+    temperature(cpu.temperature);
+}
+
+function addMemory(registry, mem) {
+    registry.gauge('memory_total_bytes', '전체 물리 메모리 (바이트)')(mem.total);
+    registry.gauge('memory_used_bytes', '사용 중인 물리 메모리 (바이트)')(mem.used);
+    registry.gauge('memory_free_bytes', '비어 있는 물리 메모리 (바이트)')(mem.free);
+    registry.gauge('memory_available_bytes', '새 프로세스가 사용할 수 있는 메모리 (바이트)')(mem.available);
+    registry.gauge('swap_total_bytes', '전체 Swap (바이트)')(mem.swapTotal);
+    registry.gauge('swap_used_bytes', '사용 중인 Swap (바이트)')(mem.swapUsed);
+}
+
+function addDisk(registry, disk) {
+    const size = registry.gauge('filesystem_size_bytes', '파일 시스템 크기 (바이트)');
+    const used = registry.gauge('filesystem_used_bytes', '파일 시스템 사용량 (바이트)');
+    const available = registry.gauge('filesystem_available_bytes', '파일 시스템 사용 가능 공간 (바이트)');
+
+    (disk.partitions || []).forEach(part => {
+        const labels = { device: part.fs, mountpoint: part.mount, fstype: part.type };
+        size(part.size, labels);
+        used(part.used, labels);
+        available(part.available, labels);
+    });
+}
+
+function addDiskIO(registry, io) {
+    const readBytes = registry.counter('disk_read_bytes_total', '누적 읽기량 (바이트)');
+    const writtenBytes = registry.counter('disk_written_bytes_total', '누적 쓰기량 (바이트)');
+    const reads = registry.counter('disk_reads_completed_total', '누적 읽기 완료 수');
+    const writes = registry.counter('disk_writes_completed_total', '누적 쓰기 완료 수');
+    const ioTime = registry.counter('disk_io_time_seconds_total', 'I/O에 사용한 누적 시간 (초)');
+
+    (io.devices || []).forEach(d => {
+        const labels = { device: d.device };
+        readBytes(d.readBytes, labels);
+        writtenBytes(d.writeBytes, labels);
+        reads(d.reads, labels);
+        writes(d.writes, labels);
+        ioTime(d.ioTime / 1000, labels);
+    });
+}
+
+function addDiskHealth(registry, health) {
+    const passed = registry.gauge('disk_smart_passed', 'S.M.A.R.T. 자가 진단 통과 여부 (통과 1, 실패 0)');
+    const temperature = registry.gauge('disk_temperature_celsius', '디스크 온도 (°C)');
+    const powerOn = registry.gauge('disk_power_on_seconds', '디스크 사용 시간 (초)');
+    const reallocated = registry.gauge('disk_reallocated_sectors', '재할당된 섹터 수');
+
+    (health.disks || []).forEach(d => {
+        const labels = { device: d.device };
+        if (d.smartStatus !== 'unknown') passed(d.smartStatus === 'passed' ? 1 : 0, labels);
+        temperature(d.temperature, labels);
+        if (isNumber(d.powerOnHours)) powerOn(d.powerOnHours * 3600, labels);
+        reallocated(d.reallocatedSectors, labels);
+    });
+}
+
+function addNetwork(registry, net) {
+    const up = registry.gauge('network_up', '인터페이스 동작 상태 (up이면 1, 아니면 0)');
+    const rxBytes = registry.counter('network_receive_bytes_total', '누적 수신량 (바이트)');
+    const txBytes = registry.counter('network_transmit_bytes_total', '누적 송신량 (바이트)');
+    const rxDropped = registry.counter('network_receive_drop_total', '누적 수신 드롭 패킷 수');
+    const txDropped = registry.counter('network_transmit_drop_total', '누적 송신 드롭 패킷 수');
+    const rxErrors = registry.counter('network_receive_errors_total', '누적 수신 오류 수');
+    const txErrors = registry.counter('network_transmit_errors_total', '누적 송신 오류 수');
+
+    (net.interfaces || [net]).forEach(iface => {
+        const labels = { interface: iface.interface };
+        if (iface.operstate) up(iface.operstate === 'up' ? 1 : 0, labels);
+        rxBytes(iface.rxBytes, labels);
+        txBytes(iface.txBytes, labels);
+        rxDropped(iface.rxDropped, labels);
+        txDropped(iface.txDropped, labels);
+        rxErrors(iface.rxErrors, labels);
+        txErrors(iface.txErrors, labels);
+    });
+}
+
+function addGpu(registry, gpu) {
+    const labels = { gpu: 0 };
+
+    registry.gauge('gpu_info', 'GPU 모델 정보 (항상 1)')(1, { ...labels, vendor: gpu.vendor, model: gpu.model });
+    registry.gauge('gpu_utilization_percent', 'GPU 사용률 (%)')(gpu.utilizationGpu, labels);
+    registry.gauge('gpu_temperature_celsius', 'GPU 온도 (°C)')(gpu.temperature, labels);
+    if (isNumber(gpu.memoryUsed)) {
+        registry.gauge('gpu_memory_used_bytes', '사용 중인 VRAM (바이트)')(gpu.memoryUsed * MIB, labels);
+    }
+    if (isNumber(gpu.memoryTotal)) {
+        registry.gauge('gpu_memory_total_bytes', '전체 VRAM (바이트)')(gpu.memoryTotal * MIB, labels);
+    }
+}
+
+function addSystem(registry, sys) {
+    registry.gauge('system_info', '운영체제 정보 (항상 1)')(1, {
+        hostname: sys.hostname,
+        platform: sys.platform,
+        distro: sys.distro
+    });
+    registry.gauge('system_uptime_seconds', '시스템 업타임 (초)')(sys.uptime);
+}
+
+/**
+ * 스냅샷을 Prometheus 텍스트 형식으로 변환
+ * @param {Object} snapshot 수집기 스냅샷
+ * @returns {string}
+ */
+function formatPrometheus(snapshot) {
+    const registry = createRegistry();
+
+    if (snapshot.cpu) addCpu(registry, snapshot.cpu);
+    if (snapshot.memory) addMemory(registry, snapshot.memory);
+    if (snapshot.disk) addDisk(registry, snapshot.disk);
+    if (snapshot.diskio) addDiskIO(registry, snapshot.diskio);
+    if (snapshot.diskhealth) addDiskHealth(registry, snapshot.diskhealth);
+    if (snapshot.network) addNetwork(registry, snapshot.network);
+    if (snapshot.gpu) addGpu(registry, snapshot.gpu);
+    if (snapshot.system) addSystem(registry, snapshot.system);
+
+    return registry.format();
+}
+
+module.exports = {
+    formatPrometheus,
+    CONTENT_TYPE
+};
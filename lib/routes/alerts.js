@@ -0,0 +1,115 @@
+/**
+ * 알림 REST 라우트
+ *
+ * GET    /api/alerts
+ *   현재 발생 중인 알림, 규칙 목록(무음 종료 시각 포함), 활성 무음 설정
+ *
+ * GET    /api/alerts/history?state=&limit=
+ *   state   firing | resolved (생략 시 전체)
+ *   limit   최대 개수 (1~MAX_LIMIT, 기본 DEFAULT_LIMIT)
+ *
+ * POST   /api/alerts/:id/ack               { by? }
+ *   알림 확인 처리
+ *
+ * POST   /api/alerts/silences              { ruleId, duration, by?, reason? }
+ *   규칙 무음 설정 (duration: "30m", "1h" 등 또는 ms, 최대 MAX_SILENCE)
+ *
+ * DELETE /api/alerts/silences/:id
+ *   무음 해제
+ */
+
+const express = require('express');
+const { parseDuration } = require('../duration');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_SILENCE = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_OPERATOR = 'operator';
+
+// 작업한 운영자 이름 (로그인 사용자, 인증을 쓰지 않으면 요청 본문의 by 또는 기본값)
+function operatorOf(req) {
+    if (req.user && req.user.type !== 'anonymous') {
+        return req.user.name;
+    }
+    const by = req.body && req.body.by;
+    return typeof by === 'string' && by.trim() ? by.trim().slice(0, 64) : DEFAULT_OPERATOR;
+}
+
+function createAlertsRouter(engine, history) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const silences = history.activeSilences();
+
+        // 엔진의 최신 값에 저장된 확인 정보를 병합
+        const active = engine.getActive().map((alert) => {
+            const saved = history.find(alert.id);
+            return { ...alert, acknowledged: saved ? saved.acknowledged : null };
+        });
+
+        const rules = engine.getRules().map((rule) => {
+            const until = silences
+                .filter(entry => entry.ruleId === rule.id)
+                .reduce((latest, entry) => Math.max(latest, entry.until), 0);
+            return { ...rule, silencedUntil: until || null };
+        });
+
+        res.json({ active, rules, silences });
+    });
+
+    router.get('/history', (req, res) => {
+        const { state } = req.query;
+        if (state !== undefined && state !== 'firing' && state !== 'resolved') {
+            return res.status(400).json({ error: 'state는 firing, resolved 중 하나여야 합니다.' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `limit은 1~${MAX_LIMIT} 사이의 정수여야 합니다.` });
+        }
+
+        res.json({ alerts: history.list({ state, limit }) });
+    });
+
+    router.post('/silences', (req, res) => {
+        const { ruleId, duration, reason } = req.body || {};
+        if (!engine.getRules().some(rule => rule.id === ruleId)) {
+            return res.status(404).json({ error: `알림 규칙 "${ruleId}"을(를) 찾을 수 없습니다.` });
+        }
+
+        const ms = parseDuration(duration);
+        if (!Number.isFinite(ms) || ms <= 0 || ms > MAX_SILENCE) {
+            return res.status(400).json({ error: 'duration은 7일 이하의 기간이어야 합니다. (예: "30m", "1h")' });
+        }
+        if (reason !== undefined && typeof reason !== 'string') {
+            return res.status(400).json({ error: 'reason은 문자열이어야 합니다.' });
+        }
+
+        const silence = history.silence({
+            ruleId,
+            duration: ms,
+            by: operatorOf(req),
+            reason: reason && reason.slice(0, 200)
+        });
+        res.status(201).json(silence);
+    });
+
+    router.delete('/silences/:id', (req, res) => {
+        if (!history.unsilence(req.params.id)) {
+            return res.status(404).json({ error: '무음 설정을 찾을 수 없습니다.' });
+        }
+        res.status(204).end();
+    });
+
+    router.post('/:id/ack', (req, res) => {
+        const alert = history.acknowledge(req.params.id, operatorOf(req));
+        if (!alert) {
+            return res.status(404).json({ error: '알림을 찾을 수 없습니다.' });
+        }
+        res.json(alert);
+    });
+
+    return router;
+}
+
+module.exports = { createAlertsRouter };
@@ -0,0 +1,46 @@
+/**
+ * 인증 REST 라우트
+ *
+ * POST /api/auth/login    { username, password }  세션 쿠키 발급
+ * POST /api/auth/logout   세션 종료
+ * GET  /api/auth/me       인증 사용 여부와 현재 사용자 { enabled, user }
+ */
+
+const express = require('express');
+
+function createAuthRouter(auth) {
+    const router = express.Router();
+
+    router.post('/login', (req, res) => {
+        if (!auth.enabled) {
+            return res.status(404).json({ error: '인증이 설정되어 있지 않습니다.' });
+        }
+
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return res.status(400).json({ error: '사용자명과 비밀번호를 입력하세요.' });
+        }
+
+        const result = auth.login(username, password, req.ip);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.set('Set-Cookie', auth.sessionCookie(result.session, req.secure));
+        res.json({ user: result.user });
+    });
+
+    router.post('/logout', (req, res) => {
+        auth.logout(req.headers);
+        res.set('Set-Cookie', auth.sessionCookie(null, req.secure));
+        res.status(204).end();
+    });
+
+    router.get('/me', (req, res) => {
+        res.json({ enabled: auth.enabled, user: req.user || null });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,46 @@
+/**
+ * 네트워크 연결 REST 라우트
+ *
+ * GET /api/connections?host=&state=&port=&protocol=&pid=&page=&pageSize=
+ *   활성 연결과 수신 대기 포트 (요청 시점의 전체 목록, 수신 대기 → 연결됨 → 나머지 상태 순)
+ *   state     LISTEN, ESTABLISHED 등 (쉼표 구분, 상태 없는 UDP 소켓은 NONE)
+ *   port      로컬 또는 원격 포트
+ *   protocol  tcp | udp
+ *   pid       소유 프로세스 PID
+ *   page      페이지 (1부터, 마지막 페이지를 넘으면 마지막 페이지)
+ *   pageSize  페이지당 개수 (1~1000, 기본 100)
+ *   응답: { timestamp, count, total, page, pageSize, pages, states, connections }
+ */
+
+const express = require('express');
+const { validateConnectionQuery } = require('../network');
+
+/**
+ * @param {Object} connections 호스트별 연결 조회
+ *   query(host, query) => Promise<{ ok, status, error?, result? }>
+ */
+function createConnectionsRouter(connections) {
+    const router = express.Router();
+
+    router.get('/', async (req, res, next) => {
+        const { host, ...params } = req.query;
+        const { query, error } = validateConnectionQuery(params);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        try {
+            const response = await connections.query(typeof host === 'string' && host ? host : 'local', query);
+            if (!response.ok) {
+                return res.status(response.status || 500).json({ error: response.error });
+            }
+            res.json(response.result);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createConnectionsRouter };
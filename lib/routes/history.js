@@ -0,0 +1,88 @@
+/**
+ * 히스토리 REST 라우트
+ *
+ * GET /api/history?metric=cpu.usage&from=&to=&step=
+ *   metric  메트릭 이름 (필수)
+ *   from    시작 시각 (ms 또는 ISO 8601, 기본: to - 1시간)
+ *   to      종료 시각 (ms 또는 ISO 8601, 기본: 현재)
+ *   step    구간 크기 (ms, 생략 시 최대 MAX_POINTS개가 되도록 자동 계산)
+ *   agg     구간 집계 방식 (avg, min, max, p95, 기본: avg)
+ *   resolution  티어 강제 지정 (raw, 1m, 1h, 생략 시 범위에 맞게 자동 선택)
+ *
+ * GET /api/history/metrics
+ *   기록 중인 메트릭 이름 목록과 티어 정보
+ */
+
+const express = require('express');
+const { AGGREGATES } = require('../history');
+
+const HOUR = 60 * 60 * 1000;
+const MIN_STEP = 1000;
+const MAX_POINTS = 1000;
+
+// 시각 파라미터 파싱 (밀리초 숫자 또는 ISO 문자열)
+function parseTime(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+function createHistoryRouter(store) {
+    const router = express.Router();
+
+    router.get('/metrics', (req, res) => {
+        res.json({ metrics: store.metrics(), tiers: store.tiers() });
+    });
+
+    router.get('/', async (req, res) => {
+        const { metric } = req.query;
+        if (!metric || typeof metric !== 'string') {
+            return res.status(400).json({ error: 'metric 파라미터가 필요합니다.' });
+        }
+
+        const to = parseTime(req.query.to, Date.now());
+        const from = parseTime(req.query.from, to - HOUR);
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({ error: 'from/to는 밀리초 타임스탬프 또는 ISO 8601 형식이어야 합니다.' });
+        }
+        if (from >= to) {
+            return res.status(400).json({ error: 'from은 to보다 이전이어야 합니다.' });
+        }
+
+        let step;
+        if (req.query.step === undefined || req.query.step === '') {
+            step = Math.max(MIN_STEP, Math.ceil((to - from) / MAX_POINTS / MIN_STEP) * MIN_STEP);
+        } else {
+            step = Number(req.query.step);
+            if (!Number.isInteger(step) || step < MIN_STEP) {
+                return res.status(400).json({ error: `step은 ${MIN_STEP} 이상의 정수(ms)여야 합니다.` });
+            }
+            if ((to - from) / step > MAX_POINTS) {
+                return res.status(400).json({ error: `요청 범위의 포인트 수가 최대 ${MAX_POINTS}개를 초과합니다. step을 늘려주세요.` });
+            }
+        }
+
+        const agg = req.query.agg || 'avg';
+        if (!AGGREGATES.includes(agg)) {
+            return res.status(400).json({ error: `agg는 ${AGGREGATES.join(', ')} 중 하나여야 합니다.` });
+        }
+
+        const resolution = req.query.resolution || undefined;
+        const tierNames = store.tiers().map(tier => tier.name);
+        if (resolution && !tierNames.includes(resolution)) {
+            return res.status(400).json({ error: `resolution은 ${tierNames.join(', ')} 중 하나여야 합니다.` });
+        }
+
+        try {
+            const result = await store.query({ metric, from, to, step, agg, resolution });
+            res.json({ metric, from, to, agg, ...result });
+        } catch (error) {
+            console.error('히스토리 조회 오류:', error);
+            res.status(500).json({ error: '히스토리 조회 중 오류가 발생했습니다.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createHistoryRouter };
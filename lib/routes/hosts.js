@@ -0,0 +1,42 @@
+/**
+ * 호스트 REST 라우트 (허브)
+ *
+ * GET    /api/hosts               호스트 목록 (허브 자신 + 에이전트, 상태와 요약 메트릭)
+ * GET    /api/hosts/:id           호스트 요약과 전체 스냅샷
+ * DELETE /api/hosts/:id           오프라인 호스트를 목록에서 삭제
+ */
+
+const express = require('express');
+const { LOCAL_ID } = require('../hub');
+
+function createHostsRouter(registry) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({ hosts: registry.list() });
+    });
+
+    router.get('/:id', (req, res) => {
+        const host = registry.get(req.params.id);
+        if (!host) {
+            return res.status(404).json({ error: `호스트 "${req.params.id}"을(를) 찾을 수 없습니다.` });
+        }
+        res.json({ ...host, snapshot: registry.getSnapshot(host.id) });
+    });
+
+    router.delete('/:id', (req, res) => {
+        const host = registry.get(req.params.id);
+        if (!host) {
+            return res.status(404).json({ error: `호스트 "${req.params.id}"을(를) 찾을 수 없습니다.` });
+        }
+        if (host.id === LOCAL_ID || host.status !== 'offline') {
+            return res.status(409).json({ error: '오프라인 상태인 에이전트만 삭제할 수 있습니다.' });
+        }
+        registry.remove(host.id);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { createHostsRouter };
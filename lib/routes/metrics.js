@@ -0,0 +1,32 @@
+/**
+ * Prometheus 메트릭 라우트
+ *
+ * GET /metrics
+ *   수집기의 현재 스냅샷을 Prometheus 텍스트 형식으로 반환
+ *   (스크랩마다 새로 수집하지 않고 공유 샘플링 루프의 최신 값을 사용)
+ */
+
+const express = require('express');
+const { formatPrometheus, CONTENT_TYPE } = require('../prometheus');
+
+function createMetricsRouter(collector) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        let snapshot = collector.getSnapshot();
+
+        // 첫 샘플이 수집되기 전이면 즉시 수집
+        if (!snapshot.timestamp) {
+            snapshot = await collector.getSystemInfo();
+        }
+        if (snapshot.error) {
+            return res.status(503).json({ error: snapshot.error });
+        }
+
+        res.set('Content-Type', CONTENT_TYPE).send(formatPrometheus(snapshot));
+    });
+
+    return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,33 @@
+/**
+ * 알림 채널 REST 라우트
+ *
+ * GET  /api/notifiers            설정된 채널 목록 (비밀번호 등 민감 정보 제외)
+ * POST /api/notifiers/:id/test   테스트 알림 전송
+ */
+
+const express = require('express');
+
+function createNotifiersRouter(dispatcher) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({ channels: dispatcher.list() });
+    });
+
+    router.post('/:id/test', async (req, res) => {
+        const pending = dispatcher.test(req.params.id);
+        if (!pending) {
+            return res.status(404).json({ error: `알림 채널 "${req.params.id}"을(를) 찾을 수 없습니다.` });
+        }
+
+        const result = await pending;
+        if (!result.ok) {
+            return res.status(502).json({ ok: false, error: result.error });
+        }
+        res.json({ ok: true });
+    });
+
+    return router;
+}
+
+module.exports = { createNotifiersRouter };
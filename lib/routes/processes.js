@@ -0,0 +1,154 @@
+/**
+ * 프로세스 REST 라우트
+ *
+ * GET  /api/processes?host=&sort=&order=&search=&page=&pageSize=&view=&collapsed=&group=&expanded=
+ *   전체 프로세스 탐색 (1초 브로드캐스트의 상위 N개가 아닌 요청 시점의 전체 목록)
+ *   sort       cpu | mem | memRss | pid | name | user | started (기본: cpu)
+ *   order      asc | desc (기본: 이름/사용자/시작 시각/PID는 asc, 나머지는 desc)
+ *   search     이름, 명령줄, 사용자 부분 일치 또는 PID
+ *   page       페이지 (1부터, 마지막 페이지를 넘으면 마지막 페이지)
+ *   pageSize   페이지당 개수 (1~500, 기본 50)
+ *   view       list | tree (부모/자식 트리)
+ *   collapsed  트리에서 자식을 접은 PID 목록 (쉼표 구분)
+ *   group      name | user | cgroup (같은 값의 프로세스를 한 행으로 합침, 목록 보기 전용)
+ *   expanded   개별 프로세스를 펼쳐 볼 묶음 이름 (여러 개는 expanded=a&expanded=b)
+ *
+ * GET  /api/processes/:pid?host=
+ *   프로세스 상세 (명령줄, 사용자, 상태, 스레드, 열린 파일, 포트)와 추적 기록
+ *   조회한 프로세스는 상위 N개에서 빠져도 CPU/메모리를 계속 기록합니다.
+ * GET  /api/processes/:pid/history?host=
+ *   추적 기록만 조회 (상세 화면의 주기적 갱신, 추적 연장)
+ *   응답: { process, exited, history: [{ timestamp, cpu, mem, memRss }], details }
+ *
+ * 이하 관리자 전용 (모든 작업은 감사 로그에 기록)
+ * 종료/우선순위 변경은 인증을 사용할 때 로그인한 관리자나 관리자 토큰만 허용하며,
+ * 인증을 사용하지 않으면(익명 사용자) 원격 호스트로의 전달을 포함해 모두 거부합니다.
+ *
+ * POST /api/processes/:pid/signal   { signal, name?, host? }
+ *   signal  SIGTERM | SIGKILL | SIGINT | SIGHUP
+ * POST /api/processes/:pid/renice   { nice, name?, host? }
+ *   nice    -20~19 (낮출수록 우선순위가 높아지며, 보통 관리자 권한 필요)
+ *
+ *   name    화면에서 본 프로세스 이름 (현재 PID의 프로세스와 다르면 409)
+ *   host    대상 호스트 id (생략 시 local, 원격 호스트는 에이전트가 실행)
+ *
+ * GET  /api/processes/audit?host=&limit=
+ *   최근 작업 기록 (최신순, limit 1~MAX_LIMIT)
+ */
+
+const express = require('express');
+const { validateAction, describeAction, validateProcessQuery } = require('../processes');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function hostOf(value) {
+    return typeof value === 'string' && value ? value : 'local';
+}
+
+/**
+ * @param {Object} processes 호스트별 프로세스 조회/작업
+ *   query(host, query)    => Promise<{ ok, status, error?, result? }>
+ *   detail(host, { pid, inspect }) => Promise<{ ok, status, error?, result? }>
+ *   execute(host, action) => Promise<{ ok, status, error?, process? }>
+ * @param {Object} audit createAuditLog() 결과
+ * @param {Object} guards
+ * @param {Function} guards.requireAdmin 관리자 확인 미들웨어 (감사 로그 조회)
+ * @param {Function} guards.requireAction 프로세스 작업 확인 미들웨어 (익명 사용자 거부)
+ */
+function createProcessesRouter(processes, audit, { requireAdmin, requireAction }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res, next) => {
+        const { host, ...params } = req.query;
+        const { query, error } = validateProcessQuery(params);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        try {
+            const response = await processes.query(hostOf(host), query);
+            if (!response.ok) {
+                return res.status(response.status || 500).json({ error: response.error });
+            }
+            res.json(response.result);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/audit', requireAdmin, (req, res) => {
+        const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `limit은 1~${MAX_LIMIT} 사이의 정수여야 합니다.` });
+        }
+        const host = typeof req.query.host === 'string' ? req.query.host : undefined;
+        res.json({ entries: audit.list({ host, limit }) });
+    });
+
+    function actionHandler(type) {
+        return async (req, res, next) => {
+            const body = req.body || {};
+            const { action, error } = validateAction({ ...body, type, pid: req.params.pid });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const host = hostOf(body.host);
+            let result;
+            try {
+                result = await processes.execute(host, action);
+            } catch (err) {
+                return next(err);
+            }
+
+            const target = result.process || { pid: action.pid, name: action.name };
+            audit.record({
+                user: req.user.name,
+                host,
+                action: type,
+                signal: action.signal,
+                nice: action.nice,
+                pid: action.pid,
+                name: target.name || null,
+                result: result.ok ? 'success' : 'failure',
+                error: result.error
+            });
+            console.log(`[프로세스 작업] ${req.user.name}@${host}: ${describeAction(action)} (${target.name || '-'}) ${result.ok ? '성공' : `실패: ${result.error}`}`);
+
+            if (!result.ok) {
+                return res.status(result.status || 500).json({ error: result.error });
+            }
+            res.json({ ok: true, process: result.process });
+        };
+    }
+
+    function detailHandler(inspect) {
+        return async (req, res, next) => {
+            const pid = Number(req.params.pid);
+            if (!/^\d+$/.test(req.params.pid)) {
+                return res.status(400).json({ error: 'PID는 양의 정수여야 합니다.' });
+            }
+
+            try {
+                const response = await processes.detail(hostOf(req.query.host), { pid, inspect });
+                if (!response.ok) {
+                    return res.status(response.status || 500).json({ error: response.error });
+                }
+                res.json(response.result);
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+
+    router.get('/:pid', detailHandler(true));
+    router.get('/:pid/history', detailHandler(false));
+
+    router.post('/:pid/signal', requireAction, actionHandler('signal'));
+    router.post('/:pid/renice', requireAction, actionHandler('renice'));
+
+    return router;
+}
+
+module.exports = { createProcessesRouter };
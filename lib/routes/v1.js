@@ -0,0 +1,269 @@
+/**
+ * REST API v1
+ * Socket.IO 없이 curl 등으로 현재 상태를 조회할 수 있는 버전 고정 JSON API
+ *
+ * GET /api/v1                 엔드포인트 목록
+ * GET /api/v1/snapshot        전체 스냅샷 (system-inventory 이벤트와 같은 형식)
+ *   sections   쉼표로 구분한 항목 목록 (예: cpu,memory)
+ * GET /api/v1/inventory       정적 인벤토리 (CPU 모델, OS, 디스크 구성, GPU 모델)
+ * GET /api/v1/cpu | memory | gpu | diskhealth | interfaces | system
+ * GET /api/v1/disk
+ *   mount      특정 마운트 지점의 파티션만 조회
+ * GET /api/v1/diskio
+ *   device     특정 물리 디스크만 조회 (예: sda, nvme0n1)
+ * GET /api/v1/network
+ *   interface  특정 인터페이스만 조회 (all이면 루프백을 제외한 전체 합계)
+ * GET /api/v1/processes
+ *   sort       cpu | mem | memRss | pid | name (기본: cpu)
+ *   order      asc | desc (기본: name은 asc, 나머지는 desc)
+ *   limit      최대 개수 (1~1000)
+ *
+ * 모든 엔드포인트는 pretty=true로 들여쓴 JSON을 받을 수 있습니다.
+ * 항목 응답: { timestamp, data }
+ * 오류 응답: { error: 메시지, code, parameter? }
+ *   invalid_parameter (400), not_found (404), collection_failed (503), internal_error (500)
+ */
+
+const express = require('express');
+
+const SECTIONS = ['cpu', 'memory', 'gpu', 'disk', 'diskio', 'diskhealth', 'network', 'interfaces', 'processes', 'system'];
+const PROCESS_SORT_KEYS = ['cpu', 'mem', 'memRss', 'pid', 'name'];
+const MAX_LIMIT = 1000;
+
+const COMMON_PARAMS = {
+    pretty: { type: 'boolean' }
+};
+
+function sendJson(res, status, body) {
+    const pretty = res.locals.pretty;
+    res.status(status)
+        .type('json')
+        .send(JSON.stringify(body, null, pretty ? 2 : 0));
+}
+
+function sendError(res, status, code, message, extra = {}) {
+    sendJson(res, status, { error: message, code, ...extra });
+}
+
+// 파라미터 하나 검증 (잘못되면 오류 메시지 반환)
+function parseParam(name, raw, spec) {
+    if (typeof raw !== 'string') {
+        return { error: `${name} 파라미터는 한 번만 지정할 수 있습니다.` };
+    }
+
+    switch (spec.type) {
+        case 'boolean':
+            if (raw === 'true' || raw === '1') return { value: true };
+            if (raw === 'false' || raw === '0') return { value: false };
+            return { error: `${name}은(는) true 또는 false여야 합니다.` };
+        case 'integer': {
+            const value = Number(raw);
+            if (!/^\d+$/.test(raw) || value < spec.min || value > spec.max) {
+                return { error: `${name}은(는) ${spec.min}~${spec.max} 사이의 정수여야 합니다.` };
+            }
+            return { value };
+        }
+        case 'enum':
+            if (!spec.values.includes(raw)) {
+                return { error: `${name}은(는) ${spec.values.join(', ')} 중 하나여야 합니다.` };
+            }
+            return { value: raw };
+        case 'list': {
+            const value = raw.split(',').map(item => item.trim()).filter(item => item);
+            const unknown = value.filter(item => !spec.values.includes(item));
+            if (value.length === 0 || unknown.length > 0) {
+                return { error: `${name}은(는) ${spec.values.join(', ')} 중에서 쉼표로 구분해 지정해야 합니다.` };
+            }
+            return { value };
+        }
+        default:
+            if (raw === '') return { error: `${name} 값이 비어 있습니다.` };
+            return { value: raw };
+    }
+}
+
+/**
+ * 쿼리 파라미터 검증 미들웨어
+ * 정의되지 않은 파라미터도 오류로 처리하여 오타를 바로 알 수 있게 합니다.
+ * 검증된 값은 res.locals.query에 저장됩니다.
+ * @param {Object} [params] { 이름: { type, ... } }
+ */
+function validateQuery(params = {}) {
+    const schema = { ...COMMON_PARAMS, ...params };
+
+    return (req, res, next) => {
+        const query = {};
+
+        for (const name of Object.keys(req.query)) {
+            const spec = schema[name];
+            if (!spec) {
+                const allowed = Object.keys(schema).join(', ');
+                return sendError(res, 400, 'invalid_parameter',
+                    `알 수 없는 파라미터 "${name}"입니다. 사용 가능한 파라미터: ${allowed}`, { parameter: name });
+            }
+
+            const result = parseParam(name, req.query[name], spec);
+            if (result.error) {
+                return sendError(res, 400, 'invalid_parameter', result.error, { parameter: name });
+            }
+            query[name] = result.value;
+        }
+
+        res.locals.pretty = query.pretty;
+        res.locals.query = query;
+        next();
+    };
+}
+
+function compareProcesses(key, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    return (a, b) => {
+        const left = a[key];
+        const right = b[key];
+        const result = typeof left === 'string'
+            ? left.localeCompare(right)
+            : left - right;
+        return result * direction;
+    };
+}
+
+function createApiV1Router(collector) {
+    const router = express.Router();
+
+    // 현재 스냅샷 (첫 샘플이 수집되기 전이면 즉시 수집)
+    async function currentSnapshot() {
+        const snapshot = collector.getSnapshot();
+        return snapshot.timestamp ? snapshot : collector.getSystemInfo();
+    }
+
+    // 비동기 핸들러 오류를 공통 오류 응답으로 전달
+    function handle(fn) {
+        return (req, res, next) => fn(req, res).catch(next);
+    }
+
+    // 스냅샷에서 항목 하나를 꺼내 전달 (수집 실패/비활성 항목 처리)
+    function sectionHandler(section, select = data => data) {
+        return handle(async (req, res) => {
+            const snapshot = await currentSnapshot();
+            if (snapshot.error) {
+                return sendError(res, 503, 'collection_failed', `시스템 정보 수집에 실패했습니다: ${snapshot.error}`);
+            }
+            if (snapshot[section] === undefined) {
+                return sendError(res, 404, 'not_found', `"${section}" 항목은 수집하지 않습니다.`);
+            }
+
+            const data = select(snapshot[section], res.locals.query, res);
+            if (data === undefined) return;
+            sendJson(res, 200, { timestamp: snapshot.timestamp, data });
+        });
+    }
+
+    router.get('/', validateQuery(), (req, res) => {
+        sendJson(res, 200, {
+            version: 'v1',
+            endpoints: [
+                '/api/v1/snapshot',
+                '/api/v1/inventory',
+                ...SECTIONS.map(section => `/api/v1/${section}`)
+            ]
+        });
+    });
+
+    router.get('/snapshot', validateQuery({
+        sections: { type: 'list', values: SECTIONS }
+    }), handle(async (req, res) => {
+        const snapshot = await currentSnapshot();
+        if (snapshot.error) {
+            return sendError(res, 503, 'collection_failed', `시스템 정보 수집에 실패했습니다: ${snapshot.error}`);
+        }
+
+        const { sections } = res.locals.query;
+        if (!sections) {
+            return sendJson(res, 200, snapshot);
+        }
+
+        const body = { timestamp: snapshot.timestamp };
+        sections.forEach(section => {
+            body[section] = snapshot[section];
+        });
+        sendJson(res, 200, body);
+    }));
+
+    router.get('/inventory', validateQuery(), handle(async (req, res) => {
+        const inventory = await collector.collectInventory();
+        sendJson(res, 200, { data: inventory });
+    }));
+
+    ['cpu', 'memory', 'gpu', 'diskhealth', 'interfaces', 'system'].forEach(section => {
+        router.get(`/${section}`, validateQuery(), sectionHandler(section));
+    });
+
+    router.get('/disk', validateQuery({
+        mount: { type: 'string' }
+    }), sectionHandler('disk', (disk, query, res) => {
+        if (!query.mount || !disk) return disk;
+
+        const partition = (disk.partitions || []).find(part => part.mount === query.mount);
+        if (!partition) {
+            sendError(res, 404, 'not_found', `마운트 지점 "${query.mount}"을(를) 찾을 수 없습니다.`, { parameter: 'mount' });
+            return undefined;
+        }
+        return partition;
+    }));
+
+    router.get('/diskio', validateQuery({
+        device: { type: 'string' }
+    }), sectionHandler('diskio', (io, query, res) => {
+        if (!query.device || !io) return io;
+
+        const device = (io.devices || []).find(d => d.device === query.device);
+        if (!device) {
+            sendError(res, 404, 'not_found', `디스크 장치 "${query.device}"을(를) 찾을 수 없습니다.`, { parameter: 'device' });
+            return undefined;
+        }
+        return device;
+    }));
+
+    router.get('/network', validateQuery({
+        interface: { type: 'string' }
+    }), sectionHandler('network', (net, query, res) => {
+        if (!query.interface || !net) return net;
+
+        const stats = query.interface === 'all' && net.total
+            ? net.total
+            : (net.interfaces || [net]).find(iface => iface.interface === query.interface);
+        if (!stats) {
+            sendError(res, 404, 'not_found', `네트워크 인터페이스 "${query.interface}"을(를) 찾을 수 없습니다.`, { parameter: 'interface' });
+            return undefined;
+        }
+        return stats;
+    }));
+
+    router.get('/processes', validateQuery({
+        sort: { type: 'enum', values: PROCESS_SORT_KEYS },
+        order: { type: 'enum', values: ['asc', 'desc'] },
+        limit: { type: 'integer', min: 1, max: MAX_LIMIT }
+    }), sectionHandler('processes', (processes, query) => {
+        const sort = query.sort || 'cpu';
+        const order = query.order || (sort === 'name' ? 'asc' : 'desc');
+
+        return processes
+            .slice()
+            .sort(compareProcesses(sort, order))
+            .slice(0, query.limit || processes.length);
+    }));
+
+    // 정의되지 않은 경로와 처리 중 오류도 같은 형식으로 응답
+    router.use((req, res) => {
+        sendError(res, 404, 'not_found', `${req.method} ${req.baseUrl}${req.path} 엔드포인트가 없습니다.`);
+    });
+
+    router.use((error, req, res, next) => {
+        console.error('API 처리 오류:', error);
+        sendError(res, 500, 'internal_error', '요청을 처리하는 중 오류가 발생했습니다.');
+    });
+
+    return router;
+}
+
+module.exports = { createApiV1Router };
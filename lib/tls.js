@@ -0,0 +1,94 @@
+/**
+ * HTTPS 인증서 로드
+ * 설정한 인증서/개인 키 파일을 읽고, 자체 서명 인증서 사용 시
+ * 파일이 없거나 만료되었으면 새로 생성합니다 (로컬 테스트용).
+ * 자체 서명 인증서는 항상 지정한 디렉터리(data/tls)에만 생성하므로 운영자의 인증서 파일을 덮어쓰지 않습니다.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const SELF_SIGNED_DAYS = 365;
+
+// 자체 서명 인증서 생성 (localhost, 호스트명, 루프백 주소 포함)
+function generateSelfSigned(certFile, keyFile) {
+    const selfsigned = require('selfsigned');
+    const hostname = os.hostname();
+
+    const pems = selfsigned.generate([{ name: 'commonName', value: hostname }], {
+        days: SELF_SIGNED_DAYS,
+        keySize: 2048,
+        algorithm: 'sha256',
+        extensions: [{
+            name: 'subjectAltName',
+            altNames: [
+                { type: 2, value: 'localhost' },
+                { type: 2, value: hostname },
+                { type: 7, ip: '127.0.0.1' },
+                { type: 7, ip: '::1' }
+            ]
+        }]
+    });
+
+    fs.mkdirSync(path.dirname(certFile), { recursive: true });
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(certFile, pems.cert);
+    fs.writeFileSync(keyFile, pems.private, { mode: 0o600 });
+    console.log(`자체 서명 인증서를 생성했습니다: ${certFile}`);
+}
+
+function isExpired(cert) {
+    try {
+        return Date.parse(new crypto.X509Certificate(cert).validTo) <= Date.now();
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * https.createServer()에 전달할 인증서 옵션
+ * @param {Object} tls 설정의 tls 항목 { cert, key, selfSigned }
+ * @param {string} dir 자체 서명 인증서 기본 저장 경로
+ * @returns {{cert: Buffer, key: Buffer}}
+ * @throws {Error} 파일을 읽을 수 없거나 인증서와 키가 맞지 않는 경우
+ */
+function loadTlsOptions(tls, dir) {
+    const custom = !tls.selfSigned && tls.cert && tls.key;
+    const certFile = custom ? tls.cert : path.join(dir, 'cert.pem');
+    const keyFile = custom ? tls.key : path.join(dir, 'key.pem');
+
+    if (tls.selfSigned) {
+        const missing = !fs.existsSync(certFile) || !fs.existsSync(keyFile);
+        if (missing || isExpired(fs.readFileSync(certFile))) {
+            generateSelfSigned(certFile, keyFile);
+        }
+    }
+
+    let cert;
+    let key;
+    try {
+        cert = fs.readFileSync(certFile);
+        key = fs.readFileSync(keyFile);
+    } catch (error) {
+        throw new Error(`TLS 인증서 파일을 읽을 수 없습니다: ${error.message}`);
+    }
+
+    // 인증서와 개인 키가 짝이 맞는지 미리 확인
+    try {
+        const certificate = new crypto.X509Certificate(cert);
+        if (!certificate.checkPrivateKey(crypto.createPrivateKey(key))) {
+            throw new Error('인증서와 개인 키가 일치하지 않습니다.');
+        }
+        if (isExpired(cert)) {
+            console.warn(`TLS 인증서가 만료되었습니다 (${certificate.validTo}): ${certFile}`);
+        }
+    } catch (error) {
+        throw new Error(`TLS 인증서를 사용할 수 없습니다 (${certFile}, ${keyFile}): ${error.message}`);
+    }
+
+    return { cert, key };
+}
+
+module.exports = { loadTlsOptions };
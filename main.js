@@ -1,10 +1,42 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification } = require('electron');
+const os = require('os');
 const path = require('path');
-const si = require('systeminformation');
+const { createCollector } = require('./lib/collector');
+const { extractMetrics } = require('./lib/history');
+const { createAlertEngine, loadRules } = require('./lib/alerts');
+const { createNotificationDispatcher, loadChannels } = require('./lib/notifiers');
+const {
+  validateAction,
+  performAction,
+  createAuditLog,
+  validateProcessQuery,
+  createProcessExplorer,
+  getProcessDetail
+} = require('./lib/processes');
+const { validateConnectionQuery, createConnectionExplorer } = require('./lib/network');
 
 let mainWindow;
 let monitoringInterval = null;
 
+const collector = createCollector();
+
+// 프로세스 탐색기와 상세 화면에서 연 프로세스 추적 (렌더러가 요청할 때만 조회)
+const explorer = createProcessExplorer();
+
+// 네트워크 연결과 수신 대기 포트 (렌더러가 요청할 때만 조회)
+const connections = createConnectionExplorer();
+
+// 임계값 알림 → OS 데스크톱 알림 (+ notifiers.json에 설정된 웹훅/이메일 채널)
+const alertEngine = createAlertEngine({ rules: loadRules(path.join(__dirname, 'alerts.json')) });
+const configuredChannels = loadChannels(path.join(__dirname, 'notifiers.json'));
+const notifier = createNotificationDispatcher({
+  channels: configuredChannels.some(c => c.type === 'desktop')
+    ? configuredChannels
+    : [{ id: 'desktop', type: 'desktop', name: '데스크톱 알림' }, ...configuredChannels],
+  deps: { Notification }
+});
+notifier.attach(alertEngine);
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -38,151 +70,26 @@ function createWindow() {
   startMonitoring();
 }
 
-async function getSystemInfo() {
-  try {
-    const [
-      cpu,
-      cpuCurrentSpeed,
-      cpuTemperature,
-      mem,
-      graphics,
-      diskLayout,
-      fsSize,
-      networkStats,
-      networkInterfaces,
-      currentLoad,
-      processes,
-      time,
-      osInfo,
-      system
-    ] = await Promise.all([
-      si.cpu(),
-      si.cpuCurrentSpeed(),
-      si.cpuTemperature(),
-      si.mem(),
-      si.graphics(),
-      si.diskLayout(),
-      si.fsSize(),
-      si.networkStats(),
-      si.networkInterfaces(),
-      si.currentLoad(),
-      si.processes(),
-      si.time(),
-      si.osInfo(),
-      si.system()
-    ]);
-
-    // GPU 정보 처리
-    const gpuInfo = graphics.controllers && graphics.controllers.length > 0
-      ? graphics.controllers[0]
-      : null;
-
-    // 네트워크 인터페이스 중 활성화된 것 선택
-    const activeNetwork = networkStats && networkStats.length > 0
-      ? networkStats.find(n => n.rx_sec > 0 || n.tx_sec > 0) || networkStats[0]
-      : null;
-
-    // 상위 프로세스 (CPU 사용률 기준)
-    const topProcesses = processes.list
-      .sort((a, b) => b.cpu - a.cpu)
-      .slice(0, 8)
-      .map(p => ({
-        name: p.name,
-        pid: p.pid,
-        cpu: p.cpu,
-        mem: p.mem,
-        memRss: p.memRss
-      }));
-
-    return {
-      timestamp: Date.now(),
-      cpu: {
-        manufacturer: cpu.manufacturer,
-        brand: cpu.brand,
-        cores: cpu.cores,
-        physicalCores: cpu.physicalCores,
-        speed: cpuCurrentSpeed.avg || cpu.speed,
-        speedMin: cpuCurrentSpeed.min,
-        speedMax: cpuCurrentSpeed.max,
-        temperature: cpuTemperature.main || null,
-        temperatureMax: cpuTemperature.max || null,
-        usage: currentLoad.currentLoad,
-        coreLoads: currentLoad.cpus ? currentLoad.cpus.map(c => c.load) : []
-      },
-      memory: {
-        total: mem.total,
-        used: mem.used,
-        free: mem.free,
-        active: mem.active,
-        available: mem.available,
-        usagePercent: (mem.used / mem.total) * 100,
-        swapTotal: mem.swaptotal,
-        swapUsed: mem.swapused
-      },
-      gpu: gpuInfo ? {
-        vendor: gpuInfo.vendor,
-        model: gpuInfo.model,
-        vram: gpuInfo.vram,
-        vramDynamic: gpuInfo.vramDynamic,
-        temperature: gpuInfo.temperatureGpu || null,
-        utilizationGpu: gpuInfo.utilizationGpu || null,
-        memoryUsed: gpuInfo.memoryUsed || null,
-        memoryTotal: gpuInfo.memoryTotal || null
-      } : null,
-      disk: {
-        layout: diskLayout.map(d => ({
-          device: d.device,
-          type: d.type,
-          name: d.name,
-          size: d.size
-        })),
-        partitions: fsSize.map(fs => ({
-          fs: fs.fs,
-          mount: fs.mount,
-          size: fs.size,
-          used: fs.used,
-          available: fs.available,
-          usagePercent: fs.use
-        }))
-      },
-      network: activeNetwork ? {
-        interface: activeNetwork.iface,
-        rxBytes: activeNetwork.rx_bytes,
-        txBytes: activeNetwork.tx_bytes,
-        rxSec: activeNetwork.rx_sec,
-        txSec: activeNetwork.tx_sec,
-        rxDropped: activeNetwork.rx_dropped,
-        txDropped: activeNetwork.tx_dropped
-      } : null,
-      processes: topProcesses,
-      system: {
-        platform: osInfo.platform,
-        distro: osInfo.distro,
-        hostname: osInfo.hostname,
-        uptime: time.uptime,
-        manufacturer: system.manufacturer,
-        model: system.model
-      }
-    };
-  } catch (error) {
-    console.error('시스템 정보 수집 오류:', error);
-    return { error: error.message };
-  }
-}
-
 function startMonitoring() {
-  // 매 1초마다 시스템 정보 수집 및 전송
+  // 매 1초마다 주기가 된 항목만 수집하고, 인벤토리가 병합된 전체 스냅샷을 전송
   monitoringInterval = setInterval(async () => {
     if (mainWindow && !mainWindow.isDestroyed()) {
-      const info = await getSystemInfo();
-      mainWindow.webContents.send('system-info', info);
+      const delta = await collector.collectDue();
+      if (delta.error) {
+        mainWindow.webContents.send('system-info', delta);
+        return;
+      }
+
+      const snapshot = collector.getSnapshot();
+      alertEngine.evaluate(delta.timestamp, extractMetrics(snapshot));
+      mainWindow.webContents.send('system-info', snapshot);
     }
   }, 1000);
 
   // 초기 데이터 즉시 전송
   setTimeout(async () => {
     if (mainWindow && !mainWindow.isDestroyed()) {
-      const info = await getSystemInfo();
+      const info = await collector.getSystemInfo();
       mainWindow.webContents.send('system-info', info);
     }
   }, 500);
@@ -190,8 +97,54 @@ function startMonitoring() {
 
 // IPC 핸들러 설정
 function setupIPC() {
+  // 프로세스 작업 감사 로그 (사용자 데이터 폴더)
+  const audit = createAuditLog({ file: path.join(app.getPath('userData'), 'audit.log') });
   ipcMain.handle('get-system-info', async () => {
-    return await getSystemInfo();
+    return await collector.getSystemInfo();
+  });
+
+  ipcMain.handle('list-notifiers', () => notifier.list());
+
+  ipcMain.handle('test-notifier', async (event, id) => {
+    const pending = notifier.test(id);
+    return pending ? await pending : { ok: false, error: `알림 채널 "${id}"을(를) 찾을 수 없습니다.` };
+  });
+
+  // 프로세스 탐색기 조회 (정렬, 검색, 페이지, 트리)
+  ipcMain.handle('query-processes', async (event, params) => {
+    const { query, error } = validateProcessQuery(params || {});
+    if (error) return { ok: false, error };
+    return { ok: true, result: await explorer.query(query) };
+  });
+
+  // 프로세스 상세 ({ pid, inspect }, 조회한 프로세스는 계속 추적)
+  ipcMain.handle('process-detail', (event, request) => getProcessDetail(explorer, request || {}));
+
+  // 네트워크 연결 조회 (상태, 포트, 프로토콜, PID 조건과 페이지)
+  ipcMain.handle('query-connections', async (event, params) => {
+    const { query, error } = validateConnectionQuery(params || {});
+    if (error) return { ok: false, error };
+    return { ok: true, result: await connections.query(query) };
+  });
+
+  // 프로세스 작업 (렌더러에서 확인 대화상자를 거친 요청)
+  ipcMain.handle('process-action', async (event, request) => {
+    const { action, error } = validateAction(request || {});
+    if (error) return { ok: false, status: 400, error };
+
+    const result = await performAction(action);
+    audit.record({
+      user: os.userInfo().username,
+      host: 'local',
+      action: action.type,
+      signal: action.signal,
+      nice: action.nice,
+      pid: action.pid,
+      name: (result.process && result.process.name) || action.name,
+      result: result.ok ? 'success' : 'failure',
+      error: result.error
+    });
+    return result;
   });
 
   ipcMain.on('window-minimize', () => {
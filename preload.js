@@ -9,6 +9,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // 시스템 정보 직접 요청
     getSystemInfo: () => ipcRenderer.invoke('get-system-info'),
 
+    // 알림 채널 목록 및 테스트 전송
+    listNotifiers: () => ipcRenderer.invoke('list-notifiers'),
+    testNotifier: (id) => ipcRenderer.invoke('test-notifier', id),
+
+    // 프로세스 탐색기 조회 ({ sort, order, search, page, pageSize, view, collapsed })와 상세 ({ pid, inspect })
+    queryProcesses: (params) => ipcRenderer.invoke('query-processes', params),
+    getProcessDetail: (request) => ipcRenderer.invoke('process-detail', request),
+
+    // 네트워크 연결 조회 ({ state, port, protocol, pid, page, pageSize })
+    queryConnections: (params) => ipcRenderer.invoke('query-connections', params),
+
+    // 프로세스 작업 ({ pid, name, type: 'signal' | 'renice', signal?, nice? })
+    processAction: (request) => ipcRenderer.invoke('process-action', request),
+
     // 윈도우 컨트롤
     minimizeWindow: () => ipcRenderer.send('window-minimize'),
     maximizeWindow: () => ipcRenderer.send('window-maximize'),
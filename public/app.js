@@ -8,16 +8,68 @@
 // ==========================================
 let socket;
 let charts = {};
-let historyData = {
-    cpu: [],
-    memory: [],
-    gpuUsage: [],
-    gpuTemp: [],
-    networkDown: [],
-    networkUp: [],
-    timestamps: []
+let systemState = {}; // 인벤토리 + 변경분이 병합된 현재 시스템 상태
+
+// 히스토리 시간 범위 (ms)
+const HISTORY_RANGES = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000
 };
-const MAX_HISTORY_POINTS = 60; // 60초 히스토리
+
+// 상세 섹션별 히스토리 차트와 서버 메트릭 매핑
+const HISTORY_VIEWS = {
+    cpu: [{ chart: 'cpuHistory', metrics: ['cpu.usage'] }],
+    memory: [{ chart: 'memoryHistory', metrics: ['memory.usagePercent'] }],
+    gpu: [
+        { chart: 'gpuHistory', metrics: ['gpu.utilizationGpu'] },
+        { chart: 'gpuTemp', metrics: ['gpu.temperature'] }
+    ],
+    network: [{ chart: 'networkHistory', metrics: ['network.rxSec', 'network.txSec'] }],
+    disk: [
+        { chart: 'diskioHistory', metrics: ['diskio.readSec', 'diskio.writeSec'] },
+        { chart: 'diskioBusy', metrics: ['diskio.busy'] }
+    ]
+};
+
+// 실시간 데이터에서 히스토리 메트릭 값 추출
+const LIVE_METRICS = {
+    'cpu.usage': d => d.cpu ? d.cpu.usage : 0,
+    'memory.usagePercent': d => d.memory ? d.memory.usagePercent : 0,
+    'gpu.utilizationGpu': d => d.gpu && d.gpu.utilizationGpu !== null ? d.gpu.utilizationGpu : 0,
+    'gpu.temperature': d => d.gpu && d.gpu.temperature ? d.gpu.temperature : 0,
+    'network.rxSec': d => d.network ? selectedNetwork(d.network).rxSec || 0 : 0,
+    'network.txSec': d => d.network ? selectedNetwork(d.network).txSec || 0 : 0,
+    'diskio.readSec': d => d.diskio ? d.diskio.readSec || 0 : 0,
+    'diskio.writeSec': d => d.diskio ? d.diskio.writeSec || 0 : 0,
+    'diskio.busy': d => d.diskio ? d.diskio.busy || 0 : 0
+};
+
+// 섹션별 히스토리 상태 { range, from, to, step, series: { metric: [{ t, value }] } }
+let historyState = {};
+Object.keys(HISTORY_VIEWS).forEach(view => {
+    const series = {};
+    HISTORY_VIEWS[view].forEach(({ metrics }) => metrics.forEach(m => { series[m] = []; }));
+    historyState[view] = { range: '1m', from: null, to: null, step: 1000, series, requestId: 0 };
+});
+
+// 알림 섹션 상태 (서버 /api/alerts에서 조회)
+let alertsState = { active: [], rules: [], history: [] };
+
+// 규칙 무음 기간 선택지
+const SILENCE_DURATIONS = ['30m', '1h', '4h', '24h'];
+const SILENCE_LABELS = { '30m': '30분', '1h': '1시간', '4h': '4시간', '24h': '24시간' };
+
+// 호스트 목록 (허브 자신 + 연결된 에이전트)과 현재 보고 있는 호스트
+const LOCAL_HOST = 'local';
+let hostsState = [];
+let currentHost = LOCAL_HOST;
+
+// 호스트 개요 검색/필터/정렬 상태 (NO_GROUP은 그룹 이름으로 쓸 수 없는 값)
+const NO_GROUP = '<none>';
+let hostFilters = { search: '', status: '', group: '', tag: '', sort: 'name', groupBy: false };
 
 // PDF 보고서용 데이터 수집
 let pdfDataCollection = {
@@ -77,6 +129,54 @@ function formatDateTime(date) {
     });
 }
 
+// 경과 시간 (ms → "1시간 5분", "3분 20초")
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+
+    if (hours >= 24) {
+        return `${Math.floor(hours / 24)}일 ${hours % 24}시간`;
+    }
+    if (hours > 0) {
+        return `${hours}시간 ${mins}분`;
+    }
+    if (mins > 0) {
+        return `${mins}분 ${seconds % 60}초`;
+    }
+    return `${seconds}초`;
+}
+
+// 히스토리 차트 레이블 (범위가 길수록 분/날짜 단위로 표시)
+function formatHistoryLabel(timestamp, span) {
+    const date = new Date(timestamp);
+    if (span <= HISTORY_RANGES['1h']) {
+        return formatTime(date);
+    }
+    if (span <= HISTORY_RANGES['24h']) {
+        return date.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleString('ko-KR', {
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// datetime-local 입력값 형식 (YYYY-MM-DDTHH:mm, 로컬 시간)
+function toDateTimeLocal(timestamp) {
+    const date = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+    return date.toISOString().slice(0, 16);
+}
+
+// innerHTML에 넣을 외부 문자열 이스케이프 (프로세스 이름, 사용자, 파일 경로 등)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // 값 변화 애니메이션
 function animateValue(element, newValue) {
     if (!element) return;
@@ -249,6 +349,70 @@ function initCharts() {
         });
     }
 
+    // 디스크 I/O 차트 (대시보드, 디스크 화면의 읽기/쓰기 속도와 IOPS)
+    const ioChart = (ctx, formatTick) => new Chart(ctx.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: Array(30).fill(''),
+            datasets: [
+                {
+                    label: '읽기',
+                    data: Array(30).fill(0),
+                    borderColor: '#ec4899',
+                    backgroundColor: 'rgba(236, 72, 153, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0
+                },
+                {
+                    label: '쓰기',
+                    data: Array(30).fill(0),
+                    borderColor: '#14b8a6',
+                    backgroundColor: 'rgba(20, 184, 166, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            ...chartOptions,
+            scales: {
+                ...chartOptions.scales,
+                y: {
+                    display: true,
+                    min: 0,
+                    grid: {
+                        color: 'rgba(45, 62, 80, 0.5)',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: '#5c6b7d',
+                        font: { size: 10 },
+                        callback: formatTick
+                    }
+                }
+            }
+        }
+    });
+
+    const diskIOCtx = document.getElementById('diskio-chart');
+    if (diskIOCtx) {
+        charts.diskio = ioChart(diskIOCtx, (value) => formatBytesPerSec(value));
+    }
+
+    const diskIOLiveCtx = document.getElementById('diskio-live-chart');
+    if (diskIOLiveCtx) {
+        charts.diskioLive = ioChart(diskIOLiveCtx, (value) => formatBytesPerSec(value));
+    }
+
+    const diskIOPSCtx = document.getElementById('diskio-iops-chart');
+    if (diskIOPSCtx) {
+        charts.diskioIops = ioChart(diskIOPSCtx, (value) => value);
+    }
+
     // 히스토리 차트들 초기화
     initHistoryCharts();
 }
@@ -267,6 +431,21 @@ function initHistoryCharts() {
                 bodyColor: '#8b98a5',
                 borderColor: '#2d3e50',
                 borderWidth: 1
+            },
+            // 휠/핀치로 확대, 드래그로 이동 (더블클릭으로 초기화)
+            zoom: {
+                zoom: {
+                    wheel: { enabled: true },
+                    pinch: { enabled: true },
+                    mode: 'x'
+                },
+                pan: {
+                    enabled: true,
+                    mode: 'x'
+                },
+                limits: {
+                    x: { minRange: 5 }
+                }
             }
         },
         scales: {
@@ -462,6 +641,83 @@ function initHistoryCharts() {
             }
         });
     }
+    // 디스크 I/O 히스토리
+    const diskIOHistoryCtx = document.getElementById('diskio-history-chart');
+    if (diskIOHistoryCtx) {
+        charts.diskioHistory = new Chart(diskIOHistoryCtx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: '읽기',
+                        data: [],
+                        borderColor: '#ec4899',
+                        backgroundColor: 'rgba(236, 72, 153, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0
+                    },
+                    {
+                        label: '쓰기',
+                        data: [],
+                        borderColor: '#14b8a6',
+                        backgroundColor: 'rgba(20, 184, 166, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                ...historyOptions,
+                plugins: {
+                    ...historyOptions.plugins,
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: { color: '#8b98a5', font: { size: 11 } }
+                    }
+                },
+                scales: {
+                    ...historyOptions.scales,
+                    y: {
+                        display: true,
+                        min: 0,
+                        grid: { color: 'rgba(45, 62, 80, 0.5)' },
+                        ticks: {
+                            color: '#5c6b7d',
+                            font: { size: 10 },
+                            callback: (v) => formatBytesPerSec(v)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // 디스크 사용률 히스토리
+    const diskBusyCtx = document.getElementById('diskio-busy-chart');
+    if (diskBusyCtx) {
+        charts.diskioBusy = new Chart(diskBusyCtx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    data: [],
+                    borderColor: '#ec4899',
+                    backgroundColor: 'rgba(236, 72, 153, 0.2)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 0
+                }]
+            },
+            options: historyOptions
+        });
+    }
 }
 
 // ==========================================
@@ -490,9 +746,12 @@ function updateDashboard(data) {
 
     // 네트워크 업데이트
     updateNetwork(data.network);
+    updateNetworkInventory(data.interfaces);
 
     // 디스크 업데이트
     updateDisk(data.disk);
+    updateDiskIO(data.diskio);
+    updateDiskLayout(data.disk, data.diskhealth);
 
     // 프로세스 업데이트
     updateProcesses(data.processes);
@@ -769,11 +1028,147 @@ function updateGPUDetailInfo(gpu) {
   `).join('');
 }
 
-function updateNetwork(net) {
+// ==========================================
+// 네트워크 인터페이스 선택
+// ==========================================
+const ALL_INTERFACES = 'all';
+const PINNED_INTERFACE_KEY = 'networkInterface';
+
+// 보고 있는 인터페이스 ('': 서버의 대표 인터페이스, 'all': 전체 합계, 그 밖에는 인터페이스 이름)
+let networkSelection = loadPinnedInterface();
+
+function loadPinnedInterface() {
+    try {
+        return localStorage.getItem(PINNED_INTERFACE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// 선택한 인터페이스의 통계 (현재 호스트에 없으면 대표 인터페이스)
+function selectedNetwork(net) {
+    if (!net || !networkSelection) return net;
+    if (networkSelection === ALL_INTERFACES) return net.total || net;
+    return (net.interfaces || []).find(iface => iface.interface === networkSelection) || net;
+}
+
+function interfaceLabel(stats) {
+    if (stats.interface === ALL_INTERFACES) {
+        return stats.count === undefined ? '모든 인터페이스' : `모든 인터페이스 (${stats.count}개)`;
+    }
+    return stats.interface || 'N/A';
+}
+
+function selectNetworkInterface(value) {
+    if (value === networkSelection) return;
+    networkSelection = value;
+
+    // 이전 인터페이스의 값이 섞이지 않도록 차트를 비우고 히스토리를 다시 조회
+    if (charts.network) {
+        charts.network.data.datasets.forEach(dataset => {
+            dataset.data = dataset.data.map(() => 0);
+        });
+        charts.network.update('none');
+    }
+    resetHistoryZoom('network');
+    loadHistory('network');
+    renderNetworkInterfaces(systemState.network);
+    updateNetworkInventory(systemState.interfaces);
+}
+
+// 선택 상자 (인터페이스 목록이 바뀐 경우에만 다시 그려 열린 선택 상자가 닫히지 않게 함)
+function renderNetworkInterfaceOptions(net) {
+    const select = document.getElementById('network-interface-select');
+    if (!select) return;
+
+    const names = (net && net.interfaces ? net.interfaces : []).map(iface => iface.interface);
+    if (networkSelection && networkSelection !== ALL_INTERFACES && !names.includes(networkSelection)) {
+        names.push(networkSelection);
+    }
+    const auto = net && net.defaultInterface ? `자동 (기본 경로: ${net.defaultInterface})` : '자동 (기본 경로 인터페이스)';
+    const options = [['', auto], [ALL_INTERFACES, '모든 인터페이스 합계'], ...names.map(name => [name, name])];
+
+    const signature = JSON.stringify(options);
+    if (select.dataset.signature !== signature) {
+        select.dataset.signature = signature;
+        select.innerHTML = options.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+    }
+    select.value = networkSelection;
+
+    const pin = document.getElementById('network-interface-pin');
+    if (pin) {
+        const stored = loadPinnedInterface();
+        pin.textContent = stored && stored === networkSelection ? '고정 해제' : '기본으로 고정';
+        pin.disabled = !stored && !networkSelection;
+    }
+}
+
+function renderNetworkInterfaces(net) {
+    const list = document.getElementById('network-interface-list');
+    if (!list) return;
+
+    renderNetworkInterfaceOptions(net);
+
+    const interfaces = net && net.interfaces ? net.interfaces : [];
+    const count = document.getElementById('network-interface-count');
+    if (count) count.textContent = `${interfaces.length}개 인터페이스`;
+
+    const selected = selectedNetwork(net);
+    const rows = net && net.total ? [...interfaces, net.total] : interfaces;
+    list.innerHTML = rows.length === 0
+        ? '<tr><td colspan="8" class="explorer-empty">네트워크 정보 없음</td></tr>'
+        : rows.map(iface => `
+      <tr class="${selected && iface.interface === selected.interface ? 'selected' : ''}" data-network-interface="${escapeHtml(iface.interface)}">
+        <td>${escapeHtml(interfaceLabel(iface))}${iface.interface === net.defaultInterface ? '<span class="interface-default">기본 경로</span>' : ''}</td>
+        <td>${iface.operstate ? escapeHtml(iface.operstate) : '-'}</td>
+        <td>${formatBytesPerSec(iface.rxSec)}</td>
+        <td>${formatBytesPerSec(iface.txSec)}</td>
+        <td>${formatBytes(iface.rxBytes)}</td>
+        <td>${formatBytes(iface.txBytes)}</td>
+        <td>${(iface.rxDropped || 0) + (iface.txDropped || 0)}</td>
+        <td>${(iface.rxErrors || 0) + (iface.txErrors || 0)}</td>
+      </tr>
+    `).join('');
+
+    const historyLabel = document.getElementById('network-history-interface');
+    if (historyLabel) historyLabel.textContent = selected ? interfaceLabel(selected) : '';
+}
+
+function setupNetworkInterfaces() {
+    document.getElementById('network-interface-select')?.addEventListener('change', (event) => {
+        selectNetworkInterface(event.target.value);
+    });
+
+    document.getElementById('network-interface-list')?.addEventListener('click', (event) => {
+        const row = event.target.closest('[data-network-interface]');
+        if (row) selectNetworkInterface(row.dataset.networkInterface);
+    });
+
+    // 고정한 인터페이스는 다음에 열 때도 기본으로 선택 (브라우저별 저장, 자동을 고정하면 고정 해제)
+    document.getElementById('network-interface-pin')?.addEventListener('click', () => {
+        try {
+            if (!networkSelection || loadPinnedInterface() === networkSelection) {
+                localStorage.removeItem(PINNED_INTERFACE_KEY);
+            } else {
+                localStorage.setItem(PINNED_INTERFACE_KEY, networkSelection);
+            }
+        } catch (error) {
+            console.error('인터페이스 고정 저장 오류:', error);
+        }
+        renderNetworkInterfaceOptions(systemState.network);
+    });
+}
+
+function updateNetwork(rawNet) {
+    // 인터페이스별 목록과 선택 상자
+    renderNetworkInterfaces(rawNet);
+
+    const net = selectedNetwork(rawNet);
+
     // 인터페이스 이름
     const netInterface = document.getElementById('network-interface');
     if (netInterface) {
-        netInterface.textContent = net ? (net.interface || 'eth0') : 'N/A';
+        netInterface.textContent = net ? interfaceLabel(net) : 'N/A';
     }
 
     // 다운로드 속도
@@ -808,35 +1203,83 @@ function updateNetwork(net) {
         charts.network.update('none');
     }
 
-    // 네트워크 상세 정보
-    updateNetworkDetailInfo(net);
 }
 
-function updateNetworkDetailInfo(net) {
+// ==========================================
+// 네트워크 인터페이스 구성
+// ==========================================
+const NIC_STATE_LABELS = { up: '연결됨', down: '끊김', dormant: '대기', unknown: '알 수 없음' };
+const NIC_TYPE_LABELS = { wired: '유선', wireless: '무선', virtual: '가상' };
+const NIC_DUPLEX_LABELS = { full: '전이중', half: '반이중' };
+
+function formatLinkSpeed(speed) {
+    if (!speed) return 'N/A';
+    return speed >= 1000 ? `${speed / 1000} Gbit/s` : `${speed} Mbit/s`;
+}
+
+function renderNic(iface, selected) {
+    const details = [
+        // 주소 목록만 줄바꿈(<br>)을 넣으므로 값은 항목마다 이스케이프
+        ['IPv4', iface.ipv4.length ? iface.ipv4.map(escapeHtml).join('<br>') : '-'],
+        ['IPv6', iface.ipv6.length ? iface.ipv6.map(escapeHtml).join('<br>') : '-'],
+        ['MAC', iface.mac ? escapeHtml(iface.mac) : '-'],
+        ['MTU', iface.mtu ? escapeHtml(iface.mtu) : '-'],
+        ['링크 속도', formatLinkSpeed(iface.speed)],
+        ['Duplex', NIC_DUPLEX_LABELS[iface.duplex] || (iface.duplex ? escapeHtml(iface.duplex) : 'N/A')],
+        ['유형', NIC_TYPE_LABELS[iface.type] || (iface.type ? escapeHtml(iface.type) : '-')],
+        ['DHCP', iface.dhcp ? '사용' : '사용 안 함']
+    ];
+    const badges = [
+        `<span class="nic-badge ${iface.operstate === 'up' ? 'up' : 'down'}">${NIC_STATE_LABELS[iface.operstate] || (iface.operstate ? escapeHtml(iface.operstate) : '알 수 없음')}</span>`,
+        iface.default ? '<span class="nic-badge default">기본 경로</span>' : '',
+        iface.virtual ? '<span class="nic-badge">가상</span>' : '',
+        iface.internal ? '<span class="nic-badge">내부</span>' : ''
+    ].join('');
+
+    return `
+      <div class="nic-item${iface.operstate === 'up' ? '' : ' down'}${selected ? ' selected' : ''}">
+        <div class="nic-header">
+          <span class="nic-name">${escapeHtml(iface.name && iface.name !== iface.interface ? `${iface.name} (${iface.interface})` : iface.interface)}</span>
+          <span class="nic-badges">${badges}</span>
+        </div>
+        <div class="nic-details">
+          ${details.map(([label, value]) => `
+            <div class="nic-detail">
+              <span class="nic-label">${label}</span>
+              <span class="nic-value">${value}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+}
+
+// 인터페이스가 올라오거나 내려가는 등 구성이 바뀐 경우에만 다시 그림
+function updateNetworkInventory(interfaces) {
     const infoList = document.getElementById('network-detail-info');
     if (!infoList) return;
 
-    if (!net) {
-        infoList.innerHTML = '<div class="info-item"><span class="info-value">네트워크 정보 없음</span></div>';
-        return;
-    }
+    const net = selectedNetwork(systemState.network);
+    const selected = net ? net.interface : null;
+    const signature = JSON.stringify([interfaces, selected]);
+    if (infoList.dataset.signature === signature) return;
+    infoList.dataset.signature = signature;
 
-    const info = [
-        { label: '인터페이스', value: net.interface || 'N/A' },
-        { label: '다운로드 속도', value: formatBytesPerSec(net.rxSec) },
-        { label: '업로드 속도', value: formatBytesPerSec(net.txSec) },
-        { label: '총 수신', value: formatBytes(net.rxBytes) },
-        { label: '총 송신', value: formatBytes(net.txBytes) },
-        { label: '드롭 (수신)', value: net.rxDropped || 0 },
-        { label: '드롭 (송신)', value: net.txDropped || 0 }
-    ];
+    const count = document.getElementById('network-inventory-count');
+    if (count) {
+        count.textContent = interfaces ? `${interfaces.filter(iface => iface.operstate === 'up').length} / ${interfaces.length}개 연결됨` : '';
+    }
 
-    infoList.innerHTML = info.map(item => `
-    <div class="info-item">
-      <span class="info-label">${item.label}</span>
-      <span class="info-value">${item.value}</span>
-    </div>
-  `).join('');
+    infoList.innerHTML = !interfaces || interfaces.length === 0
+        ? '<div class="nic-empty">네트워크 인터페이스 정보 없음</div>'
+        : interfaces
+            // 기본 경로, 연결된 인터페이스, 이름 순
+            .slice()
+            .sort((a, b) => (b.default - a.default)
+                || ((b.operstate === 'up') - (a.operstate === 'up'))
+                || a.interface.localeCompare(b.interface))
+            .map(iface => renderNic(iface, iface.interface === selected))
+            .join('');
 }
 
 function updateDisk(disk) {
@@ -892,47 +1335,215 @@ function updateDisk(disk) {
       </div>
     `).join('');
     }
+}
 
-    // 물리 디스크 정보
-    const diskLayoutInfo = document.getElementById('disk-layout-info');
-    if (diskLayoutInfo && disk.layout) {
-        diskLayoutInfo.innerHTML = disk.layout.map((d, i) => `
-      <div class="info-item">
-        <span class="info-label">디스크 ${i + 1}: ${d.name || 'Unknown'}</span>
-        <span class="info-value">${d.type || 'HDD'} - ${formatBytes(d.size)}</span>
-      </div>
+// ==========================================
+// 디스크 I/O
+// ==========================================
+function formatIops(value) {
+    if (value === null || value === undefined) return '-';
+    return value < 10 ? value.toFixed(1) : Math.round(value).toLocaleString();
+}
+
+function formatBusy(value) {
+    return value === null || value === undefined ? '-' : `${value.toFixed(1)}%`;
+}
+
+function pushIOChart(chart, read, write) {
+    if (!chart) return;
+    chart.data.datasets[0].data.push(read || 0);
+    chart.data.datasets[0].data.shift();
+    chart.data.datasets[1].data.push(write || 0);
+    chart.data.datasets[1].data.shift();
+    chart.update('none');
+}
+
+function updateDiskIO(io) {
+    if (!io) return;
+
+    const badge = document.getElementById('diskio-badge');
+    if (badge) {
+        animateValue(badge, formatBusy(io.busy));
+    }
+
+    const read = document.getElementById('diskio-read');
+    if (read) {
+        animateValue(read, formatBytesPerSec(io.readSec));
+    }
+
+    const write = document.getElementById('diskio-write');
+    if (write) {
+        animateValue(write, formatBytesPerSec(io.writeSec));
+    }
+
+    const readIops = document.getElementById('diskio-read-iops');
+    if (readIops) {
+        readIops.textContent = formatIops(io.readIops);
+    }
+
+    const writeIops = document.getElementById('diskio-write-iops');
+    if (writeIops) {
+        writeIops.textContent = formatIops(io.writeIops);
+    }
+
+    pushIOChart(charts.diskio, io.readSec, io.writeSec);
+    pushIOChart(charts.diskioLive, io.readSec, io.writeSec);
+    pushIOChart(charts.diskioIops, io.readIops, io.writeIops);
+
+    // 장치별 표 (장치별 통계가 없는 운영체제는 전체 합계만)
+    const count = document.getElementById('diskio-device-count');
+    if (count) {
+        count.textContent = io.devices.length > 0 ? `물리 디스크 ${io.devices.length}개` : '전체 합계';
+    }
+
+    const deviceList = document.getElementById('diskio-device-list');
+    if (deviceList) {
+        const rows = io.devices.length > 0 ? io.devices : [{ ...io, device: '전체' }];
+        deviceList.innerHTML = rows.map(d => `
+      <tr>
+        <td class="process-name">${d.device}</td>
+        <td>${formatBytesPerSec(d.readSec)}</td>
+        <td>${formatBytesPerSec(d.writeSec)}</td>
+        <td>${formatIops(d.readIops)}</td>
+        <td>${formatIops(d.writeIops)}</td>
+        <td class="${d.busy >= 90 ? 'cpu-high' : d.busy >= 50 ? 'cpu-medium' : ''}">${formatBusy(d.busy)}</td>
+        <td>${d.readBytes === null ? '-' : formatBytes(d.readBytes)}</td>
+        <td>${d.writeBytes === null ? '-' : formatBytes(d.writeBytes)}</td>
+      </tr>
     `).join('');
     }
 }
 
+// ==========================================
+// 물리 디스크 상태 (S.M.A.R.T.)
+// ==========================================
+const DISK_HEALTH_LABELS = { ok: '정상', warning: '주의', critical: '위험', unknown: '상태 알 수 없음' };
+const SMART_STATUS_LABELS = { passed: '통과', failing: '실패', unknown: 'N/A' };
+
+function formatPowerOnHours(hours) {
+    if (hours === null || hours === undefined) return 'N/A';
+    if (hours < 24) return `${hours}시간`;
+    return `${hours.toLocaleString()}시간 (${Math.floor(hours / 24).toLocaleString()}일)`;
+}
+
+function formatCount(value, unit) {
+    return value === null || value === undefined ? 'N/A' : `${value.toLocaleString()}${unit}`;
+}
+
+function renderDiskHealth(d, index, health) {
+    const state = health && DISK_HEALTH_LABELS[health.health] ? health.health : 'unknown';
+    const details = [
+        ['장치', d.device || '-'],
+        ['유형', d.type || '-'],
+        ['인터페이스', d.interfaceType || (health && health.interfaceType) || 'N/A'],
+        ['용량', formatBytes(d.size)],
+        ['S.M.A.R.T.', (health && SMART_STATUS_LABELS[health.smartStatus]) || 'N/A'],
+        ['온도', health && health.temperature !== null ? `${health.temperature}°C` : 'N/A'],
+        ['사용 시간', formatPowerOnHours(health && health.powerOnHours)],
+        ['재할당 섹터', formatCount(health && health.reallocatedSectors, '개')]
+    ];
+    // NVMe 전용 항목
+    if (health && health.percentageUsed !== null) details.push(['수명 사용', `${health.percentageUsed}%`]);
+    if (health && health.mediaErrors !== null) details.push(['미디어 오류', formatCount(health.mediaErrors, '회')]);
+
+    const warnings = health && health.warnings.length > 0
+        ? `<div class="disk-health-warnings">${health.warnings.map(w => `<div>⚠ ${escapeHtml(w)}</div>`).join('')}</div>`
+        : '';
+
+    return `
+      <div class="disk-health-item ${state}">
+        <div class="disk-health-header">
+          <span class="disk-health-name">디스크 ${index + 1}: ${d.name ? escapeHtml(d.name) : 'Unknown'}</span>
+          <span class="disk-health-badge ${state}">${DISK_HEALTH_LABELS[state]}</span>
+        </div>
+        <div class="disk-health-details">
+          ${details.map(([label, value]) => `
+            <div class="disk-health-detail">
+              <span class="disk-health-label">${label}</span>
+              <span class="disk-health-value">${escapeHtml(value)}</span>
+            </div>
+          `).join('')}
+        </div>
+        ${warnings}
+      </div>
+    `;
+}
+
+// 상태가 바뀐 경우에만 다시 그림 (S.M.A.R.T.는 5분마다 수집)
+function updateDiskLayout(disk, health) {
+    const infoList = document.getElementById('disk-layout-info');
+    if (!infoList || !disk || !disk.layout) return;
+
+    const signature = JSON.stringify([disk.layout, health]);
+    if (infoList.dataset.signature === signature) return;
+    infoList.dataset.signature = signature;
+
+    const disks = health ? health.disks : [];
+    const healthOf = d => disks.find(h => h.device === d.device) || null;
+    const critical = disks.filter(h => h.health === 'critical').length;
+    const warning = disks.filter(h => h.health === 'warning').length;
+
+    // 주의가 필요한 디스크는 대시보드 디스크 카드에도 표시
+    const badge = document.getElementById('disk-health-badge');
+    if (badge) {
+        badge.hidden = critical + warning === 0;
+        badge.className = `disk-health-badge ${critical > 0 ? 'critical' : 'warning'}`;
+        badge.textContent = critical > 0 ? `디스크 위험 ${critical}개` : `디스크 주의 ${warning}개`;
+    }
+
+    const summary = document.getElementById('disk-health-summary');
+    if (summary) {
+        if (!health || disks.every(h => h.health === 'unknown')) {
+            summary.textContent = 'S.M.A.R.T. 정보 없음';
+        } else if (critical + warning > 0) {
+            summary.textContent = [critical > 0 ? `위험 ${critical}개` : '', warning > 0 ? `주의 ${warning}개` : ''].filter(Boolean).join(', ');
+        } else {
+            summary.textContent = '모두 정상';
+        }
+    }
+
+    // smartctl로 세부 값을 읽지 못하면 설치 안내 (Windows는 smartctl 없이 자가 진단 결과만 표시)
+    const note = health && !health.available
+        ? '<div class="disk-health-note">사용 시간, 재할당 섹터 등 세부 정보를 보려면 smartctl(smartmontools)을 설치하고 관리자 권한으로 실행하세요.</div>'
+        : '';
+
+    infoList.innerHTML = disk.layout.length === 0
+        ? '<div class="disk-health-empty">물리 디스크 정보 없음</div>'
+        : disk.layout.map((d, i) => renderDiskHealth(d, i, healthOf(d))).join('') + note;
+}
+
 function updateProcesses(processes) {
     if (!processes) return;
 
     const processList = document.getElementById('process-list');
     const processDetailList = document.getElementById('process-detail-list');
 
-    const renderRow = (proc) => {
+    // 프로세스 화면의 행은 눌러서 상세를 열 수 있음
+    const renderRow = (proc, detail, actions) => {
         let cpuClass = '';
         if (proc.cpu > 50) cpuClass = 'cpu-high';
         else if (proc.cpu > 20) cpuClass = 'cpu-medium';
 
         return `
-      <tr>
-        <td class="process-name">${proc.name}</td>
+      <tr${detail ? ` data-process-row="${proc.pid}"` : ''}>
+        <td class="process-name">${escapeHtml(proc.name)}</td>
         <td>${proc.pid}</td>
         <td class="${cpuClass}">${proc.cpu.toFixed(1)}%</td>
         <td>${proc.mem.toFixed(1)}%</td>
         <td>${formatBytes(proc.memRss * 1024)}</td>
+        ${actions ? renderProcessActions(proc) : ''}
       </tr>
     `;
     };
 
     if (processList) {
-        processList.innerHTML = processes.slice(0, 8).map(p => renderRow(p)).join('');
+        processList.innerHTML = processes.slice(0, 8).map(p => renderRow(p, false, false)).join('');
     }
 
     if (processDetailList) {
-        processDetailList.innerHTML = processes.slice(0, 10).map(p => renderRow(p)).join('');
+        const actions = canControlProcesses();
+        document.getElementById('process-actions-header').hidden = !actions;
+        processDetailList.innerHTML = processes.slice(0, 10).map(p => renderRow(p, true, actions)).join('');
     }
 }
 
@@ -955,71 +1566,176 @@ function updateSystemInfo(sys) {
     }
 }
 
-function addToHistory(data) {
-    const time = formatTime(new Date(data.timestamp));
-
-    historyData.timestamps.push(time);
-    historyData.cpu.push(data.cpu ? data.cpu.usage : 0);
-    historyData.memory.push(data.memory ? data.memory.usagePercent : 0);
-    historyData.gpuUsage.push(data.gpu && data.gpu.utilizationGpu !== null ? data.gpu.utilizationGpu : 0);
-    historyData.gpuTemp.push(data.gpu && data.gpu.temperature ? data.gpu.temperature : 0);
-    historyData.networkDown.push(data.network ? data.network.rxSec : 0);
-    historyData.networkUp.push(data.network ? data.network.txSec : 0);
-
-    // 최대 포인트 수 유지
-    if (historyData.timestamps.length > MAX_HISTORY_POINTS) {
-        historyData.timestamps.shift();
-        historyData.cpu.shift();
-        historyData.memory.shift();
-        historyData.gpuUsage.shift();
-        historyData.gpuTemp.shift();
-        historyData.networkDown.shift();
-        historyData.networkUp.shift();
+// ==========================================
+// 히스토리 (서버 조회 + 실시간 추가)
+// ==========================================
+async function fetchHistory(metric, from, to) {
+    const params = new URLSearchParams({ metric, from, to });
+    const response = await fetch(`/api/history?${params}`);
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error || response.statusText);
     }
-
-    // 히스토리 차트 업데이트
-    updateHistoryCharts();
+    return body;
 }
 
-function updateHistoryCharts() {
-    if (charts.cpuHistory) {
-        charts.cpuHistory.data.labels = historyData.timestamps;
-        charts.cpuHistory.data.datasets[0].data = historyData.cpu;
-        charts.cpuHistory.update('none');
+// 선택된 범위의 히스토리를 서버에서 불러오기
+async function loadHistory(view) {
+    const state = historyState[view];
+    if (state.range !== 'custom') {
+        state.to = Date.now();
+        state.from = state.to - HISTORY_RANGES[state.range];
     }
 
-    if (charts.memoryHistory) {
-        charts.memoryHistory.data.labels = historyData.timestamps;
-        charts.memoryHistory.data.datasets[0].data = historyData.memory;
-        charts.memoryHistory.update('none');
-    }
+    const requestId = ++state.requestId;
+    const metrics = Object.keys(state.series);
 
-    if (charts.gpuHistory) {
-        charts.gpuHistory.data.labels = historyData.timestamps;
-        charts.gpuHistory.data.datasets[0].data = historyData.gpuUsage;
-        charts.gpuHistory.update('none');
+    // 원격 호스트는 서버 히스토리가 없으므로 실시간 데이터만 표시
+    if (currentHost !== LOCAL_HOST) {
+        state.step = 1000;
+        metrics.forEach(metric => { state.series[metric] = []; });
+        renderHistoryView(view);
+        return;
     }
 
-    if (charts.gpuTemp) {
-        charts.gpuTemp.data.labels = historyData.timestamps;
-        charts.gpuTemp.data.datasets[0].data = historyData.gpuTemp;
-        charts.gpuTemp.update('none');
-    }
+    try {
+        const results = await Promise.all(metrics.map(m => fetchHistory(historyMetricName(m), state.from, state.to)));
+
+        // 응답 대기 중 범위가 바뀌었으면 무시
+        if (requestId !== state.requestId) return;
 
-    if (charts.networkHistory) {
-        charts.networkHistory.data.labels = historyData.timestamps;
-        charts.networkHistory.data.datasets[0].data = historyData.networkDown;
-        charts.networkHistory.data.datasets[1].data = historyData.networkUp;
-        charts.networkHistory.update('none');
+        state.step = results[0].step;
+        metrics.forEach((metric, i) => {
+            state.series[metric] = results[i].points;
+        });
+    } catch (error) {
+        console.error('히스토리 조회 오류:', error);
     }
+
+    renderHistoryView(view);
 }
 
-// ==========================================
-// PDF 보고서 생성
-// ==========================================
-async function generatePDFReport() {
-    const modal = document.getElementById('pdf-modal');
-    const progressBar = document.getElementById('progress-bar');
+// 선택한 네트워크 인터페이스의 서버 메트릭 이름 (자동이면 대표 인터페이스)
+function historyMetricName(metric) {
+    if (!metric.startsWith('network.') || !networkSelection) return metric;
+    const field = metric.slice('network.'.length);
+    return networkSelection === ALL_INTERFACES ? `network.total.${field}` : `network[${networkSelection}].${field}`;
+}
+
+// 실시간 데이터를 현재 범위(사용자 지정 제외)에 추가
+function addToHistory(data) {
+    Object.keys(historyState).forEach(view => {
+        const state = historyState[view];
+        if (state.range === 'custom') return;
+
+        state.to = data.timestamp;
+        state.from = data.timestamp - HISTORY_RANGES[state.range];
+
+        Object.keys(state.series).forEach(metric => {
+            const points = state.series[metric];
+            const last = points[points.length - 1];
+
+            // 조회 해상도(step)보다 촘촘하게 쌓이지 않도록 간격 유지
+            if (!last || data.timestamp - last.t >= state.step) {
+                points.push({ t: data.timestamp, value: LIVE_METRICS[metric](data) });
+            }
+            while (points.length > 0 && points[0].t < state.from) {
+                points.shift();
+            }
+        });
+
+        renderHistoryView(view);
+    });
+}
+
+function renderHistoryView(view) {
+    const state = historyState[view];
+    const span = state.to - state.from;
+
+    HISTORY_VIEWS[view].forEach(({ chart, metrics }) => {
+        const target = charts[chart];
+        if (!target) return;
+
+        // 확대/이동 중에는 화면이 흔들리지 않도록 갱신 보류
+        if (target.isZoomedOrPanned && target.isZoomedOrPanned()) return;
+
+        const base = state.series[metrics[0]];
+        target.data.labels = base.map(p => formatHistoryLabel(p.t, span));
+        metrics.forEach((metric, i) => {
+            target.data.datasets[i].data = state.series[metric].map(p => p.value);
+        });
+        target.update('none');
+    });
+}
+
+function resetHistoryZoom(view) {
+    HISTORY_VIEWS[view].forEach(({ chart }) => {
+        if (charts[chart] && charts[chart].resetZoom) {
+            charts[chart].resetZoom();
+        }
+    });
+    renderHistoryView(view);
+}
+
+function setupHistoryRangePickers() {
+    document.querySelectorAll('.range-picker').forEach(picker => {
+        const view = picker.dataset.view;
+        const buttons = picker.querySelectorAll('.range-btn');
+        const custom = picker.querySelector('.range-custom');
+        const fromInput = picker.querySelector('.range-from');
+        const toInput = picker.querySelector('.range-to');
+
+        buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                buttons.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+
+                // 사용자 지정: 현재 범위로 입력값을 채우고 적용 버튼을 기다림
+                if (btn.dataset.range === 'custom') {
+                    const state = historyState[view];
+                    fromInput.value = toDateTimeLocal(state.from || Date.now() - HISTORY_RANGES['1h']);
+                    toInput.value = toDateTimeLocal(state.to || Date.now());
+                    custom.classList.add('active');
+                    return;
+                }
+
+                custom.classList.remove('active');
+                historyState[view].range = btn.dataset.range;
+                resetHistoryZoom(view);
+                loadHistory(view);
+            });
+        });
+
+        picker.querySelector('.range-apply')?.addEventListener('click', () => {
+            const from = new Date(fromInput.value).getTime();
+            const to = new Date(toInput.value).getTime();
+            if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+                alert('시작 시각은 종료 시각보다 이전이어야 합니다.');
+                return;
+            }
+
+            Object.assign(historyState[view], { range: 'custom', from, to });
+            resetHistoryZoom(view);
+            loadHistory(view);
+        });
+
+        picker.querySelector('.range-reset')?.addEventListener('click', () => {
+            resetHistoryZoom(view);
+        });
+
+        // 차트 더블클릭으로 확대/이동 초기화
+        HISTORY_VIEWS[view].forEach(({ chart }) => {
+            charts[chart]?.canvas.addEventListener('dblclick', () => resetHistoryZoom(view));
+        });
+    });
+}
+
+// ==========================================
+// PDF 보고서 생성
+// ==========================================
+async function generatePDFReport() {
+    const modal = document.getElementById('pdf-modal');
+    const progressBar = document.getElementById('progress-bar');
     const progressTime = document.getElementById('progress-time');
     const progressStatus = document.getElementById('progress-status');
 
@@ -1308,6 +2024,1434 @@ function setupPDFExport() {
     });
 }
 
+// ==========================================
+// 알림 채널
+// ==========================================
+function describeNotifier(channel) {
+    if (channel.type === 'webhook') return `웹훅 · ${channel.url}`;
+    if (channel.type === 'email') return `이메일 · ${channel.host}:${channel.port} → ${[].concat(channel.to).join(', ')}`;
+    return channel.type;
+}
+
+async function loadNotifiers() {
+    const list = document.getElementById('notifier-list');
+    if (!list) return;
+
+    try {
+        const response = await fetch('/api/notifiers');
+        const { channels } = await response.json();
+
+        if (channels.length === 0) {
+            list.innerHTML = '<div class="notifier-empty">설정된 알림 채널이 없습니다. notifiers.json 파일에 채널을 추가하세요.</div>';
+            return;
+        }
+
+        list.innerHTML = channels.map(channel => `
+      <div class="notifier-item">
+        <div>
+          <div class="notifier-name">${escapeHtml(channel.name)}</div>
+          <div class="notifier-meta">${escapeHtml(describeNotifier(channel))}</div>
+          <div class="notifier-result" data-result="${escapeHtml(channel.id)}"></div>
+        </div>
+        <button class="action-btn admin-only" data-test="${escapeHtml(channel.id)}">테스트</button>
+      </div>
+    `).join('');
+    } catch (error) {
+        list.innerHTML = '<div class="notifier-empty">알림 채널을 불러올 수 없습니다.</div>';
+    }
+}
+
+async function testNotifier(id, button) {
+    const result = document.querySelector(`[data-result="${CSS.escape(id)}"]`);
+    button.disabled = true;
+    result.className = 'notifier-result';
+    result.textContent = '전송 중...';
+
+    try {
+        const response = await fetch(`/api/notifiers/${encodeURIComponent(id)}/test`, { method: 'POST' });
+        const body = await response.json();
+        result.classList.add(response.ok ? 'ok' : 'error');
+        result.textContent = response.ok ? '테스트 알림을 전송했습니다.' : `전송 실패: ${body.error}`;
+    } catch (error) {
+        result.classList.add('error');
+        result.textContent = `전송 실패: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function setupNotifiers() {
+    const modal = document.getElementById('notifier-modal');
+
+    document.getElementById('btn-notifiers')?.addEventListener('click', () => {
+        modal.classList.add('active');
+        loadNotifiers();
+    });
+
+    document.getElementById('notifier-modal-close')?.addEventListener('click', () => {
+        modal.classList.remove('active');
+    });
+
+    document.getElementById('notifier-list')?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-test]');
+        if (button) {
+            testNotifier(button.dataset.test, button);
+        }
+    });
+}
+
+// ==========================================
+// 알림 토스트
+// ==========================================
+const SEVERITY_LABELS = {
+    info: '정보',
+    warning: '경고',
+    critical: '위험'
+};
+
+function formatAlertValue(value) {
+    return typeof value === 'number' ? parseFloat(value.toFixed(2)) : '-';
+}
+
+function showAlertToast(alert) {
+    const container = document.getElementById('toast-container');
+    if (!container) return;
+
+    const resolved = alert.state === 'resolved';
+    const toast = document.createElement('div');
+    toast.className = `toast ${resolved ? 'resolved' : alert.severity}`;
+    toast.innerHTML = `
+    <div class="toast-title">
+      <span class="toast-severity">${resolved ? '해소' : SEVERITY_LABELS[alert.severity] || alert.severity}</span>
+      ${escapeHtml(alert.name)}
+    </div>
+    <div class="toast-body">
+      ${renderCondition(alert)} (현재 ${formatAlertValue(resolved ? alert.lastValue : alert.value)})
+    </div>
+  `;
+
+    container.appendChild(toast);
+    setTimeout(() => toast.remove(), resolved ? 5000 : 10000);
+}
+
+// ==========================================
+// 알림 목록 (발생 중, 기록, 확인, 무음)
+// ==========================================
+function renderSeverity(severity) {
+    return `<span class="severity-badge ${severity}">${SEVERITY_LABELS[severity] || severity}</span>`;
+}
+
+// 규칙 조건 (예: cpu.usage > 90)
+function renderCondition(item) {
+    return escapeHtml(`${item.metric} ${item.operator} ${item.threshold}`);
+}
+
+function renderAcknowledged(alert) {
+    if (!alert.acknowledged) return '-';
+    return `${escapeHtml(alert.acknowledged.by)}<div class="alert-meta">${formatDateTime(new Date(alert.acknowledged.at))}</div>`;
+}
+
+function renderAlertName(alert) {
+    const notes = [];
+    if (alert.silenced) notes.push('무음');
+    if (alert.interrupted) notes.push('서버 재시작으로 종료');
+    return `${escapeHtml(alert.name)}${notes.length ? `<div class="alert-meta">${notes.join(' · ')}</div>` : ''}`;
+}
+
+// 발생 중인 알림 (지속 시간 갱신을 위해 1초마다 다시 그림)
+function renderActiveAlerts() {
+    const now = Date.now();
+    const activeList = document.getElementById('alert-active-list');
+    const badge = document.getElementById('alerts-badge');
+
+    // 확인되지 않은 발생 중 알림 개수
+    const pending = alertsState.active.filter(alert => !alert.acknowledged).length;
+    if (badge) {
+        badge.hidden = pending === 0;
+        badge.textContent = pending;
+    }
+
+    if (activeList) {
+        activeList.innerHTML = alertsState.active.length === 0
+            ? '<tr><td colspan="8" class="alert-empty">발생 중인 알림이 없습니다.</td></tr>'
+            : alertsState.active.map(alert => `
+      <tr>
+        <td>${renderSeverity(alert.severity)}</td>
+        <td class="process-name">${renderAlertName(alert)}</td>
+        <td>${renderCondition(alert)}</td>
+        <td>${formatAlertValue(alert.value)}</td>
+        <td>${formatAlertValue(alert.lastValue)}</td>
+        <td>${formatDateTime(new Date(alert.firedAt))}</td>
+        <td>${formatDuration(now - alert.firedAt)}</td>
+        <td>${alert.acknowledged
+            ? renderAcknowledged(alert)
+            : `<button class="action-btn admin-only" data-ack="${alert.id}">확인</button>`}</td>
+      </tr>
+    `).join('');
+    }
+}
+
+function renderAlerts() {
+    const ruleList = document.getElementById('alert-rule-list');
+    const historyList = document.getElementById('alert-history-list');
+
+    renderActiveAlerts();
+
+    if (ruleList) {
+        ruleList.innerHTML = alertsState.rules.map(rule => `
+      <tr>
+        <td>${renderSeverity(rule.severity)}</td>
+        <td class="process-name">${escapeHtml(rule.name)}</td>
+        <td>${renderCondition(rule)}</td>
+        <td>${rule.silencedUntil ? `${formatDateTime(new Date(rule.silencedUntil))}까지` : '-'}</td>
+        <td>
+          <div class="silence-controls admin-only">
+            ${rule.silencedUntil
+                ? `<button class="action-btn" data-unsilence="${rule.id}">무음 해제</button>`
+                : `<select data-silence-duration="${rule.id}">
+                ${SILENCE_DURATIONS.map(d => `<option value="${d}">${SILENCE_LABELS[d]}</option>`).join('')}
+              </select>
+              <button class="action-btn" data-silence="${rule.id}">무음</button>`}
+          </div>
+        </td>
+      </tr>
+    `).join('');
+    }
+
+    if (historyList) {
+        const past = alertsState.history.filter(alert => alert.state === 'resolved');
+        historyList.innerHTML = past.length === 0
+            ? '<tr><td colspan="8" class="alert-empty">알림 기록이 없습니다.</td></tr>'
+            : past.map(alert => `
+      <tr>
+        <td>${renderSeverity(alert.severity)}</td>
+        <td class="process-name">${renderAlertName(alert)}</td>
+        <td>${renderCondition(alert)}</td>
+        <td>${formatAlertValue(alert.value)}</td>
+        <td>${formatDateTime(new Date(alert.firedAt))}</td>
+        <td>${formatDateTime(new Date(alert.resolvedAt))}</td>
+        <td>${formatDuration(alert.resolvedAt - alert.firedAt)}</td>
+        <td>${renderAcknowledged(alert)}</td>
+      </tr>
+    `).join('');
+    }
+}
+
+async function loadAlerts() {
+    try {
+        const [current, history] = await Promise.all([
+            fetch('/api/alerts').then(response => response.json()),
+            fetch('/api/alerts/history').then(response => response.json())
+        ]);
+        alertsState = {
+            active: current.active,
+            rules: current.rules,
+            silences: current.silences,
+            history: history.alerts
+        };
+        renderAlerts();
+    } catch (error) {
+        console.error('알림 목록 조회 오류:', error);
+    }
+}
+
+// 알림 확인/무음 요청 (실패 시 서버 오류 메시지 표시)
+async function sendAlertAction(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert(result.error || `요청이 실패했습니다. (${response.status})`);
+    }
+}
+
+function setupAlerts() {
+    const section = document.getElementById('section-alerts');
+
+    section?.addEventListener('click', (event) => {
+        const ack = event.target.closest('[data-ack]');
+        if (ack) {
+            ack.disabled = true;
+            sendAlertAction(`/api/alerts/${encodeURIComponent(ack.dataset.ack)}/ack`, 'POST', {});
+            return;
+        }
+
+        const silence = event.target.closest('[data-silence]');
+        if (silence) {
+            const ruleId = silence.dataset.silence;
+            const duration = section.querySelector(`[data-silence-duration="${ruleId}"]`).value;
+            silence.disabled = true;
+            sendAlertAction('/api/alerts/silences', 'POST', { ruleId, duration });
+            return;
+        }
+
+        const unsilence = event.target.closest('[data-unsilence]');
+        if (unsilence) {
+            const ruleId = unsilence.dataset.unsilence;
+            unsilence.disabled = true;
+            (alertsState.silences || [])
+                .filter(entry => entry.ruleId === ruleId)
+                .forEach(entry => sendAlertAction(`/api/alerts/silences/${entry.id}`, 'DELETE'));
+        }
+    });
+}
+
+// ==========================================
+// 호스트 (허브)
+// ==========================================
+const HOST_STATUS_LABELS = {
+    online: '온라인',
+    stale: '응답 없음',
+    offline: '오프라인'
+};
+
+function formatPercent(value) {
+    return typeof value === 'number' ? `${value.toFixed(1)}%` : '-';
+}
+
+function renderHostStatus(host) {
+    return `<span class="host-status ${host.status}">${HOST_STATUS_LABELS[host.status] || host.status}</span>`;
+}
+
+// 헤더의 호스트 선택, 배지, 원격 호스트 표시
+function renderHostPicker() {
+    const current = hostsState.find(host => host.id === currentHost);
+
+    // 에이전트가 하나라도 있을 때만 호스트 선택 표시
+    const picker = document.getElementById('host-picker');
+    const select = document.getElementById('host-select');
+    if (picker && select) {
+        picker.hidden = hostsState.length < 2;
+        select.innerHTML = hostsState.map(host => `
+      <option value="${host.id}"${host.id === currentHost ? ' selected' : ''}>${host.local ? `${host.name} (허브)` : host.name}${host.status === 'online' ? '' : ` - ${HOST_STATUS_LABELS[host.status]}`}</option>
+    `).join('');
+    }
+
+    // 연결이 끊기거나 응답 없는 에이전트 개수
+    const badge = document.getElementById('hosts-badge');
+    const unhealthy = hostsState.filter(host => host.status !== 'online').length;
+    if (badge) {
+        badge.hidden = unhealthy === 0;
+        badge.textContent = unhealthy;
+    }
+
+    // 원격 호스트를 보는 중이면 상단에 표시
+    const banner = document.getElementById('host-banner');
+    if (banner) {
+        banner.hidden = !current || current.local;
+        banner.classList.toggle('offline', Boolean(current) && current.status !== 'online');
+        if (current && !current.local) {
+            document.getElementById('host-banner-text').textContent =
+                `원격 호스트 ${current.name} (${HOST_STATUS_LABELS[current.status]}) · 히스토리 차트는 실시간 데이터만 표시합니다.`;
+        }
+    }
+}
+
+// 호스트 개요 타일 (사용률 구간별 색상은 디스크 목록과 같은 기준)
+function renderTileMeter(label, value) {
+    const percent = typeof value === 'number' ? value : null;
+    let level = '';
+    if (percent >= 90) level = 'danger';
+    else if (percent >= 75) level = 'warning';
+
+    return `
+      <div class="host-meter ${level}">
+        <div class="host-meter-label"><span>${label}</span><span>${formatPercent(percent)}</span></div>
+        <div class="host-meter-bar"><div class="host-meter-fill" style="width: ${percent || 0}%"></div></div>
+      </div>`;
+}
+
+function renderHostTile(host, now) {
+    const title = host.hostname || host.name;
+    const sub = [title === host.name ? null : host.name, host.os].filter(part => part).join(' · ');
+    const disk = host.disk;
+    const labels = [
+        host.group ? `<span class="host-label group" data-filter-group="${host.group}">${host.group}</span>` : '',
+        ...host.tags.map(tag => `<span class="host-label" data-filter-tag="${tag}">#${tag}</span>`),
+        host.status === 'offline' ? `<button class="action-btn admin-only" data-remove-host="${host.id}">삭제</button>` : ''
+    ].join('');
+
+    return `
+    <div class="host-tile ${host.status}${host.id === currentHost ? ' current' : ''}" data-view-host="${host.id}" title="${host.name} 대시보드 열기">
+      <div class="host-tile-header">
+        <span class="host-tile-name">${escapeHtml(title)}${host.local ? '<span class="host-tile-hub">허브</span>' : ''}</span>
+        ${renderHostStatus(host)}
+      </div>
+      <div class="host-tile-sub">${sub ? escapeHtml(sub) : '-'}</div>
+      ${renderTileMeter('CPU', host.cpu)}
+      ${renderTileMeter('메모리', host.memory)}
+      ${renderTileMeter(disk && disk.mount ? `디스크 ${escapeHtml(disk.mount)}` : '디스크', disk ? disk.usagePercent : null)}
+      <div class="host-tile-meta">
+        <span>업타임 ${host.uptime === null ? '-' : formatUptime(host.uptime)}</span>
+        <span>${host.local || !host.lastSeen ? '' : `${formatDuration(now - host.lastSeen)} 전 수신`}</span>
+      </div>
+      ${host.error ? `<div class="host-tile-error">수집 오류: ${escapeHtml(host.error)}</div>` : ''}
+      ${labels ? `<div class="host-tile-labels">${labels}</div>` : ''}
+    </div>`;
+}
+
+// 정렬 기준 값 (큰 값 먼저, 값이 없는 호스트는 뒤로, 같으면 이름순)
+const HOST_STATUS_RANK = { offline: 2, stale: 1, online: 0 };
+const HOST_SORTS = {
+    name: null,
+    status: host => HOST_STATUS_RANK[host.status],
+    cpu: host => host.cpu,
+    memory: host => host.memory,
+    disk: host => (host.disk ? host.disk.usagePercent : null),
+    uptime: host => host.uptime
+};
+
+function hostTitle(host) {
+    return host.hostname || host.name;
+}
+
+function compareHosts(sort) {
+    const key = HOST_SORTS[sort];
+    return (a, b) => {
+        let result = 0;
+        if (key) {
+            const left = key(a);
+            const right = key(b);
+            if (left === null || left === undefined) result = right === null || right === undefined ? 0 : 1;
+            else if (right === null || right === undefined) result = -1;
+            else result = right - left;
+        }
+        return result || hostTitle(a).localeCompare(hostTitle(b));
+    };
+}
+
+function filterHosts() {
+    const { search, status, group, tag } = hostFilters;
+    const query = search.trim().toLowerCase();
+
+    return hostsState.filter(host => {
+        if (status && host.status !== status) return false;
+        if (group && (host.group || '') !== (group === NO_GROUP ? '' : group)) return false;
+        if (tag && !host.tags.includes(tag)) return false;
+        if (!query) return true;
+        return [host.name, host.hostname, host.os, host.group, host.address, ...host.tags]
+            .some(value => value && value.toLowerCase().includes(query));
+    });
+}
+
+// 그룹/태그 선택지 (목록이 바뀐 경우에만 다시 그려 열린 선택 상자가 닫히지 않게 함)
+function renderHostFilterOptions() {
+    const groups = Array.from(new Set(hostsState.map(host => host.group).filter(group => group))).sort();
+    const tags = Array.from(new Set(hostsState.flatMap(host => host.tags))).sort();
+
+    [
+        { id: 'host-group-filter', all: '모든 그룹', values: groups, extra: groups.length ? [[NO_GROUP, '그룹 없음']] : [] },
+        { id: 'host-tag-filter', all: '모든 태그', values: tags, extra: [] }
+    ].forEach(({ id, all, values, extra }) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        const options = [['', all], ...values.map(value => [value, value]), ...extra];
+        const key = options.map(([value]) => value).join('\n');
+        if (select.dataset.options === key) return;
+
+        const selected = select.value;
+        select.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        select.value = options.some(([value]) => value === selected) ? selected : '';
+        select.dataset.options = key;
+    });
+}
+
+// 호스트 개요 (마지막 수신 시각 갱신을 위해 1초마다 다시 그림)
+function renderHostList() {
+    const now = Date.now();
+    const grid = document.getElementById('host-grid');
+    const count = document.getElementById('host-count');
+    if (!grid) return;
+
+    const hosts = filterHosts().sort(compareHosts(hostFilters.sort));
+    if (count) {
+        count.textContent = `${hosts.length} / ${hostsState.length}개 호스트`;
+    }
+
+    if (hosts.length === 0) {
+        grid.innerHTML = '<div class="host-empty">조건에 맞는 호스트가 없습니다.</div>';
+        return;
+    }
+
+    if (!hostFilters.groupBy) {
+        grid.innerHTML = `<div class="host-grid">${hosts.map(host => renderHostTile(host, now)).join('')}</div>`;
+        return;
+    }
+
+    // 그룹 이름순, 그룹 없는 호스트는 마지막
+    const groups = new Map();
+    hosts.forEach(host => {
+        const group = host.group || '';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(host);
+    });
+    grid.innerHTML = Array.from(groups.keys())
+        .sort((a, b) => (!a ? 1 : !b ? -1 : a.localeCompare(b)))
+        .map(group => `
+      <h3 class="host-group-title">${group || '그룹 없음'} <span>${groups.get(group).length}</span></h3>
+      <div class="host-grid">${groups.get(group).map(host => renderHostTile(host, now)).join('')}</div>
+    `).join('');
+}
+
+function renderHosts() {
+    renderHostPicker();
+    renderHostFilterOptions();
+    renderHostList();
+}
+
+// 실시간 차트 초기화 (다른 호스트의 값이 섞이지 않도록)
+function resetLiveCharts() {
+    ['cpu', 'memory', 'gpu', 'network', 'diskio', 'diskioLive', 'diskioIops'].forEach(name => {
+        const chart = charts[name];
+        if (!chart) return;
+        chart.data.datasets.forEach(dataset => {
+            dataset.data = dataset.data.map(() => 0);
+        });
+        chart.update('none');
+    });
+}
+
+// 원격 호스트에서는 서버 히스토리 범위를 선택할 수 없음
+function updateRangePickers() {
+    const remote = currentHost !== LOCAL_HOST;
+    document.querySelectorAll('.range-picker').forEach(picker => {
+        picker.querySelectorAll('.range-btn').forEach(btn => {
+            const live = btn.dataset.range === '1m';
+            btn.disabled = remote && !live;
+            if (remote) btn.classList.toggle('active', live);
+        });
+        if (remote) picker.querySelector('.range-custom')?.classList.remove('active');
+    });
+}
+
+// 보고 있는 호스트 전환 (서버가 해당 호스트의 스냅샷과 변경분을 보내 줌)
+function selectHost(id) {
+    if (id === currentHost) return;
+
+    currentHost = id;
+    systemState = {};
+    resetLiveCharts();
+
+    Object.keys(historyState).forEach(view => {
+        if (id !== LOCAL_HOST) historyState[view].range = '1m';
+        resetHistoryZoom(view);
+        loadHistory(view);
+    });
+    updateRangePickers();
+
+    socket.emit('select-host', id);
+    renderHosts();
+    closeProcessPanel();
+    resetExplorer();
+    resetConnections();
+    loadProcessAudit();
+}
+
+async function removeHost(id) {
+    const response = await fetch(`/api/hosts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert(result.error || `요청이 실패했습니다. (${response.status})`);
+    }
+}
+
+function setupHosts() {
+    document.getElementById('host-select')?.addEventListener('change', (event) => {
+        selectHost(event.target.value);
+    });
+
+    document.getElementById('btn-host-local')?.addEventListener('click', () => {
+        selectHost(LOCAL_HOST);
+    });
+
+    // 검색, 상태/그룹/태그 필터, 정렬, 그룹별 묶기
+    [
+        ['host-search', 'input', 'search'],
+        ['host-status-filter', 'change', 'status'],
+        ['host-group-filter', 'change', 'group'],
+        ['host-tag-filter', 'change', 'tag'],
+        ['host-sort', 'change', 'sort']
+    ].forEach(([id, type, key]) => {
+        document.getElementById(id)?.addEventListener(type, (event) => {
+            hostFilters[key] = event.target.value;
+            renderHostList();
+        });
+    });
+
+    document.getElementById('host-group-by')?.addEventListener('change', (event) => {
+        hostFilters.groupBy = event.target.checked;
+        renderHostList();
+    });
+
+    document.getElementById('host-grid')?.addEventListener('click', (event) => {
+        const remove = event.target.closest('[data-remove-host]');
+        if (remove) {
+            if (confirm(`호스트 "${remove.dataset.removeHost}"을(를) 목록에서 삭제할까요?`)) {
+                remove.disabled = true;
+                removeHost(remove.dataset.removeHost);
+            }
+            return;
+        }
+
+        // 그룹/태그를 누르면 해당 값으로 필터링
+        const label = event.target.closest('[data-filter-group], [data-filter-tag]');
+        if (label) {
+            const [id, key, value] = label.dataset.filterGroup
+                ? ['host-group-filter', 'group', label.dataset.filterGroup]
+                : ['host-tag-filter', 'tag', label.dataset.filterTag];
+            document.getElementById(id).value = value;
+            hostFilters[key] = value;
+            renderHostList();
+            return;
+        }
+
+        // 타일을 누르면 해당 호스트의 대시보드로 이동
+        const tile = event.target.closest('[data-view-host]');
+        if (tile) {
+            selectHost(tile.dataset.viewHost);
+            document.querySelector('.nav-item[data-section="dashboard"]')?.click();
+        }
+    });
+}
+
+// ==========================================
+// 네트워크 연결 (활성 연결, 수신 대기 포트)
+// ==========================================
+const CONNECTIONS_REFRESH_INTERVAL = 3000;
+
+const CONNECTION_STATE_LABELS = {
+    LISTEN: '수신 대기',
+    ESTABLISHED: '연결됨',
+    TIME_WAIT: '종료 대기',
+    CLOSE_WAIT: '닫기 대기',
+    NONE: '상태 없음'
+};
+
+const connectionsState = {
+    state: '',
+    port: '',
+    protocol: '',
+    page: 1,
+    pageSize: 100,
+    // 늦게 도착한 이전 응답 무시
+    requestId: 0
+};
+
+function isConnectionsVisible() {
+    return document.getElementById('section-connections')?.classList.contains('active') && !document.hidden;
+}
+
+function connectionStateLabel(state) {
+    const label = CONNECTION_STATE_LABELS[state];
+    return label ? `${state} (${label})` : state;
+}
+
+// IPv6 주소는 포트와 구분되도록 대괄호로 감쌈
+function formatEndpoint(address, port) {
+    if (!address && port === null) return '-';
+    const host = address && address.includes(':') ? `[${address}]` : (address || '*');
+    return `${host}:${port === null ? '*' : port}`;
+}
+
+async function loadConnections() {
+    const list = document.getElementById('connections-list');
+    if (!list) return;
+
+    const requestId = ++connectionsState.requestId;
+    const params = new URLSearchParams({
+        host: currentHost,
+        page: connectionsState.page,
+        pageSize: connectionsState.pageSize
+    });
+    if (connectionsState.state) params.set('state', connectionsState.state);
+    if (connectionsState.port) params.set('port', connectionsState.port);
+    if (connectionsState.protocol) params.set('protocol', connectionsState.protocol);
+
+    try {
+        const response = await fetch(`/api/connections?${params}`);
+        const result = await response.json();
+        if (requestId !== connectionsState.requestId) return;
+
+        if (!response.ok) {
+            list.innerHTML = `<tr><td colspan="6" class="explorer-empty">${result.error || `요청이 실패했습니다. (${response.status})`}</td></tr>`;
+            return;
+        }
+        renderConnections(result);
+    } catch (error) {
+        console.error('네트워크 연결 조회 오류:', error);
+    }
+}
+
+// 상태 목록은 응답에 들어 있는 상태로 채우고, 고른 상태는 연결이 없어도 유지
+function renderConnectionStates(states) {
+    const select = document.getElementById('connections-state');
+    if (!select) return;
+
+    const names = Object.keys(states).sort();
+    if (connectionsState.state && !names.includes(connectionsState.state)) names.push(connectionsState.state);
+    const total = Object.values(states).reduce((sum, count) => sum + count, 0);
+
+    select.innerHTML = `<option value="">모든 상태: ${total}개</option>` + names.map(state => `
+      <option value="${escapeHtml(state)}">${escapeHtml(connectionStateLabel(state))}: ${states[state] || 0}개</option>
+    `).join('');
+    select.value = connectionsState.state;
+}
+
+function renderConnections(result) {
+    connectionsState.page = result.page;
+
+    document.getElementById('connections-count').textContent = result.total === result.count
+        ? `${result.count}개 연결`
+        : `${result.total}개 일치 (전체 ${result.count}개)`;
+    document.getElementById('connections-page').textContent = `${result.page} / ${result.pages} 페이지`;
+    document.getElementById('connections-prev').disabled = result.page <= 1;
+    document.getElementById('connections-next').disabled = result.page >= result.pages;
+    renderConnectionStates(result.states);
+
+    // PID를 아는 연결은 누르면 소유 프로세스의 상세 화면을 엶
+    document.getElementById('connections-list').innerHTML = result.connections.length === 0
+        ? '<tr><td colspan="6" class="explorer-empty">일치하는 연결이 없습니다.</td></tr>'
+        : result.connections.map(conn => `
+      <tr${conn.pid ? ` data-process-row="${conn.pid}"` : ''}>
+        <td>${escapeHtml(conn.protocol.toUpperCase())}</td>
+        <td>${escapeHtml(formatEndpoint(conn.localAddress, conn.localPort))}</td>
+        <td>${conn.state === 'LISTEN' ? '-' : escapeHtml(formatEndpoint(conn.peerAddress, conn.peerPort))}</td>
+        <td>${conn.state ? escapeHtml(connectionStateLabel(conn.state)) : '-'}</td>
+        <td>${conn.pid || '-'}</td>
+        <td class="process-name">${conn.process ? escapeHtml(conn.process) : '-'}</td>
+      </tr>
+    `).join('');
+}
+
+// 호스트를 바꾸면 첫 페이지부터 다시 조회
+function resetConnections() {
+    connectionsState.page = 1;
+    if (isConnectionsVisible()) loadConnections();
+}
+
+function setupConnections() {
+    let portTimer = null;
+
+    document.getElementById('connections-state')?.addEventListener('change', (event) => {
+        connectionsState.state = event.target.value;
+        connectionsState.page = 1;
+        loadConnections();
+    });
+
+    document.getElementById('connections-protocol')?.addEventListener('change', (event) => {
+        connectionsState.protocol = event.target.value;
+        connectionsState.page = 1;
+        loadConnections();
+    });
+
+    document.getElementById('connections-port')?.addEventListener('input', (event) => {
+        clearTimeout(portTimer);
+        portTimer = setTimeout(() => {
+            connectionsState.port = event.target.value.trim();
+            connectionsState.page = 1;
+            loadConnections();
+        }, 300);
+    });
+
+    document.getElementById('connections-prev')?.addEventListener('click', () => {
+        connectionsState.page--;
+        loadConnections();
+    });
+
+    document.getElementById('connections-next')?.addEventListener('click', () => {
+        connectionsState.page++;
+        loadConnections();
+    });
+
+    // 연결 화면을 열면 바로 조회하고, 보고 있는 동안만 주기적으로 갱신
+    document.querySelector('.nav-item[data-section="connections"]')?.addEventListener('click', loadConnections);
+    setInterval(() => {
+        if (isConnectionsVisible()) loadConnections();
+    }, CONNECTIONS_REFRESH_INTERVAL);
+}
+
+// ==========================================
+// 프로세스 탐색기 (서버에서 전체 목록 조회)
+// ==========================================
+const EXPLORER_REFRESH_INTERVAL = 3000;
+const EXPLORER_ASCENDING = ['name', 'user', 'started', 'pid'];
+
+const PROCESS_STATE_LABELS = {
+    running: '실행',
+    sleeping: '대기',
+    blocked: '차단',
+    stopped: '정지',
+    zombie: '좀비'
+};
+
+const explorerState = {
+    sort: 'cpu',
+    order: 'desc',
+    search: '',
+    view: 'list',
+    // 묶기 기준 (name, user, cgroup, 빈 문자열이면 묶지 않음)
+    group: '',
+    page: 1,
+    pageSize: 50,
+    collapsed: new Set(),
+    expanded: new Set(),
+    rows: [],
+    // 늦게 도착한 이전 응답 무시
+    requestId: 0
+};
+
+function isExplorerVisible() {
+    return document.getElementById('section-processes')?.classList.contains('active') && !document.hidden;
+}
+
+async function loadExplorer() {
+    const list = document.getElementById('explorer-list');
+    if (!list) return;
+
+    const requestId = ++explorerState.requestId;
+    const params = new URLSearchParams({
+        host: currentHost,
+        sort: explorerState.sort,
+        order: explorerState.order,
+        view: explorerState.view,
+        page: explorerState.page,
+        pageSize: explorerState.pageSize
+    });
+    if (explorerState.search) params.set('search', explorerState.search);
+    if (explorerState.view === 'tree' && explorerState.collapsed.size > 0) {
+        params.set('collapsed', Array.from(explorerState.collapsed).join(','));
+    }
+    if (explorerState.group) {
+        params.set('group', explorerState.group);
+        explorerState.expanded.forEach(key => params.append('expanded', key));
+    }
+
+    try {
+        const response = await fetch(`/api/processes?${params}`);
+        const result = await response.json();
+        if (requestId !== explorerState.requestId) return;
+
+        if (!response.ok) {
+            explorerState.rows = [];
+            list.innerHTML = `<tr><td colspan="9" class="explorer-empty">${result.error || `요청이 실패했습니다. (${response.status})`}</td></tr>`;
+            return;
+        }
+        renderExplorer(result);
+    } catch (error) {
+        console.error('프로세스 목록 조회 오류:', error);
+    }
+}
+
+function renderExplorerName(proc, tree) {
+    // 펼친 묶음의 개별 프로세스는 묶음 이름 아래로 들여쓰기
+    const name = escapeHtml(proc.name);
+    if (!tree) return proc.depth ? `<span style="padding-left: 18px">${name}</span>` : name;
+
+    const toggle = proc.children > 0
+        ? `<button class="explorer-toggle" data-explorer-toggle="${proc.pid}">${proc.collapsed ? '▶' : '▼'}</button>`
+        : '<span class="explorer-leaf"></span>';
+    return `<span style="padding-left: ${proc.depth * 16}px">${toggle}${name}</span>`;
+}
+
+// 묶음 이름 (HTML로 넣으므로 이스케이프)
+function explorerGroupLabel(key, group) {
+    if (key === '') return '(알 수 없음)';
+    if (group === 'cgroup' && key === '/') return '/ (최상위 cgroup)';
+    return escapeHtml(key);
+}
+
+// 묶음 행 (누르면 개별 프로세스를 펼치거나 접음)
+function renderExplorerGroup(row, index, group, actions) {
+    return `
+      <tr class="explorer-group" data-explorer-group="${index}">
+        <td class="process-name">
+          <button class="explorer-toggle" data-explorer-group="${index}">${row.expanded ? '▼' : '▶'}</button>${explorerGroupLabel(row.group, group)}
+        </td>
+        <td>${row.count}개</td>
+        <td>${group === 'user' ? explorerGroupLabel(row.group, group) : '-'}</td>
+        <td>-</td>
+        <td class="${row.cpu > 50 ? 'cpu-high' : row.cpu > 20 ? 'cpu-medium' : ''}">${row.cpu.toFixed(1)}%</td>
+        <td>${row.mem.toFixed(1)}%</td>
+        <td>${formatBytes(row.memRss * 1024)}</td>
+        <td>-</td>
+        ${actions ? '<td class="admin-only"></td>' : ''}
+      </tr>
+    `;
+}
+
+function renderExplorer(result) {
+    const tree = result.view === 'tree';
+    const actions = canControlProcesses();
+    explorerState.rows = result.processes;
+    explorerState.page = result.page;
+
+    document.getElementById('explorer-actions-header').hidden = !actions;
+    document.getElementById('explorer-count').textContent = result.group
+        ? `${result.groups}개 묶음 (전체 ${result.count}개 프로세스)`
+        : result.total === result.count
+            ? `${result.count}개 프로세스`
+            : `${result.total}개 일치 (전체 ${result.count}개)`;
+    document.getElementById('explorer-page').textContent = `${result.page} / ${result.pages} 페이지`;
+    document.getElementById('explorer-prev').disabled = result.page <= 1;
+    document.getElementById('explorer-next').disabled = result.page >= result.pages;
+
+    document.querySelectorAll('[data-explorer-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.explorerSort === result.sort);
+        th.classList.toggle('asc', result.order === 'asc');
+    });
+
+    document.getElementById('explorer-list').innerHTML = result.processes.length === 0
+        ? '<tr><td colspan="9" class="explorer-empty">일치하는 프로세스가 없습니다.</td></tr>'
+        : result.processes.map((proc, index) => proc.group !== undefined ? renderExplorerGroup(proc, index, result.group, actions) : `
+      <tr class="${tree && !proc.match ? 'explorer-context' : ''}" data-process-row="${proc.pid}">
+        <td class="process-name">${renderExplorerName(proc, tree)}</td>
+        <td>${proc.pid}</td>
+        <td>${proc.user ? escapeHtml(proc.user) : '-'}</td>
+        <td>${PROCESS_STATE_LABELS[proc.state] || (proc.state ? escapeHtml(proc.state) : '-')}</td>
+        <td class="${proc.cpu > 50 ? 'cpu-high' : proc.cpu > 20 ? 'cpu-medium' : ''}">${proc.cpu.toFixed(1)}%</td>
+        <td>${proc.mem.toFixed(1)}%</td>
+        <td>${formatBytes(proc.memRss * 1024)}</td>
+        <td>${proc.started || '-'}</td>
+        ${actions ? renderProcessActions(proc) : ''}
+      </tr>
+    `).join('');
+}
+
+// 호스트를 바꾸면 첫 페이지부터 다시 조회
+function resetExplorer() {
+    explorerState.page = 1;
+    explorerState.collapsed.clear();
+    explorerState.expanded.clear();
+    explorerState.rows = [];
+    if (isExplorerVisible()) loadExplorer();
+}
+
+function setupExplorer() {
+    let searchTimer = null;
+
+    document.getElementById('explorer-search')?.addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            explorerState.search = event.target.value.trim();
+            explorerState.page = 1;
+            loadExplorer();
+        }, 300);
+    });
+
+    document.getElementById('explorer-page-size')?.addEventListener('change', (event) => {
+        explorerState.pageSize = Number(event.target.value);
+        explorerState.page = 1;
+        loadExplorer();
+    });
+
+    // 묶기는 목록 보기 전용: 묶기를 고르면 목록 보기로, 트리 보기를 고르면 묶기 해제
+    function setExplorerView(view) {
+        document.querySelectorAll('[data-explorer-view]').forEach(b => b.classList.toggle('active', b.dataset.explorerView === view));
+        explorerState.view = view;
+    }
+
+    document.querySelectorAll('[data-explorer-view]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setExplorerView(btn.dataset.explorerView);
+            if (explorerState.view === 'tree' && explorerState.group) {
+                explorerState.group = '';
+                document.getElementById('explorer-group').value = '';
+            }
+            explorerState.page = 1;
+            loadExplorer();
+        });
+    });
+
+    document.getElementById('explorer-group')?.addEventListener('change', (event) => {
+        explorerState.group = event.target.value;
+        explorerState.expanded.clear();
+        if (explorerState.group) setExplorerView('list');
+        explorerState.page = 1;
+        loadExplorer();
+    });
+
+    // 같은 열을 다시 누르면 정렬 방향 전환
+    document.querySelectorAll('[data-explorer-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const sort = th.dataset.explorerSort;
+            if (explorerState.sort === sort) {
+                explorerState.order = explorerState.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                explorerState.sort = sort;
+                explorerState.order = EXPLORER_ASCENDING.includes(sort) ? 'asc' : 'desc';
+            }
+            explorerState.page = 1;
+            loadExplorer();
+        });
+    });
+
+    document.getElementById('explorer-prev')?.addEventListener('click', () => {
+        explorerState.page--;
+        loadExplorer();
+    });
+
+    document.getElementById('explorer-next')?.addEventListener('click', () => {
+        explorerState.page++;
+        loadExplorer();
+    });
+
+    document.getElementById('explorer-list')?.addEventListener('click', (event) => {
+        const groupRow = event.target.closest('[data-explorer-group]');
+        if (groupRow) {
+            const row = explorerState.rows[Number(groupRow.dataset.explorerGroup)];
+            if (!row) return;
+            if (explorerState.expanded.has(row.group)) {
+                explorerState.expanded.delete(row.group);
+            } else {
+                explorerState.expanded.add(row.group);
+            }
+            loadExplorer();
+            return;
+        }
+
+        const toggle = event.target.closest('[data-explorer-toggle]');
+        if (!toggle) return;
+
+        const pid = Number(toggle.dataset.explorerToggle);
+        if (explorerState.collapsed.has(pid)) {
+            explorerState.collapsed.delete(pid);
+        } else {
+            explorerState.collapsed.add(pid);
+        }
+        loadExplorer();
+    });
+
+    // 프로세스 화면을 열면 바로 조회하고, 보고 있는 동안만 주기적으로 갱신
+    document.querySelector('.nav-item[data-section="processes"]')?.addEventListener('click', loadExplorer);
+    setInterval(() => {
+        if (isExplorerVisible()) loadExplorer();
+    }, EXPLORER_REFRESH_INTERVAL);
+}
+
+// ==========================================
+// 프로세스 상세 (선택한 PID를 서버가 계속 추적)
+// ==========================================
+const PROCESS_PANEL_REFRESH_INTERVAL = 2000;
+
+// 열려 있는 상세 화면 (details: 처음 열 때 조회한 스레드, 열린 파일, 포트)
+const processPanel = { host: null, pid: null, timer: null, details: null };
+let processPanelCharts = null;
+
+function createProcessPanelCharts() {
+    const options = (formatTick) => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                backgroundColor: '#1a2332',
+                titleColor: '#e7e9ea',
+                bodyColor: '#8b98a5',
+                borderColor: '#2d3e50',
+                borderWidth: 1,
+                callbacks: { label: (context) => formatTick(context.parsed.y) }
+            }
+        },
+        scales: {
+            x: {
+                ticks: { color: '#5c6b7d', font: { size: 10 }, maxTicksLimit: 6 },
+                grid: { display: false }
+            },
+            y: {
+                min: 0,
+                grid: { color: 'rgba(45, 62, 80, 0.5)' },
+                ticks: { color: '#5c6b7d', font: { size: 10 }, callback: formatTick }
+            }
+        }
+    });
+
+    const dataset = (color, background) => ({
+        data: [],
+        borderColor: color,
+        backgroundColor: background,
+        borderWidth: 2,
+        fill: true,
+        tension: 0.3,
+        pointRadius: 0
+    });
+
+    return {
+        cpu: new Chart(document.getElementById('process-cpu-chart').getContext('2d'), {
+            type: 'line',
+            data: { labels: [], datasets: [dataset('#2d7ff9', 'rgba(45, 127, 249, 0.1)')] },
+            options: options(value => `${Number(value).toFixed(1)}%`)
+        }),
+        memory: new Chart(document.getElementById('process-memory-chart').getContext('2d'), {
+            type: 'line',
+            data: { labels: [], datasets: [dataset('#8b5cf6', 'rgba(139, 92, 246, 0.1)')] },
+            options: options(value => formatBytes(value))
+        })
+    };
+}
+
+function setProcessPanelStatus(message, error = false) {
+    const status = document.getElementById('process-panel-status');
+    status.hidden = !message;
+    status.textContent = message || '';
+    status.classList.toggle('error', error);
+}
+
+function renderProcessPanelInfo(proc, details) {
+    const info = [
+        { label: 'PID', value: proc.pid },
+        { label: '부모 PID', value: proc.parentPid || '-' },
+        { label: '사용자', value: proc.user || '-' },
+        { label: '상태', value: PROCESS_STATE_LABELS[proc.state] || proc.state || '-' },
+        { label: 'CPU 사용률', value: `${proc.cpu.toFixed(1)}%` },
+        { label: '메모리', value: `${formatBytes(proc.memRss * 1024)} (${proc.mem.toFixed(1)}%)` },
+        { label: '우선순위 (nice)', value: typeof proc.nice === 'number' ? proc.nice : '-' },
+        { label: '스레드', value: details && details.threads !== null ? details.threads : '-' },
+        { label: '시작 시각', value: proc.started || '-' },
+        { label: '열린 파일', value: details && details.openFiles ? `${details.openFiles.count}개` : '-' }
+    ];
+
+    document.getElementById('process-panel-info').innerHTML = info.map(item => `
+      <div class="info-item">
+        <span class="info-label">${item.label}</span>
+        <span class="info-value">${escapeHtml(item.value)}</span>
+      </div>
+    `).join('');
+    document.getElementById('process-panel-command').textContent = proc.command || proc.name;
+}
+
+// 포트와 열린 파일은 상세를 처음 열 때만 조회 (권한이 없으면 표시할 수 없음)
+function renderProcessPanelDetails(details) {
+    const ports = document.getElementById('process-panel-ports');
+    const files = document.getElementById('process-panel-files');
+
+    if (!details || details.ports === null) {
+        ports.innerHTML = '<div class="process-panel-empty">포트 정보를 조회할 수 없습니다.</div>';
+    } else if (details.ports.length === 0) {
+        ports.innerHTML = '<div class="process-panel-empty">사용 중인 포트가 없습니다.</div>';
+    } else {
+        ports.innerHTML = `
+      <table class="process-table">
+        <thead>
+          <tr><th>프로토콜</th><th>로컬 주소</th><th>원격 주소</th><th>상태</th></tr>
+        </thead>
+        <tbody>
+          ${details.ports.map(port => `
+            <tr>
+              <td>${escapeHtml(port.protocol)}</td>
+              <td>${escapeHtml(`${port.localAddress}:${port.localPort}`)}</td>
+              <td>${escapeHtml(`${port.peerAddress}:${port.peerPort}`)}</td>
+              <td>${port.state ? escapeHtml(port.state) : '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+    }
+
+    const openFiles = details && details.openFiles;
+    if (!openFiles) {
+        files.innerHTML = '<div class="process-panel-empty">열린 파일을 조회할 수 없습니다. (Linux에서 권한이 있는 경우에만 표시)</div>';
+        return;
+    }
+    files.innerHTML = `
+      <div class="process-panel-empty">전체 ${openFiles.count}개 (소켓 ${openFiles.sockets}개, 파이프 ${openFiles.pipes}개)</div>
+      <div class="process-file-list">
+        ${openFiles.files.map(file => `<div>${escapeHtml(file)}</div>`).join('')}
+        ${openFiles.truncated ? '<div>...</div>' : ''}
+      </div>
+    `;
+}
+
+function renderProcessPanelCharts(history) {
+    const labels = history.map(sample => formatTime(new Date(sample.timestamp)));
+
+    processPanelCharts.cpu.data.labels = labels;
+    processPanelCharts.cpu.data.datasets[0].data = history.map(sample => sample.cpu);
+    processPanelCharts.cpu.update('none');
+
+    processPanelCharts.memory.data.labels = labels;
+    processPanelCharts.memory.data.datasets[0].data = history.map(sample => sample.memRss * 1024);
+    processPanelCharts.memory.update('none');
+}
+
+// inspect: 스레드, 열린 파일, 포트까지 조회 (처음 열 때), 이후에는 기록만 갱신
+async function loadProcessPanel(inspect) {
+    const { host, pid } = processPanel;
+    if (!pid) return;
+
+    const path = inspect ? `/api/processes/${pid}` : `/api/processes/${pid}/history`;
+    try {
+        const response = await fetch(`${path}?host=${encodeURIComponent(host)}`);
+        const result = await response.json();
+        if (processPanel.pid !== pid || processPanel.host !== host) return;
+
+        if (!response.ok) {
+            setProcessPanelStatus(result.error || `요청이 실패했습니다. (${response.status})`, true);
+            if (response.status === 404) stopProcessPanel();
+            return;
+        }
+
+        document.getElementById('process-panel-title').textContent = `${result.process.name} (PID ${pid})`;
+        renderProcessPanelInfo(result.process, inspect ? result.details : processPanel.details);
+        if (inspect) {
+            processPanel.details = result.details;
+            renderProcessPanelDetails(result.details);
+        }
+        renderProcessPanelCharts(result.history);
+
+        if (result.exited) {
+            setProcessPanelStatus('프로세스가 종료되었습니다. 종료 전까지의 기록을 표시합니다.');
+            stopProcessPanel();
+        } else {
+            setProcessPanelStatus(null);
+        }
+    } catch (error) {
+        console.error('프로세스 상세 조회 오류:', error);
+    }
+}
+
+function stopProcessPanel() {
+    clearInterval(processPanel.timer);
+    processPanel.timer = null;
+}
+
+function openProcessPanel(pid) {
+    closeProcessPanel();
+    processPanel.host = currentHost;
+    processPanel.pid = pid;
+    processPanel.details = null;
+
+    document.getElementById('process-panel-title').textContent = `PID ${pid}`;
+    document.getElementById('process-panel-info').innerHTML = '';
+    document.getElementById('process-panel-command').textContent = '';
+    document.getElementById('process-panel-ports').innerHTML = '';
+    document.getElementById('process-panel-files').innerHTML = '';
+    setProcessPanelStatus('불러오는 중...');
+    document.getElementById('process-panel').classList.add('active');
+
+    // 모달이 보인 뒤에 만들어야 차트 크기가 맞음
+    if (!processPanelCharts) processPanelCharts = createProcessPanelCharts();
+    renderProcessPanelCharts([]);
+
+    loadProcessPanel(true);
+    processPanel.timer = setInterval(() => loadProcessPanel(false), PROCESS_PANEL_REFRESH_INTERVAL);
+}
+
+function closeProcessPanel() {
+    stopProcessPanel();
+    processPanel.pid = null;
+    document.getElementById('process-panel')?.classList.remove('active');
+}
+
+function setupProcessPanel() {
+    // 행을 누르면 상세 열기 (작업 버튼, 트리 접기 버튼 제외, 연결 목록은 소유 프로세스)
+    ['section-processes', 'section-connections'].forEach(id => {
+        document.getElementById(id)?.addEventListener('click', (event) => {
+            if (event.target.closest('button')) return;
+            const row = event.target.closest('[data-process-row]');
+            if (row) {
+                openProcessPanel(Number(row.dataset.processRow));
+            }
+        });
+    });
+
+    document.getElementById('process-panel-close')?.addEventListener('click', closeProcessPanel);
+}
+
+// ==========================================
+// 프로세스 작업 (관리자 전용)
+// ==========================================
+const PROCESS_ACTIONS = {
+    SIGTERM: { label: '종료', title: '프로세스 종료', type: 'signal', description: '종료 요청(SIGTERM)을 보냅니다. 프로세스가 정리 작업 후 종료할 수 있습니다.' },
+    SIGKILL: { label: '강제 종료', title: '프로세스 강제 종료', type: 'signal', description: '즉시 강제 종료(SIGKILL)합니다. 저장하지 않은 데이터는 사라집니다.' },
+    renice: { label: '우선순위', title: '우선순위 변경', type: 'renice', description: 'CPU 스케줄링 우선순위(nice)를 변경합니다.' }
+};
+
+// 확인 대기 중인 작업 { host, pid, name, action }
+let pendingProcessAction = null;
+
+// 서버가 인증을 사용하는지 (인증 없이는 프로세스 작업을 거부)
+let authEnabled = false;
+
+// 현재 호스트가 프로세스 작업을 허용하는지 (서버/에이전트의 processActions 설정)
+function canControlProcesses() {
+    const host = hostsState.find(entry => entry.id === currentHost);
+    return authEnabled && Boolean(host && host.processActions);
+}
+
+function renderProcessActions(proc) {
+    return `
+        <td class="admin-only">
+          <div class="process-actions">
+            ${Object.keys(PROCESS_ACTIONS).map(action => `
+              <button class="action-btn${action === 'renice' ? '' : ' danger'}" data-process-action="${action}" data-pid="${proc.pid}">${PROCESS_ACTIONS[action].label}</button>
+            `).join('')}
+          </div>
+        </td>
+    `;
+}
+
+function openProcessAction(action, pid) {
+    const proc = [...(systemState.processes || []), ...explorerState.rows].find(entry => entry.pid === pid);
+    if (!proc) return;
+
+    const info = PROCESS_ACTIONS[action];
+    const host = hostsState.find(entry => entry.id === currentHost);
+    pendingProcessAction = { host: currentHost, pid, name: proc.name, action };
+
+    document.getElementById('process-action-title').textContent = info.title;
+    document.getElementById('process-action-summary').innerHTML = `
+      <strong>${escapeHtml(proc.name)}</strong> (PID ${pid}${host && !host.local ? `, 호스트 ${escapeHtml(host.name)}` : ''})<br>
+      ${info.description}
+    `;
+    document.getElementById('process-action-nice-row').hidden = info.type !== 'renice';
+    document.getElementById('process-action-nice').value = typeof proc.nice === 'number' ? proc.nice : 10;
+
+    const message = document.getElementById('process-action-message');
+    message.hidden = true;
+    message.className = 'process-action-message';
+
+    const confirm = document.getElementById('process-action-confirm');
+    confirm.disabled = false;
+    confirm.hidden = false;
+    confirm.textContent = info.label;
+    document.getElementById('process-action-cancel').textContent = '취소';
+    document.getElementById('process-action-modal').classList.add('active');
+}
+
+function closeProcessAction() {
+    pendingProcessAction = null;
+    document.getElementById('process-action-modal').classList.remove('active');
+}
+
+async function confirmProcessAction() {
+    if (!pendingProcessAction) return;
+    const { host, pid, name, action } = pendingProcessAction;
+    const info = PROCESS_ACTIONS[action];
+
+    const body = { host, name };
+    if (info.type === 'renice') {
+        body.nice = Number(document.getElementById('process-action-nice').value);
+    } else {
+        body.signal = action;
+    }
+
+    const confirm = document.getElementById('process-action-confirm');
+    const message = document.getElementById('process-action-message');
+    confirm.disabled = true;
+
+    try {
+        const response = await fetch(`/api/processes/${pid}/${info.type}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        message.hidden = false;
+        if (response.ok) {
+            message.classList.add('ok');
+            message.textContent = info.type === 'renice'
+                ? `nice 값을 ${body.nice}(으)로 변경했습니다.`
+                : `${action}을(를) 보냈습니다.`;
+            confirm.hidden = true;
+            document.getElementById('process-action-cancel').textContent = '닫기';
+            loadExplorer();
+        } else {
+            message.textContent = result.error || `요청이 실패했습니다. (${response.status})`;
+            confirm.disabled = false;
+        }
+    } catch (error) {
+        message.hidden = false;
+        message.textContent = `요청이 실패했습니다: ${error.message}`;
+        confirm.disabled = false;
+    }
+
+    loadProcessAudit();
+}
+
+function describeAuditAction(entry) {
+    return entry.action === 'renice' ? `우선순위 변경 (nice ${entry.nice})` : entry.signal;
+}
+
+// 선택한 호스트의 최근 작업 기록 (관리자가 아니면 403이므로 표시하지 않음)
+async function loadProcessAudit() {
+    const list = document.getElementById('process-audit-list');
+    if (!list) return;
+
+    try {
+        const response = await fetch(`/api/processes/audit?host=${encodeURIComponent(currentHost)}&limit=20`);
+        if (!response.ok) return;
+        const { entries } = await response.json();
+
+        list.innerHTML = entries.length === 0
+            ? '<tr><td colspan="6" class="alert-empty">작업 기록이 없습니다.</td></tr>'
+            : entries.map(entry => `
+      <tr>
+        <td>${formatDateTime(new Date(entry.time))}</td>
+        <td>${escapeHtml(entry.user)}</td>
+        <td>${describeAuditAction(entry)}</td>
+        <td class="process-name">${entry.name ? escapeHtml(entry.name) : '-'}</td>
+        <td>${entry.pid}</td>
+        <td class="audit-result ${entry.result}">${entry.result === 'success' ? '성공' : `실패: ${escapeHtml(entry.error)}`}</td>
+      </tr>
+    `).join('');
+    } catch (error) {
+        console.error('작업 기록 조회 오류:', error);
+    }
+}
+
+function setupProcessActions() {
+    // 상위 프로세스 표와 프로세스 탐색기의 작업 버튼
+    document.getElementById('section-processes')?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-process-action]');
+        if (button) {
+            openProcessAction(button.dataset.processAction, Number(button.dataset.pid));
+        }
+    });
+
+    document.getElementById('process-action-confirm')?.addEventListener('click', confirmProcessAction);
+    document.getElementById('process-action-cancel')?.addEventListener('click', closeProcessAction);
+    document.getElementById('process-action-close')?.addEventListener('click', closeProcessAction);
+
+    loadProcessAudit();
+}
+
+// ==========================================
+// 로그인 사용자
+// ==========================================
+const ROLE_LABELS = {
+    viewer: '조회 전용',
+    admin: '관리자'
+};
+
+// 인증 사용 시 사용자 표시, 조회 전용 사용자는 변경 작업 버튼 숨김
+async function setupUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        const { enabled, user } = await response.json();
+        if (!enabled || !user) return;
+
+        authEnabled = true;
+        document.getElementById('user-info').hidden = false;
+        document.getElementById('user-name').textContent = user.name;
+        document.getElementById('user-role').textContent = ROLE_LABELS[user.role] || user.role;
+        document.body.classList.toggle('read-only', user.role !== 'admin');
+    } catch (error) {
+        console.error('사용자 정보 조회 오류:', error);
+    }
+
+    document.getElementById('btn-logout')?.addEventListener('click', async () => {
+        await fetch('/api/auth/logout', { method: 'POST' });
+        window.location.href = '/login.html';
+    });
+}
+
 // ==========================================
 // Socket.IO 연결
 // ==========================================
@@ -1320,6 +3464,14 @@ function setupSocket() {
         console.log('서버에 연결됨');
         connectionStatus.classList.remove('disconnected');
         connectionStatus.querySelector('.status-text').textContent = '연결됨';
+
+        // 연결이 끊긴 동안의 알림 변경 반영
+        loadAlerts();
+
+        // 서버는 새 연결에 허브 자신의 데이터를 보내므로 보고 있던 호스트를 다시 선택
+        if (currentHost !== LOCAL_HOST) {
+            socket.emit('select-host', currentHost);
+        }
     });
 
     socket.on('disconnect', () => {
@@ -1328,8 +3480,67 @@ function setupSocket() {
         connectionStatus.querySelector('.status-text').textContent = '연결 끊김';
     });
 
-    socket.on('system-info', (data) => {
-        updateDashboard(data);
+    // 세션이 만료되어 핸드셰이크가 거부되면 로그인 페이지로 이동
+    socket.on('connect_error', (error) => {
+        if (error.message === '인증이 필요합니다.') {
+            window.location.href = '/login.html';
+        }
+    });
+
+    // 연결 시(또는 호스트 전환 시) 정적 인벤토리를 포함한 전체 스냅샷을 한 번 수신
+    socket.on('system-inventory', (snapshot, host) => {
+        if (host && host !== currentHost) return;
+        systemState = snapshot || {};
+        if (systemState.timestamp) {
+            updateDashboard(systemState);
+        }
+    });
+
+    // 이후에는 갱신된 메트릭 그룹만 수신 (전환 직전 호스트의 변경분은 무시)
+    socket.on('system-update', (delta, host) => {
+        if (host && host !== currentHost) return;
+        if (delta.error) {
+            updateDashboard(delta);
+            return;
+        }
+        mergeSystemState(delta);
+        updateDashboard(systemState);
+    });
+
+    // 서버 알림 발생/해소 (무음 처리된 알림은 토스트 생략)
+    socket.on('alert-fired', (alert) => {
+        if (!alert.silenced) showAlertToast(alert);
+        loadAlerts();
+    });
+    socket.on('alert-resolved', (alert) => {
+        if (!alert.silenced) showAlertToast(alert);
+        loadAlerts();
+    });
+
+    // 다른 운영자의 확인/무음 변경 반영
+    socket.on('alert-acknowledged', loadAlerts);
+    socket.on('alert-silences', loadAlerts);
+
+    // 호스트 목록과 상태 (보고 있던 호스트가 삭제되면 허브로 전환)
+    socket.on('hosts', (hosts) => {
+        hostsState = hosts;
+        if (!hosts.some(host => host.id === currentHost)) {
+            selectHost(LOCAL_HOST);
+        }
+        renderHosts();
+    });
+}
+
+// 변경분을 현재 상태에 병합 (섹션 단위 얕은 병합, 배열과 null은 교체)
+function mergeSystemState(delta) {
+    Object.keys(delta).forEach(key => {
+        const value = delta[key];
+        const current = systemState[key];
+        if (value && current && typeof value === 'object' && !Array.isArray(value)) {
+            systemState[key] = { ...current, ...value };
+        } else {
+            systemState[key] = value;
+        }
     });
 }
 
@@ -1337,15 +3548,45 @@ function setupSocket() {
 // 초기화
 // ==========================================
 document.addEventListener('DOMContentLoaded', () => {
+    // 확대/이동 플러그인 등록
+    if (window.ChartZoom) {
+        Chart.register(window.ChartZoom);
+    }
+
     // 차트 초기화
     initCharts();
 
+    // 히스토리 범위 선택 및 초기 히스토리 로드
+    setupHistoryRangePickers();
+    Object.keys(HISTORY_VIEWS).forEach(view => loadHistory(view));
+
     // 네비게이션 설정
     setupNavigation();
 
     // PDF 내보내기 설정
     setupPDFExport();
 
+    // 알림 채널 설정
+    setupNotifiers();
+
+    // 알림 목록 설정
+    setupAlerts();
+
+    // 호스트 목록 설정
+    setupHosts();
+
+    // 네트워크 인터페이스 선택 설정
+    setupNetworkInterfaces();
+
+    // 프로세스 탐색기, 상세, 작업 설정
+    setupExplorer();
+    setupConnections();
+    setupProcessPanel();
+    setupProcessActions();
+
+    // 로그인 사용자 표시
+    setupUser();
+
     // Socket.IO 연결
     setupSocket();
 
@@ -1355,5 +3596,15 @@ document.addEventListener('DOMContentLoaded', () => {
         if (timeEl) {
             timeEl.textContent = formatDateTime(new Date());
         }
+
+        // 발생 중인 알림의 지속 시간 갱신
+        if (alertsState.active.length > 0) {
+            renderActiveAlerts();
+        }
+
+        // 에이전트의 마지막 수신 시각 갱신
+        if (hostsState.length > 1) {
+            renderHostList();
+        }
     }, 1000);
 });
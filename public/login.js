@@ -0,0 +1,36 @@
+/**
+ * System Resource Monitor - 로그인 페이지
+ */
+
+document.getElementById('login-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const form = event.target;
+    const error = document.getElementById('login-error');
+    const button = form.querySelector('button');
+    error.textContent = '';
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: form.username.value,
+                password: form.password.value
+            })
+        });
+
+        if (response.ok) {
+            window.location.href = '/';
+            return;
+        }
+
+        const body = await response.json().catch(() => ({}));
+        error.textContent = body.error || `로그인에 실패했습니다. (${response.status})`;
+    } catch (err) {
+        error.textContent = `서버에 연결할 수 없습니다: ${err.message}`;
+    } finally {
+        button.disabled = false;
+    }
+});
@@ -14,6 +14,9 @@ let historyData = {
     gpuTemp: [],
     networkDown: [],
     networkUp: [],
+    diskRead: [],
+    diskWrite: [],
+    diskBusy: [],
     timestamps: []
 };
 const MAX_HISTORY_POINTS = 60; // 60초 히스토리
@@ -76,6 +79,13 @@ function formatDateTime(date) {
     });
 }
 
+// innerHTML에 넣을 외부 문자열 이스케이프 (프로세스 이름, 사용자, 파일 경로 등)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // 값 변화 애니메이션
 function animateValue(element, newValue) {
     const currentValue = element.textContent;
@@ -247,6 +257,70 @@ function initCharts() {
         });
     }
 
+    // 디스크 I/O 차트 (대시보드, 디스크 화면의 읽기/쓰기 속도와 IOPS)
+    const ioChart = (ctx, formatTick) => new Chart(ctx.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: Array(30).fill(''),
+            datasets: [
+                {
+                    label: '읽기',
+                    data: Array(30).fill(0),
+                    borderColor: '#ec4899',
+                    backgroundColor: 'rgba(236, 72, 153, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0
+                },
+                {
+                    label: '쓰기',
+                    data: Array(30).fill(0),
+                    borderColor: '#14b8a6',
+                    backgroundColor: 'rgba(20, 184, 166, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            ...chartOptions,
+            scales: {
+                ...chartOptions.scales,
+                y: {
+                    display: true,
+                    min: 0,
+                    grid: {
+                        color: 'rgba(45, 62, 80, 0.5)',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: '#5c6b7d',
+                        font: { size: 10 },
+                        callback: formatTick
+                    }
+                }
+            }
+        }
+    });
+
+    const diskIOCtx = document.getElementById('diskio-chart');
+    if (diskIOCtx) {
+        charts.diskio = ioChart(diskIOCtx, (value) => formatBytesPerSec(value));
+    }
+
+    const diskIOLiveCtx = document.getElementById('diskio-live-chart');
+    if (diskIOLiveCtx) {
+        charts.diskioLive = ioChart(diskIOLiveCtx, (value) => formatBytesPerSec(value));
+    }
+
+    const diskIOPSCtx = document.getElementById('diskio-iops-chart');
+    if (diskIOPSCtx) {
+        charts.diskioIops = ioChart(diskIOPSCtx, (value) => value);
+    }
+
     // 히스토리 차트들 초기화
     initHistoryCharts();
 }
@@ -460,6 +534,83 @@ function initHistoryCharts() {
             }
         });
     }
+    // 디스크 I/O 히스토리
+    const diskIOHistoryCtx = document.getElementById('diskio-history-chart');
+    if (diskIOHistoryCtx) {
+        charts.diskioHistory = new Chart(diskIOHistoryCtx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: '읽기',
+                        data: [],
+                        borderColor: '#ec4899',
+                        backgroundColor: 'rgba(236, 72, 153, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0
+                    },
+                    {
+                        label: '쓰기',
+                        data: [],
+                        borderColor: '#14b8a6',
+                        backgroundColor: 'rgba(20, 184, 166, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                ...historyOptions,
+                plugins: {
+                    ...historyOptions.plugins,
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: { color: '#8b98a5', font: { size: 11 } }
+                    }
+                },
+                scales: {
+                    ...historyOptions.scales,
+                    y: {
+                        display: true,
+                        min: 0,
+                        grid: { color: 'rgba(45, 62, 80, 0.5)' },
+                        ticks: {
+                            color: '#5c6b7d',
+                            font: { size: 10 },
+                            callback: (v) => formatBytesPerSec(v)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // 디스크 사용률 히스토리
+    const diskBusyCtx = document.getElementById('diskio-busy-chart');
+    if (diskBusyCtx) {
+        charts.diskioBusy = new Chart(diskBusyCtx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    data: [],
+                    borderColor: '#ec4899',
+                    backgroundColor: 'rgba(236, 72, 153, 0.2)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 0
+                }]
+            },
+            options: historyOptions
+        });
+    }
 }
 
 // ==========================================
@@ -488,9 +639,12 @@ function updateDashboard(data) {
 
     // 네트워크 업데이트
     updateNetwork(data.network);
+    updateNetworkInventory(data.interfaces);
 
     // 디스크 업데이트
     updateDisk(data.disk);
+    updateDiskIO(data.diskio);
+    updateDiskLayout(data.disk, data.diskhealth);
 
     // 프로세스 업데이트
     updateProcesses(data.processes);
@@ -767,11 +921,152 @@ function updateGPUDetailInfo(gpu) {
   `).join('');
 }
 
-function updateNetwork(net) {
+// ==========================================
+// 네트워크 인터페이스 선택
+// ==========================================
+const ALL_INTERFACES = 'all';
+const PINNED_INTERFACE_KEY = 'networkInterface';
+
+// 보고 있는 인터페이스 ('': 대표 인터페이스, 'all': 전체 합계, 그 밖에는 인터페이스 이름)
+let networkSelection = loadPinnedInterface();
+let currentNetwork = null;
+let currentInterfaces = null;
+
+function loadPinnedInterface() {
+    try {
+        return localStorage.getItem(PINNED_INTERFACE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// 선택한 인터페이스의 통계 (없으면 대표 인터페이스)
+function selectedNetwork(net) {
+    if (!net || !networkSelection) return net;
+    if (networkSelection === ALL_INTERFACES) return net.total || net;
+    return (net.interfaces || []).find(iface => iface.interface === networkSelection) || net;
+}
+
+function interfaceLabel(stats) {
+    if (stats.interface === ALL_INTERFACES) {
+        return stats.count === undefined ? '모든 인터페이스' : `모든 인터페이스 (${stats.count}개)`;
+    }
+    return stats.interface || 'N/A';
+}
+
+function selectNetworkInterface(value) {
+    if (value === networkSelection) return;
+    networkSelection = value;
+
+    // 이전 인터페이스의 값이 섞이지 않도록 차트를 비움
+    if (charts.network) {
+        charts.network.data.datasets.forEach(dataset => {
+            dataset.data = dataset.data.map(() => 0);
+        });
+        charts.network.update('none');
+    }
+    historyData.networkDown = historyData.networkDown.map(() => 0);
+    historyData.networkUp = historyData.networkUp.map(() => 0);
+    updateHistoryCharts();
+
+    renderNetworkInterfaces(currentNetwork);
+    updateNetworkInventory(currentInterfaces);
+}
+
+// 선택 상자 (인터페이스 목록이 바뀐 경우에만 다시 그려 열린 선택 상자가 닫히지 않게 함)
+function renderNetworkInterfaceOptions(net) {
+    const select = document.getElementById('network-interface-select');
+    if (!select) return;
+
+    const names = (net && net.interfaces ? net.interfaces : []).map(iface => iface.interface);
+    if (networkSelection && networkSelection !== ALL_INTERFACES && !names.includes(networkSelection)) {
+        names.push(networkSelection);
+    }
+    const auto = net && net.defaultInterface ? `자동 (기본 경로: ${net.defaultInterface})` : '자동 (기본 경로 인터페이스)';
+    const options = [['', auto], [ALL_INTERFACES, '모든 인터페이스 합계'], ...names.map(name => [name, name])];
+
+    const signature = JSON.stringify(options);
+    if (select.dataset.signature !== signature) {
+        select.dataset.signature = signature;
+        select.innerHTML = options.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+    }
+    select.value = networkSelection;
+
+    const pin = document.getElementById('network-interface-pin');
+    if (pin) {
+        const stored = loadPinnedInterface();
+        pin.textContent = stored && stored === networkSelection ? '고정 해제' : '기본으로 고정';
+        pin.disabled = !stored && !networkSelection;
+    }
+}
+
+function renderNetworkInterfaces(net) {
+    const list = document.getElementById('network-interface-list');
+    if (!list) return;
+
+    renderNetworkInterfaceOptions(net);
+
+    const interfaces = net && net.interfaces ? net.interfaces : [];
+    const count = document.getElementById('network-interface-count');
+    if (count) count.textContent = `${interfaces.length}개 인터페이스`;
+
+    const selected = selectedNetwork(net);
+    const rows = net && net.total ? [...interfaces, net.total] : interfaces;
+    list.innerHTML = rows.length === 0
+        ? '<tr><td colspan="8" class="explorer-empty">네트워크 정보 없음</td></tr>'
+        : rows.map(iface => `
+      <tr class="${selected && iface.interface === selected.interface ? 'selected' : ''}" data-network-interface="${escapeHtml(iface.interface)}">
+        <td>${escapeHtml(interfaceLabel(iface))}${iface.interface === net.defaultInterface ? '<span class="interface-default">기본 경로</span>' : ''}</td>
+        <td>${iface.operstate ? escapeHtml(iface.operstate) : '-'}</td>
+        <td>${formatBytesPerSec(iface.rxSec)}</td>
+        <td>${formatBytesPerSec(iface.txSec)}</td>
+        <td>${formatBytes(iface.rxBytes)}</td>
+        <td>${formatBytes(iface.txBytes)}</td>
+        <td>${(iface.rxDropped || 0) + (iface.txDropped || 0)}</td>
+        <td>${(iface.rxErrors || 0) + (iface.txErrors || 0)}</td>
+      </tr>
+    `).join('');
+
+    const historyLabel = document.getElementById('network-history-interface');
+    if (historyLabel) historyLabel.textContent = selected ? interfaceLabel(selected) : '';
+}
+
+function setupNetworkInterfaces() {
+    document.getElementById('network-interface-select')?.addEventListener('change', (event) => {
+        selectNetworkInterface(event.target.value);
+    });
+
+    document.getElementById('network-interface-list')?.addEventListener('click', (event) => {
+        const row = event.target.closest('[data-network-interface]');
+        if (row) selectNetworkInterface(row.dataset.networkInterface);
+    });
+
+    // 고정한 인터페이스는 다음에 실행할 때도 기본으로 선택 (자동을 고정하면 고정 해제)
+    document.getElementById('network-interface-pin')?.addEventListener('click', () => {
+        try {
+            if (!networkSelection || loadPinnedInterface() === networkSelection) {
+                localStorage.removeItem(PINNED_INTERFACE_KEY);
+            } else {
+                localStorage.setItem(PINNED_INTERFACE_KEY, networkSelection);
+            }
+        } catch (error) {
+            console.error('인터페이스 고정 저장 오류:', error);
+        }
+        renderNetworkInterfaceOptions(currentNetwork);
+    });
+}
+
+function updateNetwork(rawNet) {
+    // 인터페이스별 목록과 선택 상자
+    currentNetwork = rawNet;
+    renderNetworkInterfaces(rawNet);
+
+    const net = selectedNetwork(rawNet);
+
     // 인터페이스 이름
     const netInterface = document.getElementById('network-interface');
     if (netInterface) {
-        netInterface.textContent = net ? (net.interface || 'eth0') : 'N/A';
+        netInterface.textContent = net ? interfaceLabel(net) : 'N/A';
     }
 
     // 다운로드 속도
@@ -806,35 +1101,84 @@ function updateNetwork(net) {
         charts.network.update('none');
     }
 
-    // 네트워크 상세 정보
-    updateNetworkDetailInfo(net);
 }
 
-function updateNetworkDetailInfo(net) {
-    const infoList = document.getElementById('network-detail-info');
-    if (!infoList) return;
+// ==========================================
+// 네트워크 인터페이스 구성
+// ==========================================
+const NIC_STATE_LABELS = { up: '연결됨', down: '끊김', dormant: '대기', unknown: '알 수 없음' };
+const NIC_TYPE_LABELS = { wired: '유선', wireless: '무선', virtual: '가상' };
+const NIC_DUPLEX_LABELS = { full: '전이중', half: '반이중' };
 
-    if (!net) {
-        infoList.innerHTML = '<div class="info-item"><span class="info-value">네트워크 정보 없음</span></div>';
-        return;
-    }
+function formatLinkSpeed(speed) {
+    if (!speed) return 'N/A';
+    return speed >= 1000 ? `${speed / 1000} Gbit/s` : `${speed} Mbit/s`;
+}
 
-    const info = [
-        { label: '인터페이스', value: net.interface || 'N/A' },
-        { label: '다운로드 속도', value: formatBytesPerSec(net.rxSec) },
-        { label: '업로드 속도', value: formatBytesPerSec(net.txSec) },
-        { label: '총 수신', value: formatBytes(net.rxBytes) },
-        { label: '총 송신', value: formatBytes(net.txBytes) },
-        { label: '드롭 (수신)', value: net.rxDropped || 0 },
-        { label: '드롭 (송신)', value: net.txDropped || 0 }
+function renderNic(iface, selected) {
+    const details = [
+        // 주소 목록만 줄바꿈(<br>)을 넣으므로 값은 항목마다 이스케이프
+        ['IPv4', iface.ipv4.length ? iface.ipv4.map(escapeHtml).join('<br>') : '-'],
+        ['IPv6', iface.ipv6.length ? iface.ipv6.map(escapeHtml).join('<br>') : '-'],
+        ['MAC', iface.mac ? escapeHtml(iface.mac) : '-'],
+        ['MTU', iface.mtu ? escapeHtml(iface.mtu) : '-'],
+        ['링크 속도', formatLinkSpeed(iface.speed)],
+        ['Duplex', NIC_DUPLEX_LABELS[iface.duplex] || (iface.duplex ? escapeHtml(iface.duplex) : 'N/A')],
+        ['유형', NIC_TYPE_LABELS[iface.type] || (iface.type ? escapeHtml(iface.type) : '-')],
+        ['DHCP', iface.dhcp ? '사용' : '사용 안 함']
     ];
+    const badges = [
+        `<span class="nic-badge ${iface.operstate === 'up' ? 'up' : 'down'}">${NIC_STATE_LABELS[iface.operstate] || (iface.operstate ? escapeHtml(iface.operstate) : '알 수 없음')}</span>`,
+        iface.default ? '<span class="nic-badge default">기본 경로</span>' : '',
+        iface.virtual ? '<span class="nic-badge">가상</span>' : '',
+        iface.internal ? '<span class="nic-badge">내부</span>' : ''
+    ].join('');
+
+    return `
+      <div class="nic-item${iface.operstate === 'up' ? '' : ' down'}${selected ? ' selected' : ''}">
+        <div class="nic-header">
+          <span class="nic-name">${escapeHtml(iface.name && iface.name !== iface.interface ? `${iface.name} (${iface.interface})` : iface.interface)}</span>
+          <span class="nic-badges">${badges}</span>
+        </div>
+        <div class="nic-details">
+          ${details.map(([label, value]) => `
+            <div class="nic-detail">
+              <span class="nic-label">${label}</span>
+              <span class="nic-value">${value}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+}
 
-    infoList.innerHTML = info.map(item => `
-    <div class="info-item">
-      <span class="info-label">${item.label}</span>
-      <span class="info-value">${item.value}</span>
-    </div>
-  `).join('');
+// 인터페이스가 올라오거나 내려가는 등 구성이 바뀐 경우에만 다시 그림
+function updateNetworkInventory(interfaces) {
+    currentInterfaces = interfaces;
+    const infoList = document.getElementById('network-detail-info');
+    if (!infoList) return;
+
+    const net = selectedNetwork(currentNetwork);
+    const selected = net ? net.interface : null;
+    const signature = JSON.stringify([interfaces, selected]);
+    if (infoList.dataset.signature === signature) return;
+    infoList.dataset.signature = signature;
+
+    const count = document.getElementById('network-inventory-count');
+    if (count) {
+        count.textContent = interfaces ? `${interfaces.filter(iface => iface.operstate === 'up').length} / ${interfaces.length}개 연결됨` : '';
+    }
+
+    infoList.innerHTML = !interfaces || interfaces.length === 0
+        ? '<div class="nic-empty">네트워크 인터페이스 정보 없음</div>'
+        : interfaces
+            // 기본 경로, 연결된 인터페이스, 이름 순
+            .slice()
+            .sort((a, b) => (b.default - a.default)
+                || ((b.operstate === 'up') - (a.operstate === 'up'))
+                || a.interface.localeCompare(b.interface))
+            .map(iface => renderNic(iface, iface.interface === selected))
+            .join('');
 }
 
 function updateDisk(disk) {
@@ -890,19 +1234,183 @@ function updateDisk(disk) {
       </div>
     `).join('');
     }
+}
 
-    // 물리 디스크 정보
-    const diskLayoutInfo = document.getElementById('disk-layout-info');
-    if (diskLayoutInfo && disk.layout) {
-        diskLayoutInfo.innerHTML = disk.layout.map((d, i) => `
-      <div class="info-item">
-        <span class="info-label">디스크 ${i + 1}: ${d.name || 'Unknown'}</span>
-        <span class="info-value">${d.type || 'HDD'} - ${formatBytes(d.size)}</span>
-      </div>
+// ==========================================
+// 디스크 I/O
+// ==========================================
+function formatIops(value) {
+    if (value === null || value === undefined) return '-';
+    return value < 10 ? value.toFixed(1) : Math.round(value).toLocaleString();
+}
+
+function formatBusy(value) {
+    return value === null || value === undefined ? '-' : `${value.toFixed(1)}%`;
+}
+
+function pushIOChart(chart, read, write) {
+    if (!chart) return;
+    chart.data.datasets[0].data.push(read || 0);
+    chart.data.datasets[0].data.shift();
+    chart.data.datasets[1].data.push(write || 0);
+    chart.data.datasets[1].data.shift();
+    chart.update('none');
+}
+
+function updateDiskIO(io) {
+    if (!io) return;
+
+    const badge = document.getElementById('diskio-badge');
+    if (badge) {
+        animateValue(badge, formatBusy(io.busy));
+    }
+
+    const read = document.getElementById('diskio-read');
+    if (read) {
+        animateValue(read, formatBytesPerSec(io.readSec));
+    }
+
+    const write = document.getElementById('diskio-write');
+    if (write) {
+        animateValue(write, formatBytesPerSec(io.writeSec));
+    }
+
+    const readIops = document.getElementById('diskio-read-iops');
+    if (readIops) {
+        readIops.textContent = formatIops(io.readIops);
+    }
+
+    const writeIops = document.getElementById('diskio-write-iops');
+    if (writeIops) {
+        writeIops.textContent = formatIops(io.writeIops);
+    }
+
+    pushIOChart(charts.diskio, io.readSec, io.writeSec);
+    pushIOChart(charts.diskioLive, io.readSec, io.writeSec);
+    pushIOChart(charts.diskioIops, io.readIops, io.writeIops);
+
+    // 장치별 표 (장치별 통계가 없는 운영체제는 전체 합계만)
+    const count = document.getElementById('diskio-device-count');
+    if (count) {
+        count.textContent = io.devices.length > 0 ? `물리 디스크 ${io.devices.length}개` : '전체 합계';
+    }
+
+    const deviceList = document.getElementById('diskio-device-list');
+    if (deviceList) {
+        const rows = io.devices.length > 0 ? io.devices : [{ ...io, device: '전체' }];
+        deviceList.innerHTML = rows.map(d => `
+      <tr>
+        <td class="process-name">${d.device}</td>
+        <td>${formatBytesPerSec(d.readSec)}</td>
+        <td>${formatBytesPerSec(d.writeSec)}</td>
+        <td>${formatIops(d.readIops)}</td>
+        <td>${formatIops(d.writeIops)}</td>
+        <td class="${d.busy >= 90 ? 'cpu-high' : d.busy >= 50 ? 'cpu-medium' : ''}">${formatBusy(d.busy)}</td>
+        <td>${d.readBytes === null ? '-' : formatBytes(d.readBytes)}</td>
+        <td>${d.writeBytes === null ? '-' : formatBytes(d.writeBytes)}</td>
+      </tr>
     `).join('');
     }
 }
 
+// ==========================================
+// 물리 디스크 상태 (S.M.A.R.T.)
+// ==========================================
+const DISK_HEALTH_LABELS = { ok: '정상', warning: '주의', critical: '위험', unknown: '상태 알 수 없음' };
+const SMART_STATUS_LABELS = { passed: '통과', failing: '실패', unknown: 'N/A' };
+
+function formatPowerOnHours(hours) {
+    if (hours === null || hours === undefined) return 'N/A';
+    if (hours < 24) return `${hours}시간`;
+    return `${hours.toLocaleString()}시간 (${Math.floor(hours / 24).toLocaleString()}일)`;
+}
+
+function formatCount(value, unit) {
+    return value === null || value === undefined ? 'N/A' : `${value.toLocaleString()}${unit}`;
+}
+
+function renderDiskHealth(d, index, health) {
+    const state = health && DISK_HEALTH_LABELS[health.health] ? health.health : 'unknown';
+    const details = [
+        ['장치', d.device || '-'],
+        ['유형', d.type || '-'],
+        ['인터페이스', d.interfaceType || (health && health.interfaceType) || 'N/A'],
+        ['용량', formatBytes(d.size)],
+        ['S.M.A.R.T.', (health && SMART_STATUS_LABELS[health.smartStatus]) || 'N/A'],
+        ['온도', health && health.temperature !== null ? `${health.temperature}°C` : 'N/A'],
+        ['사용 시간', formatPowerOnHours(health && health.powerOnHours)],
+        ['재할당 섹터', formatCount(health && health.reallocatedSectors, '개')]
+    ];
+    // NVMe 전용 항목
+    if (health && health.percentageUsed !== null) details.push(['수명 사용', `${health.percentageUsed}%`]);
+    if (health && health.mediaErrors !== null) details.push(['미디어 오류', formatCount(health.mediaErrors, '회')]);
+
+    const warnings = health && health.warnings.length > 0
+        ? `<div class="disk-health-warnings">${health.warnings.map(w => `<div>⚠ ${escapeHtml(w)}</div>`).join('')}</div>`
+        : '';
+
+    return `
+      <div class="disk-health-item ${state}">
+        <div class="disk-health-header">
+          <span class="disk-health-name">디스크 ${index + 1}: ${d.name ? escapeHtml(d.name) : 'Unknown'}</span>
+          <span class="disk-health-badge ${state}">${DISK_HEALTH_LABELS[state]}</span>
+        </div>
+        <div class="disk-health-details">
+          ${details.map(([label, value]) => `
+            <div class="disk-health-detail">
+              <span class="disk-health-label">${label}</span>
+              <span class="disk-health-value">${escapeHtml(value)}</span>
+            </div>
+          `).join('')}
+        </div>
+        ${warnings}
+      </div>
+    `;
+}
+
+// 상태가 바뀐 경우에만 다시 그림 (S.M.A.R.T.는 5분마다 수집)
+function updateDiskLayout(disk, health) {
+    const infoList = document.getElementById('disk-layout-info');
+    if (!infoList || !disk || !disk.layout) return;
+
+    const signature = JSON.stringify([disk.layout, health]);
+    if (infoList.dataset.signature === signature) return;
+    infoList.dataset.signature = signature;
+
+    const disks = health ? health.disks : [];
+    const healthOf = d => disks.find(h => h.device === d.device) || null;
+    const critical = disks.filter(h => h.health === 'critical').length;
+    const warning = disks.filter(h => h.health === 'warning').length;
+
+    // 주의가 필요한 디스크는 대시보드 디스크 카드에도 표시
+    const badge = document.getElementById('disk-health-badge');
+    if (badge) {
+        badge.hidden = critical + warning === 0;
+        badge.className = `disk-health-badge ${critical > 0 ? 'critical' : 'warning'}`;
+        badge.textContent = critical > 0 ? `디스크 위험 ${critical}개` : `디스크 주의 ${warning}개`;
+    }
+
+    const summary = document.getElementById('disk-health-summary');
+    if (summary) {
+        if (!health || disks.every(h => h.health === 'unknown')) {
+            summary.textContent = 'S.M.A.R.T. 정보 없음';
+        } else if (critical + warning > 0) {
+            summary.textContent = [critical > 0 ? `위험 ${critical}개` : '', warning > 0 ? `주의 ${warning}개` : ''].filter(Boolean).join(', ');
+        } else {
+            summary.textContent = '모두 정상';
+        }
+    }
+
+    // smartctl로 세부 값을 읽지 못하면 설치 안내 (Windows는 smartctl 없이 자가 진단 결과만 표시)
+    const note = health && !health.available
+        ? '<div class="disk-health-note">사용 시간, 재할당 섹터 등 세부 정보를 보려면 smartctl(smartmontools)을 설치하고 관리자 권한으로 실행하세요.</div>'
+        : '';
+
+    infoList.innerHTML = disk.layout.length === 0
+        ? '<div class="disk-health-empty">물리 디스크 정보 없음</div>'
+        : disk.layout.map((d, i) => renderDiskHealth(d, i, healthOf(d))).join('') + note;
+}
+
 function updateProcesses(processes) {
     if (!processes) return;
 
@@ -915,12 +1423,13 @@ function updateProcesses(processes) {
         else if (proc.cpu > 20) cpuClass = 'cpu-medium';
 
         return `
-      <tr>
-        <td class="process-name">${proc.name}</td>
+      <tr${full ? ` data-process-row="${proc.pid}"` : ''}>
+        <td class="process-name">${escapeHtml(proc.name)}</td>
         <td>${proc.pid}</td>
         <td class="${cpuClass}">${proc.cpu.toFixed(1)}%</td>
         <td>${proc.mem.toFixed(1)}%</td>
         <td>${formatBytes(proc.memRss * 1024)}</td>
+        ${full ? renderProcessActions(proc) : ''}
       </tr>
     `;
     };
@@ -930,6 +1439,7 @@ function updateProcesses(processes) {
     }
 
     if (processDetailList) {
+        currentProcesses = processes;
         processDetailList.innerHTML = processes.slice(0, 10).map(p => renderRow(p, true)).join('');
     }
 }
@@ -961,8 +1471,11 @@ function addToHistory(data) {
     historyData.memory.push(data.memory ? data.memory.usagePercent : 0);
     historyData.gpuUsage.push(data.gpu && data.gpu.utilizationGpu !== null ? data.gpu.utilizationGpu : 0);
     historyData.gpuTemp.push(data.gpu && data.gpu.temperature ? data.gpu.temperature : 0);
-    historyData.networkDown.push(data.network ? data.network.rxSec : 0);
-    historyData.networkUp.push(data.network ? data.network.txSec : 0);
+    historyData.networkDown.push(data.network ? selectedNetwork(data.network).rxSec || 0 : 0);
+    historyData.networkUp.push(data.network ? selectedNetwork(data.network).txSec || 0 : 0);
+    historyData.diskRead.push(data.diskio ? data.diskio.readSec || 0 : 0);
+    historyData.diskWrite.push(data.diskio ? data.diskio.writeSec || 0 : 0);
+    historyData.diskBusy.push(data.diskio ? data.diskio.busy || 0 : 0);
 
     // 최대 포인트 수 유지
     if (historyData.timestamps.length > MAX_HISTORY_POINTS) {
@@ -973,6 +1486,9 @@ function addToHistory(data) {
         historyData.gpuTemp.shift();
         historyData.networkDown.shift();
         historyData.networkUp.shift();
+        historyData.diskRead.shift();
+        historyData.diskWrite.shift();
+        historyData.diskBusy.shift();
     }
 
     // 히스토리 차트 업데이트
@@ -1010,6 +1526,19 @@ function updateHistoryCharts() {
         charts.networkHistory.data.datasets[1].data = historyData.networkUp;
         charts.networkHistory.update('none');
     }
+
+    if (charts.diskioHistory) {
+        charts.diskioHistory.data.labels = historyData.timestamps;
+        charts.diskioHistory.data.datasets[0].data = historyData.diskRead;
+        charts.diskioHistory.data.datasets[1].data = historyData.diskWrite;
+        charts.diskioHistory.update('none');
+    }
+
+    if (charts.diskioBusy) {
+        charts.diskioBusy.data.labels = historyData.timestamps;
+        charts.diskioBusy.data.datasets[0].data = historyData.diskBusy;
+        charts.diskioBusy.update('none');
+    }
 }
 
 // ==========================================
@@ -1288,6 +1817,729 @@ function setupNavigation() {
     });
 }
 
+// ==========================================
+// 알림 채널 테스트
+// ==========================================
+function setupNotifierTest() {
+    document.getElementById('btn-notifier-test')?.addEventListener('click', async () => {
+        if (!window.electronAPI) return;
+
+        // 데스크톱 알림 외에 notifiers.json에 설정된 채널도 함께 테스트
+        const channels = await window.electronAPI.listNotifiers();
+        const results = await Promise.all(channels.map(async (channel) => ({
+            channel,
+            result: await window.electronAPI.testNotifier(channel.id)
+        })));
+
+        const failed = results.filter(r => !r.result.ok);
+        if (failed.length > 0) {
+            alert('테스트 알림 전송 실패:\n' + failed.map(r => `${r.channel.name}: ${r.result.error}`).join('\n'));
+        }
+    });
+}
+
+// ==========================================
+// 네트워크 연결 (활성 연결, 수신 대기 포트)
+// ==========================================
+const CONNECTIONS_REFRESH_INTERVAL = 3000;
+
+const CONNECTION_STATE_LABELS = {
+    LISTEN: '수신 대기',
+    ESTABLISHED: '연결됨',
+    TIME_WAIT: '종료 대기',
+    CLOSE_WAIT: '닫기 대기',
+    NONE: '상태 없음'
+};
+
+const connectionsState = {
+    state: '',
+    port: '',
+    protocol: '',
+    page: 1,
+    pageSize: 100,
+    // 늦게 도착한 이전 응답 무시
+    requestId: 0
+};
+
+function isConnectionsVisible() {
+    return document.getElementById('section-connections')?.classList.contains('active') && !document.hidden;
+}
+
+function connectionStateLabel(state) {
+    const label = CONNECTION_STATE_LABELS[state];
+    return label ? `${state} (${label})` : state;
+}
+
+// IPv6 주소는 포트와 구분되도록 대괄호로 감쌈
+function formatEndpoint(address, port) {
+    if (!address && port === null) return '-';
+    const host = address && address.includes(':') ? `[${address}]` : (address || '*');
+    return `${host}:${port === null ? '*' : port}`;
+}
+
+async function loadConnections() {
+    const list = document.getElementById('connections-list');
+    if (!list || !window.electronAPI) return;
+
+    const requestId = ++connectionsState.requestId;
+    const response = await window.electronAPI.queryConnections({
+        state: connectionsState.state,
+        port: connectionsState.port,
+        protocol: connectionsState.protocol,
+        page: connectionsState.page,
+        pageSize: connectionsState.pageSize
+    });
+    if (requestId !== connectionsState.requestId) return;
+
+    if (!response.ok) {
+        list.innerHTML = `<tr><td colspan="6" class="explorer-empty">${response.error}</td></tr>`;
+        return;
+    }
+    renderConnections(response.result);
+}
+
+// 상태 목록은 응답에 들어 있는 상태로 채우고, 고른 상태는 연결이 없어도 유지
+function renderConnectionStates(states) {
+    const select = document.getElementById('connections-state');
+    if (!select) return;
+
+    const names = Object.keys(states).sort();
+    if (connectionsState.state && !names.includes(connectionsState.state)) names.push(connectionsState.state);
+    const total = Object.values(states).reduce((sum, count) => sum + count, 0);
+
+    select.innerHTML = `<option value="">모든 상태: ${total}개</option>` + names.map(state => `
+      <option value="${escapeHtml(state)}">${escapeHtml(connectionStateLabel(state))}: ${states[state] || 0}개</option>
+    `).join('');
+    select.value = connectionsState.state;
+}
+
+function renderConnections(result) {
+    connectionsState.page = result.page;
+
+    document.getElementById('connections-count').textContent = result.total === result.count
+        ? `${result.count}개 연결`
+        : `${result.total}개 일치 (전체 ${result.count}개)`;
+    document.getElementById('connections-page').textContent = `${result.page} / ${result.pages} 페이지`;
+    document.getElementById('connections-prev').disabled = result.page <= 1;
+    document.getElementById('connections-next').disabled = result.page >= result.pages;
+    renderConnectionStates(result.states);
+
+    // PID를 아는 연결은 누르면 소유 프로세스의 상세 화면을 엶
+    document.getElementById('connections-list').innerHTML = result.connections.length === 0
+        ? '<tr><td colspan="6" class="explorer-empty">일치하는 연결이 없습니다.</td></tr>'
+        : result.connections.map(conn => `
+      <tr${conn.pid ? ` data-process-row="${conn.pid}"` : ''}>
+        <td>${escapeHtml(conn.protocol.toUpperCase())}</td>
+        <td>${escapeHtml(formatEndpoint(conn.localAddress, conn.localPort))}</td>
+        <td>${conn.state === 'LISTEN' ? '-' : escapeHtml(formatEndpoint(conn.peerAddress, conn.peerPort))}</td>
+        <td>${conn.state ? escapeHtml(connectionStateLabel(conn.state)) : '-'}</td>
+        <td>${conn.pid || '-'}</td>
+        <td class="process-name">${conn.process ? escapeHtml(conn.process) : '-'}</td>
+      </tr>
+    `).join('');
+}
+
+function setupConnections() {
+    let portTimer = null;
+
+    document.getElementById('connections-state')?.addEventListener('change', (event) => {
+        connectionsState.state = event.target.value;
+        connectionsState.page = 1;
+        loadConnections();
+    });
+
+    document.getElementById('connections-protocol')?.addEventListener('change', (event) => {
+        connectionsState.protocol = event.target.value;
+        connectionsState.page = 1;
+        loadConnections();
+    });
+
+    document.getElementById('connections-port')?.addEventListener('input', (event) => {
+        clearTimeout(portTimer);
+        portTimer = setTimeout(() => {
+            connectionsState.port = event.target.value.trim();
+            connectionsState.page = 1;
+            loadConnections();
+        }, 300);
+    });
+
+    document.getElementById('connections-prev')?.addEventListener('click', () => {
+        connectionsState.page--;
+        loadConnections();
+    });
+
+    document.getElementById('connections-next')?.addEventListener('click', () => {
+        connectionsState.page++;
+        loadConnections();
+    });
+
+    // 연결 화면을 열면 바로 조회하고, 보고 있는 동안만 주기적으로 갱신
+    document.querySelector('.nav-item[data-section="connections"]')?.addEventListener('click', loadConnections);
+    setInterval(() => {
+        if (isConnectionsVisible()) loadConnections();
+    }, CONNECTIONS_REFRESH_INTERVAL);
+}
+
+// ==========================================
+// 프로세스 탐색기 (메인 프로세스에서 전체 목록 조회)
+// ==========================================
+const EXPLORER_REFRESH_INTERVAL = 3000;
+const EXPLORER_ASCENDING = ['name', 'user', 'started', 'pid'];
+
+const PROCESS_STATE_LABELS = {
+    running: '실행',
+    sleeping: '대기',
+    blocked: '차단',
+    stopped: '정지',
+    zombie: '좀비'
+};
+
+const explorerState = {
+    sort: 'cpu',
+    order: 'desc',
+    search: '',
+    view: 'list',
+    // 묶기 기준 (name, user, cgroup, 빈 문자열이면 묶지 않음)
+    group: '',
+    page: 1,
+    pageSize: 50,
+    collapsed: new Set(),
+    expanded: new Set(),
+    rows: [],
+    // 늦게 도착한 이전 응답 무시
+    requestId: 0
+};
+
+function isExplorerVisible() {
+    return document.getElementById('section-processes')?.classList.contains('active') && !document.hidden;
+}
+
+async function loadExplorer() {
+    const list = document.getElementById('explorer-list');
+    if (!list || !window.electronAPI) return;
+
+    const requestId = ++explorerState.requestId;
+    const response = await window.electronAPI.queryProcesses({
+        sort: explorerState.sort,
+        order: explorerState.order,
+        search: explorerState.search,
+        view: explorerState.view,
+        page: explorerState.page,
+        pageSize: explorerState.pageSize,
+        collapsed: explorerState.view === 'tree' ? Array.from(explorerState.collapsed) : [],
+        group: explorerState.group,
+        expanded: explorerState.group ? Array.from(explorerState.expanded) : []
+    });
+    if (requestId !== explorerState.requestId) return;
+
+    if (!response.ok) {
+        explorerState.rows = [];
+        list.innerHTML = `<tr><td colspan="9" class="explorer-empty">${response.error}</td></tr>`;
+        return;
+    }
+    renderExplorer(response.result);
+}
+
+function renderExplorerName(proc, tree) {
+    // 펼친 묶음의 개별 프로세스는 묶음 이름 아래로 들여쓰기
+    const name = escapeHtml(proc.name);
+    if (!tree) return proc.depth ? `<span style="padding-left: 18px">${name}</span>` : name;
+
+    const toggle = proc.children > 0
+        ? `<button class="explorer-toggle" data-explorer-toggle="${proc.pid}">${proc.collapsed ? '▶' : '▼'}</button>`
+        : '<span class="explorer-leaf"></span>';
+    return `<span style="padding-left: ${proc.depth * 16}px">${toggle}${name}</span>`;
+}
+
+// 묶음 이름 (HTML로 넣으므로 이스케이프)
+function explorerGroupLabel(key, group) {
+    if (key === '') return '(알 수 없음)';
+    if (group === 'cgroup' && key === '/') return '/ (최상위 cgroup)';
+    return escapeHtml(key);
+}
+
+// 묶음 행 (누르면 개별 프로세스를 펼치거나 접음)
+function renderExplorerGroup(row, index, group) {
+    return `
+      <tr class="explorer-group" data-explorer-group="${index}">
+        <td class="process-name">
+          <button class="explorer-toggle" data-explorer-group="${index}">${row.expanded ? '▼' : '▶'}</button>${explorerGroupLabel(row.group, group)}
+        </td>
+        <td>${row.count}개</td>
+        <td>${group === 'user' ? explorerGroupLabel(row.group, group) : '-'}</td>
+        <td>-</td>
+        <td class="${row.cpu > 50 ? 'cpu-high' : row.cpu > 20 ? 'cpu-medium' : ''}">${row.cpu.toFixed(1)}%</td>
+        <td>${row.mem.toFixed(1)}%</td>
+        <td>${formatBytes(row.memRss * 1024)}</td>
+        <td>-</td>
+        <td></td>
+      </tr>
+    `;
+}
+
+function renderExplorer(result) {
+    const tree = result.view === 'tree';
+    explorerState.rows = result.processes;
+    explorerState.page = result.page;
+
+    document.getElementById('explorer-count').textContent = result.group
+        ? `${result.groups}개 묶음 (전체 ${result.count}개 프로세스)`
+        : result.total === result.count
+            ? `${result.count}개 프로세스`
+            : `${result.total}개 일치 (전체 ${result.count}개)`;
+    document.getElementById('explorer-page').textContent = `${result.page} / ${result.pages} 페이지`;
+    document.getElementById('explorer-prev').disabled = result.page <= 1;
+    document.getElementById('explorer-next').disabled = result.page >= result.pages;
+
+    document.querySelectorAll('[data-explorer-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.explorerSort === result.sort);
+        th.classList.toggle('asc', result.order === 'asc');
+    });
+
+    document.getElementById('explorer-list').innerHTML = result.processes.length === 0
+        ? '<tr><td colspan="9" class="explorer-empty">일치하는 프로세스가 없습니다.</td></tr>'
+        : result.processes.map((proc, index) => proc.group !== undefined ? renderExplorerGroup(proc, index, result.group) : `
+      <tr class="${tree && !proc.match ? 'explorer-context' : ''}" data-process-row="${proc.pid}">
+        <td class="process-name">${renderExplorerName(proc, tree)}</td>
+        <td>${proc.pid}</td>
+        <td>${proc.user ? escapeHtml(proc.user) : '-'}</td>
+        <td>${PROCESS_STATE_LABELS[proc.state] || (proc.state ? escapeHtml(proc.state) : '-')}</td>
+        <td class="${proc.cpu > 50 ? 'cpu-high' : proc.cpu > 20 ? 'cpu-medium' : ''}">${proc.cpu.toFixed(1)}%</td>
+        <td>${proc.mem.toFixed(1)}%</td>
+        <td>${formatBytes(proc.memRss * 1024)}</td>
+        <td>${proc.started || '-'}</td>
+        ${renderProcessActions(proc)}
+      </tr>
+    `).join('');
+}
+
+function setupExplorer() {
+    let searchTimer = null;
+
+    document.getElementById('explorer-search')?.addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            explorerState.search = event.target.value.trim();
+            explorerState.page = 1;
+            loadExplorer();
+        }, 300);
+    });
+
+    // 묶기는 목록 보기 전용: 묶기를 고르면 목록 보기로, 트리 보기를 고르면 묶기 해제
+    document.getElementById('explorer-view')?.addEventListener('change', (event) => {
+        explorerState.view = event.target.value;
+        if (explorerState.view === 'tree' && explorerState.group) {
+            explorerState.group = '';
+            document.getElementById('explorer-group').value = '';
+        }
+        explorerState.page = 1;
+        loadExplorer();
+    });
+
+    document.getElementById('explorer-group')?.addEventListener('change', (event) => {
+        explorerState.group = event.target.value;
+        explorerState.expanded.clear();
+        if (explorerState.group) {
+            explorerState.view = 'list';
+            document.getElementById('explorer-view').value = 'list';
+        }
+        explorerState.page = 1;
+        loadExplorer();
+    });
+
+    document.getElementById('explorer-page-size')?.addEventListener('change', (event) => {
+        explorerState.pageSize = Number(event.target.value);
+        explorerState.page = 1;
+        loadExplorer();
+    });
+
+    // 같은 열을 다시 누르면 정렬 방향 전환
+    document.querySelectorAll('[data-explorer-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const sort = th.dataset.explorerSort;
+            if (explorerState.sort === sort) {
+                explorerState.order = explorerState.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                explorerState.sort = sort;
+                explorerState.order = EXPLORER_ASCENDING.includes(sort) ? 'asc' : 'desc';
+            }
+            explorerState.page = 1;
+            loadExplorer();
+        });
+    });
+
+    document.getElementById('explorer-prev')?.addEventListener('click', () => {
+        explorerState.page--;
+        loadExplorer();
+    });
+
+    document.getElementById('explorer-next')?.addEventListener('click', () => {
+        explorerState.page++;
+        loadExplorer();
+    });
+
+    document.getElementById('explorer-list')?.addEventListener('click', (event) => {
+        const groupRow = event.target.closest('[data-explorer-group]');
+        if (groupRow) {
+            const row = explorerState.rows[Number(groupRow.dataset.explorerGroup)];
+            if (!row) return;
+            if (explorerState.expanded.has(row.group)) {
+                explorerState.expanded.delete(row.group);
+            } else {
+                explorerState.expanded.add(row.group);
+            }
+            loadExplorer();
+            return;
+        }
+
+        const toggle = event.target.closest('[data-explorer-toggle]');
+        if (!toggle) return;
+
+        const pid = Number(toggle.dataset.explorerToggle);
+        if (explorerState.collapsed.has(pid)) {
+            explorerState.collapsed.delete(pid);
+        } else {
+            explorerState.collapsed.add(pid);
+        }
+        loadExplorer();
+    });
+
+    // 프로세스 화면을 열면 바로 조회하고, 보고 있는 동안만 주기적으로 갱신
+    document.querySelector('.nav-item[data-section="processes"]')?.addEventListener('click', loadExplorer);
+    setInterval(() => {
+        if (isExplorerVisible()) loadExplorer();
+    }, EXPLORER_REFRESH_INTERVAL);
+}
+
+// ==========================================
+// 프로세스 상세 (선택한 PID를 메인 프로세스가 계속 추적)
+// ==========================================
+const PROCESS_PANEL_REFRESH_INTERVAL = 2000;
+
+// 열려 있는 상세 화면 (details: 처음 열 때 조회한 스레드, 열린 파일, 포트)
+const processPanel = { pid: null, timer: null, details: null };
+let processPanelCharts = null;
+
+function createProcessPanelCharts() {
+    const options = (formatTick) => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                backgroundColor: '#1a2332',
+                titleColor: '#e7e9ea',
+                bodyColor: '#8b98a5',
+                borderColor: '#2d3e50',
+                borderWidth: 1,
+                callbacks: { label: (context) => formatTick(context.parsed.y) }
+            }
+        },
+        scales: {
+            x: {
+                ticks: { color: '#5c6b7d', font: { size: 10 }, maxTicksLimit: 6 },
+                grid: { display: false }
+            },
+            y: {
+                min: 0,
+                grid: { color: 'rgba(45, 62, 80, 0.5)' },
+                ticks: { color: '#5c6b7d', font: { size: 10 }, callback: formatTick }
+            }
+        }
+    });
+
+    const dataset = (color, background) => ({
+        data: [],
+        borderColor: color,
+        backgroundColor: background,
+        borderWidth: 2,
+        fill: true,
+        tension: 0.3,
+        pointRadius: 0
+    });
+
+    return {
+        cpu: new Chart(document.getElementById('process-cpu-chart').getContext('2d'), {
+            type: 'line',
+            data: { labels: [], datasets: [dataset('#2d7ff9', 'rgba(45, 127, 249, 0.1)')] },
+            options: options(value => `${Number(value).toFixed(1)}%`)
+        }),
+        memory: new Chart(document.getElementById('process-memory-chart').getContext('2d'), {
+            type: 'line',
+            data: { labels: [], datasets: [dataset('#8b5cf6', 'rgba(139, 92, 246, 0.1)')] },
+            options: options(value => formatBytes(value))
+        })
+    };
+}
+
+function setProcessPanelStatus(message, error = false) {
+    const status = document.getElementById('process-panel-status');
+    status.hidden = !message;
+    status.textContent = message || '';
+    status.classList.toggle('error', error);
+}
+
+function renderProcessPanelInfo(proc, details) {
+    const info = [
+        { label: 'PID', value: proc.pid },
+        { label: '부모 PID', value: proc.parentPid || '-' },
+        { label: '사용자', value: proc.user || '-' },
+        { label: '상태', value: PROCESS_STATE_LABELS[proc.state] || proc.state || '-' },
+        { label: 'CPU 사용률', value: `${proc.cpu.toFixed(1)}%` },
+        { label: '메모리', value: `${formatBytes(proc.memRss * 1024)} (${proc.mem.toFixed(1)}%)` },
+        { label: '우선순위 (nice)', value: typeof proc.nice === 'number' ? proc.nice : '-' },
+        { label: '스레드', value: details && details.threads !== null ? details.threads : '-' },
+        { label: '시작 시각', value: proc.started || '-' },
+        { label: '열린 파일', value: details && details.openFiles ? `${details.openFiles.count}개` : '-' }
+    ];
+
+    document.getElementById('process-panel-info').innerHTML = info.map(item => `
+      <div class="info-item">
+        <span class="info-label">${item.label}</span>
+        <span class="info-value">${escapeHtml(item.value)}</span>
+      </div>
+    `).join('');
+    document.getElementById('process-panel-command').textContent = proc.command || proc.name;
+}
+
+// 포트와 열린 파일은 상세를 처음 열 때만 조회 (권한이 없으면 표시할 수 없음)
+function renderProcessPanelDetails(details) {
+    const ports = document.getElementById('process-panel-ports');
+    const files = document.getElementById('process-panel-files');
+
+    if (!details || details.ports === null) {
+        ports.innerHTML = '<div class="process-panel-empty">포트 정보를 조회할 수 없습니다.</div>';
+    } else if (details.ports.length === 0) {
+        ports.innerHTML = '<div class="process-panel-empty">사용 중인 포트가 없습니다.</div>';
+    } else {
+        ports.innerHTML = `
+      <table class="process-table">
+        <thead>
+          <tr><th>프로토콜</th><th>로컬 주소</th><th>원격 주소</th><th>상태</th></tr>
+        </thead>
+        <tbody>
+          ${details.ports.map(port => `
+            <tr>
+              <td>${escapeHtml(port.protocol)}</td>
+              <td>${escapeHtml(`${port.localAddress}:${port.localPort}`)}</td>
+              <td>${escapeHtml(`${port.peerAddress}:${port.peerPort}`)}</td>
+              <td>${port.state ? escapeHtml(port.state) : '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+    }
+
+    const openFiles = details && details.openFiles;
+    if (!openFiles) {
+        files.innerHTML = '<div class="process-panel-empty">열린 파일을 조회할 수 없습니다. (Linux에서 권한이 있는 경우에만 표시)</div>';
+        return;
+    }
+    files.innerHTML = `
+      <div class="process-panel-empty">전체 ${openFiles.count}개 (소켓 ${openFiles.sockets}개, 파이프 ${openFiles.pipes}개)</div>
+      <div class="process-file-list">
+        ${openFiles.files.map(file => `<div>${escapeHtml(file)}</div>`).join('')}
+        ${openFiles.truncated ? '<div>...</div>' : ''}
+      </div>
+    `;
+}
+
+function renderProcessPanelCharts(history) {
+    const labels = history.map(sample => formatTime(new Date(sample.timestamp)));
+
+    processPanelCharts.cpu.data.labels = labels;
+    processPanelCharts.cpu.data.datasets[0].data = history.map(sample => sample.cpu);
+    processPanelCharts.cpu.update('none');
+
+    processPanelCharts.memory.data.labels = labels;
+    processPanelCharts.memory.data.datasets[0].data = history.map(sample => sample.memRss * 1024);
+    processPanelCharts.memory.update('none');
+}
+
+// inspect: 스레드, 열린 파일, 포트까지 조회 (처음 열 때), 이후에는 기록만 갱신
+async function loadProcessPanel(inspect) {
+    const { pid } = processPanel;
+    if (!pid || !window.electronAPI) return;
+
+    const response = await window.electronAPI.getProcessDetail({ pid, inspect });
+    if (processPanel.pid !== pid) return;
+
+    if (!response.ok) {
+        setProcessPanelStatus(response.error, true);
+        if (response.status === 404) stopProcessPanel();
+        return;
+    }
+
+    const result = response.result;
+    document.getElementById('process-panel-title').textContent = `${result.process.name} (PID ${pid})`;
+    renderProcessPanelInfo(result.process, inspect ? result.details : processPanel.details);
+    if (inspect) {
+        processPanel.details = result.details;
+        renderProcessPanelDetails(result.details);
+    }
+    renderProcessPanelCharts(result.history);
+
+    if (result.exited) {
+        setProcessPanelStatus('프로세스가 종료되었습니다. 종료 전까지의 기록을 표시합니다.');
+        stopProcessPanel();
+    } else {
+        setProcessPanelStatus(null);
+    }
+}
+
+function stopProcessPanel() {
+    clearInterval(processPanel.timer);
+    processPanel.timer = null;
+}
+
+function openProcessPanel(pid) {
+    closeProcessPanel();
+    processPanel.pid = pid;
+    processPanel.details = null;
+
+    document.getElementById('process-panel-title').textContent = `PID ${pid}`;
+    document.getElementById('process-panel-info').innerHTML = '';
+    document.getElementById('process-panel-command').textContent = '';
+    document.getElementById('process-panel-ports').innerHTML = '';
+    document.getElementById('process-panel-files').innerHTML = '';
+    setProcessPanelStatus('불러오는 중...');
+    document.getElementById('process-panel').classList.add('active');
+
+    // 모달이 보인 뒤에 만들어야 차트 크기가 맞음
+    if (!processPanelCharts) processPanelCharts = createProcessPanelCharts();
+    renderProcessPanelCharts([]);
+
+    loadProcessPanel(true);
+    processPanel.timer = setInterval(() => loadProcessPanel(false), PROCESS_PANEL_REFRESH_INTERVAL);
+}
+
+function closeProcessPanel() {
+    stopProcessPanel();
+    processPanel.pid = null;
+    document.getElementById('process-panel')?.classList.remove('active');
+}
+
+function setupProcessPanel() {
+    // 행을 누르면 상세 열기 (작업 버튼, 트리 접기 버튼 제외, 연결 목록은 소유 프로세스)
+    ['section-processes', 'section-connections'].forEach(id => {
+        document.getElementById(id)?.addEventListener('click', (event) => {
+            if (event.target.closest('button')) return;
+            const row = event.target.closest('[data-process-row]');
+            if (row) {
+                openProcessPanel(Number(row.dataset.processRow));
+            }
+        });
+    });
+
+    document.getElementById('process-panel-close')?.addEventListener('click', closeProcessPanel);
+}
+
+// ==========================================
+// 프로세스 작업
+// ==========================================
+const PROCESS_ACTIONS = {
+    SIGTERM: { label: '종료', title: '프로세스 종료', type: 'signal', description: '종료 요청(SIGTERM)을 보냅니다. 프로세스가 정리 작업 후 종료할 수 있습니다.' },
+    SIGKILL: { label: '강제 종료', title: '프로세스 강제 종료', type: 'signal', description: '즉시 강제 종료(SIGKILL)합니다. 저장하지 않은 데이터는 사라집니다.' },
+    renice: { label: '우선순위', title: '우선순위 변경', type: 'renice', description: 'CPU 스케줄링 우선순위(nice)를 변경합니다.' }
+};
+
+let currentProcesses = [];
+
+// 확인 대기 중인 작업 { pid, name, action }
+let pendingProcessAction = null;
+
+function renderProcessActions(proc) {
+    return `
+        <td>
+          <div class="process-actions">
+            ${Object.keys(PROCESS_ACTIONS).map(action => `
+              <button class="action-btn${action === 'renice' ? '' : ' danger'}" data-process-action="${action}" data-pid="${proc.pid}">${PROCESS_ACTIONS[action].label}</button>
+            `).join('')}
+          </div>
+        </td>
+    `;
+}
+
+function openProcessAction(action, pid) {
+    const proc = [...currentProcesses, ...explorerState.rows].find(entry => entry.pid === pid);
+    if (!proc) return;
+
+    const info = PROCESS_ACTIONS[action];
+    pendingProcessAction = { pid, name: proc.name, action };
+
+    document.getElementById('process-action-title').textContent = info.title;
+    document.getElementById('process-action-summary').innerHTML = `
+      <strong>${escapeHtml(proc.name)}</strong> (PID ${pid})<br>
+      ${info.description}
+    `;
+    document.getElementById('process-action-nice-row').hidden = info.type !== 'renice';
+    document.getElementById('process-action-nice').value = typeof proc.nice === 'number' ? proc.nice : 10;
+
+    const message = document.getElementById('process-action-message');
+    message.hidden = true;
+    message.className = 'process-action-message';
+
+    const confirm = document.getElementById('process-action-confirm');
+    confirm.disabled = false;
+    confirm.hidden = false;
+    confirm.textContent = info.label;
+    document.getElementById('process-action-cancel').textContent = '취소';
+    document.getElementById('process-action-modal').classList.add('active');
+}
+
+function closeProcessAction() {
+    pendingProcessAction = null;
+    document.getElementById('process-action-modal').classList.remove('active');
+}
+
+async function confirmProcessAction() {
+    if (!pendingProcessAction || !window.electronAPI) return;
+    const { pid, name, action } = pendingProcessAction;
+    const info = PROCESS_ACTIONS[action];
+
+    const request = { pid, name, type: info.type };
+    if (info.type === 'renice') {
+        request.nice = Number(document.getElementById('process-action-nice').value);
+    } else {
+        request.signal = action;
+    }
+
+    const confirm = document.getElementById('process-action-confirm');
+    const message = document.getElementById('process-action-message');
+    confirm.disabled = true;
+
+    const result = await window.electronAPI.processAction(request);
+    message.hidden = false;
+    if (result.ok) {
+        message.classList.add('ok');
+        message.textContent = info.type === 'renice'
+            ? `nice 값을 ${request.nice}(으)로 변경했습니다.`
+            : `${action}을(를) 보냈습니다.`;
+        confirm.hidden = true;
+        document.getElementById('process-action-cancel').textContent = '닫기';
+        loadExplorer();
+    } else {
+        message.textContent = result.error;
+        confirm.disabled = false;
+    }
+}
+
+function setupProcessActions() {
+    // 상위 프로세스 표와 프로세스 탐색기의 작업 버튼
+    document.getElementById('section-processes')?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-process-action]');
+        if (button) {
+            openProcessAction(button.dataset.processAction, Number(button.dataset.pid));
+        }
+    });
+
+    document.getElementById('process-action-confirm')?.addEventListener('click', confirmProcessAction);
+    document.getElementById('process-action-cancel')?.addEventListener('click', closeProcessAction);
+    document.getElementById('process-action-close')?.addEventListener('click', closeProcessAction);
+}
+
 // ==========================================
 // 윈도우 컨트롤
 // ==========================================
@@ -1339,6 +2591,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // PDF 내보내기 설정
     setupPDFExport();
 
+    // 알림 테스트 버튼
+    setupNotifierTest();
+
+    // 네트워크 인터페이스 선택
+    setupNetworkInterfaces();
+
+    // 프로세스 탐색기, 상세, 작업 버튼
+    setupExplorer();
+    setupConnections();
+    setupProcessPanel();
+    setupProcessActions();
+
     // 시스템 정보 수신 리스너
     if (window.electronAPI) {
         window.electronAPI.onSystemInfo(updateDashboard);
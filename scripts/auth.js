@@ -0,0 +1,108 @@
+/**
+ * 인증 설정 파일 관리 도구
+ *
+ * 사용법: npm run auth -- <명령> [인자]
+ *   add-user <사용자명> <viewer|admin>    사용자 추가/비밀번호 변경 (비밀번호는 입력 받음)
+ *   remove-user <사용자명>                사용자 삭제
+ *   add-token <이름> <viewer|admin>       API 토큰 발급 (토큰은 이때 한 번만 표시)
+ *   remove-token <이름>                   API 토큰 삭제
+ *   list                                  사용자와 토큰 목록
+ *
+ * 파일 경로는 AUTH_FILE 환경 변수로 바꿀 수 있습니다 (기본: ./auth.json).
+ * 비밀번호는 AUTH_PASSWORD 환경 변수로도 전달할 수 있습니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { hashPassword, generateToken, hashToken, ROLES } = require('../lib/auth');
+
+const AUTH_FILE = process.env.AUTH_FILE || path.join(__dirname, '..', 'auth.json');
+
+function readConfig() {
+    if (!fs.existsSync(AUTH_FILE)) {
+        return { users: [], tokens: [] };
+    }
+    const config = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
+    return { users: config.users || [], tokens: config.tokens || [] };
+}
+
+function writeConfig(config) {
+    fs.writeFileSync(AUTH_FILE, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function checkRole(role) {
+    if (!ROLES.includes(role)) {
+        fail(`역할은 ${ROLES.join(', ')} 중 하나여야 합니다.`);
+    }
+}
+
+function askPassword() {
+    if (process.env.AUTH_PASSWORD) {
+        return Promise.resolve(process.env.AUTH_PASSWORD);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question('비밀번호: ', (password) => {
+            rl.close();
+            resolve(password);
+        });
+    });
+}
+
+async function main() {
+    const [command, name, role] = process.argv.slice(2);
+    const config = readConfig();
+
+    switch (command) {
+        case 'add-user': {
+            if (!name) fail('사용자명을 지정하세요.');
+            checkRole(role);
+
+            const password = await askPassword();
+            if (password.length < 8) fail('비밀번호는 8자 이상이어야 합니다.');
+
+            config.users = config.users.filter(user => user.username !== name);
+            config.users.push({ username: name, password: hashPassword(password), role });
+            writeConfig(config);
+            console.log(`사용자 "${name}"(${role})을(를) 저장했습니다. (${AUTH_FILE})`);
+            break;
+        }
+        case 'remove-user':
+            config.users = config.users.filter(user => user.username !== name);
+            writeConfig(config);
+            console.log(`사용자 "${name}"을(를) 삭제했습니다.`);
+            break;
+        case 'add-token': {
+            if (!name) fail('토큰 이름을 지정하세요.');
+            checkRole(role);
+
+            const token = generateToken();
+            config.tokens = config.tokens.filter(entry => entry.name !== name);
+            config.tokens.push({ name, token: hashToken(token), role });
+            writeConfig(config);
+            console.log(`API 토큰 "${name}"(${role})을(를) 발급했습니다. 다시 표시되지 않으니 지금 복사하세요:`);
+            console.log(token);
+            break;
+        }
+        case 'remove-token':
+            config.tokens = config.tokens.filter(entry => entry.name !== name);
+            writeConfig(config);
+            console.log(`API 토큰 "${name}"을(를) 삭제했습니다.`);
+            break;
+        case 'list':
+            config.users.forEach(user => console.log(`사용자  ${user.username} (${user.role})`));
+            config.tokens.forEach(entry => console.log(`토큰    ${entry.name} (${entry.role})`));
+            break;
+        default:
+            fail('사용법: npm run auth -- <add-user|remove-user|add-token|remove-token|list> [이름] [역할]');
+    }
+}
+
+main();
@@ -4,192 +4,364 @@
  */
 
 const express = require('express');
-const { createServer } = require('http');
+const http = require('http');
+const https = require('https');
 const { Server } = require('socket.io');
+const os = require('os');
 const path = require('path');
-const si = require('systeminformation');
+const { loadConfig, usage } = require('./lib/config');
+const { loadTlsOptions } = require('./lib/tls');
+const { createCollector, createSampler, defaultProviders } = require('./lib/collector');
+const { createHistoryStore, extractMetrics } = require('./lib/history');
+const { createAlertEngine, createAlertHistory, loadRules } = require('./lib/alerts');
+const { createNotificationDispatcher, loadChannels } = require('./lib/notifiers');
+const { createAuth, loadAuthConfig } = require('./lib/auth');
+const { createHostRegistry, attachAgents, runAgent, LOCAL_ID } = require('./lib/hub');
+const { performAction, createAuditLog, createProcessExplorer, getProcessDetail } = require('./lib/processes');
+const { createConnectionExplorer } = require('./lib/network');
+const { createAuthRouter } = require('./lib/routes/auth');
+const { createHistoryRouter } = require('./lib/routes/history');
+const { createAlertsRouter } = require('./lib/routes/alerts');
+const { createNotifiersRouter } = require('./lib/routes/notifiers');
+const { createMetricsRouter } = require('./lib/routes/metrics');
+const { createApiV1Router } = require('./lib/routes/v1');
+const { createHostsRouter } = require('./lib/routes/hosts');
+const { createProcessesRouter } = require('./lib/routes/processes');
+const { createConnectionsRouter } = require('./lib/routes/connections');
 
-const app = express();
-const httpServer = createServer(app);
-const io = new Server(httpServer);
+// 호스트 목록 요약 전송 주기 (상태 변경은 즉시 전송)
+const HOSTS_BROADCAST_INTERVAL = 5000;
 
-const PORT = 3000;
+// 설정 로드 (설정 파일 < 환경 변수 < CLI 플래그)
+let config;
+try {
+    config = loadConfig({ argv: process.argv.slice(2), env: process.env });
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
-// 정적 파일 서빙
-app.use(express.static(path.join(__dirname, 'public')));
+if (config.help) {
+    console.log(usage());
+    process.exit(0);
+}
 
-// 시스템 정보 수집 함수
-async function getSystemInfo() {
+// 에이전트 모드: 웹 서버 없이 수집한 스냅샷을 허브로 전송만 함
+if (config.agent.hub) {
+    runAgent(config);
+    return;
+}
+
+// HTTPS 인증서 (자체 서명 인증서는 data/tls에 생성)
+let tlsOptions = null;
+if (config.tls.enabled) {
     try {
-        const [
-            cpu,
-            cpuCurrentSpeed,
-            cpuTemperature,
-            mem,
-            graphics,
-            diskLayout,
-            fsSize,
-            networkStats,
-            currentLoad,
-            processes,
-            time,
-            osInfo,
-            system
-        ] = await Promise.all([
-            si.cpu(),
-            si.cpuCurrentSpeed(),
-            si.cpuTemperature(),
-            si.mem(),
-            si.graphics(),
-            si.diskLayout(),
-            si.fsSize(),
-            si.networkStats(),
-            si.currentLoad(),
-            si.processes(),
-            si.time(),
-            si.osInfo(),
-            si.system()
-        ]);
-
-        // GPU 정보 처리
-        const gpuInfo = graphics.controllers && graphics.controllers.length > 0
-            ? graphics.controllers[0]
-            : null;
-
-        // 네트워크 인터페이스 중 활성화된 것 선택
-        const activeNetwork = networkStats && networkStats.length > 0
-            ? networkStats.find(n => n.rx_sec > 0 || n.tx_sec > 0) || networkStats[0]
-            : null;
-
-        // 상위 프로세스 (CPU 사용률 기준)
-        const topProcesses = processes.list
-            .sort((a, b) => b.cpu - a.cpu)
-            .slice(0, 10)
-            .map(p => ({
-                name: p.name,
-                pid: p.pid,
-                cpu: p.cpu,
-                mem: p.mem,
-                memRss: p.memRss
-            }));
-
-        return {
-            timestamp: Date.now(),
-            cpu: {
-                manufacturer: cpu.manufacturer,
-                brand: cpu.brand,
-                cores: cpu.cores,
-                physicalCores: cpu.physicalCores,
-                speed: cpuCurrentSpeed.avg || cpu.speed,
-                speedMin: cpuCurrentSpeed.min,
-                speedMax: cpuCurrentSpeed.max,
-                temperature: cpuTemperature.main || null,
-                temperatureMax: cpuTemperature.max || null,
-                usage: currentLoad.currentLoad,
-                coreLoads: currentLoad.cpus ? currentLoad.cpus.map(c => c.load) : []
-            },
-            memory: {
-                total: mem.total,
-                used: mem.used,
-                free: mem.free,
-                active: mem.active,
-                available: mem.available,
-                usagePercent: (mem.used / mem.total) * 100,
-                swapTotal: mem.swaptotal,
-                swapUsed: mem.swapused
-            },
-            gpu: gpuInfo ? {
-                vendor: gpuInfo.vendor,
-                model: gpuInfo.model,
-                vram: gpuInfo.vram,
-                vramDynamic: gpuInfo.vramDynamic,
-                temperature: gpuInfo.temperatureGpu || null,
-                utilizationGpu: gpuInfo.utilizationGpu || null,
-                memoryUsed: gpuInfo.memoryUsed || null,
-                memoryTotal: gpuInfo.memoryTotal || null
-            } : null,
-            disk: {
-                layout: diskLayout.map(d => ({
-                    device: d.device,
-                    type: d.type,
-                    name: d.name,
-                    size: d.size
-                })),
-                partitions: fsSize.map(fs => ({
-                    fs: fs.fs,
-                    mount: fs.mount,
-                    size: fs.size,
-                    used: fs.used,
-                    available: fs.available,
-                    usagePercent: fs.use
-                }))
-            },
-            network: activeNetwork ? {
-                interface: activeNetwork.iface,
-                rxBytes: activeNetwork.rx_bytes,
-                txBytes: activeNetwork.tx_bytes,
-                rxSec: activeNetwork.rx_sec,
-                txSec: activeNetwork.tx_sec,
-                rxDropped: activeNetwork.rx_dropped,
-                txDropped: activeNetwork.tx_dropped
-            } : null,
-            processes: topProcesses,
-            system: {
-                platform: osInfo.platform,
-                distro: osInfo.distro,
-                hostname: osInfo.hostname,
-                uptime: time.uptime,
-                manufacturer: system.manufacturer,
-                model: system.model
-            }
-        };
+        tlsOptions = loadTlsOptions(config.tls, path.join(__dirname, 'data', 'tls'));
     } catch (error) {
-        console.error('시스템 정보 수집 오류:', error);
-        return { error: error.message };
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+const app = express();
+const httpServer = tlsOptions ? https.createServer(tlsOptions, app) : http.createServer(app);
+const io = new Server(httpServer);
+
+// 인증 (authFile을 지정하지 않으면 프로젝트 루트의 auth.json, 그 파일도 없으면 사용하지 않음)
+const authFile = config.authFile || path.join(__dirname, 'auth.json');
+let auth;
+try {
+    auth = createAuth(loadAuthConfig(authFile, { required: Boolean(config.authFile) }));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// 에이전트는 관리자 토큰으로만 연결할 수 있으므로 허브는 인증이 필요
+if (config.hub.enabled && !auth.enabled) {
+    console.error(`허브(hub.enabled)로 실행하려면 인증 설정 파일(${authFile})에 에이전트용 관리자 토큰이 필요합니다.`);
+    process.exit(1);
+}
+
+// 설정에서 활성화한 항목만 수집
+const collector = createCollector({
+    providers: defaultProviders.filter(provider => config.collectors.includes(provider.name)),
+    topProcesses: config.topProcesses,
+    networkInterface: config.networkInterface
+});
+
+// 호스트 목록 (허브 자신 + 연결된 에이전트)
+const hosts = createHostRegistry({
+    local: {
+        name: os.hostname(),
+        group: config.labels.group,
+        tags: config.labels.tags,
+        // 인증을 사용하지 않으면 작업 요청을 거부하므로 작업 버튼도 표시하지 않음
+        processActions: config.processActions && auth.enabled,
+        getSnapshot: collector.getSnapshot
+    },
+    staleAfter: config.hub.staleAfter
+});
+
+// 대시보드는 선택한 호스트의 룸(host:<id>)에서 변경분을 받음
+hosts.on('update', (id, delta) => io.to(`host:${id}`).emit('system-update', delta, id));
+hosts.on('change', () => io.emit('hosts', hosts.list()));
+
+const agents = config.hub.enabled ? attachAgents(io, hosts, auth) : null;
+if (agents) {
+    hosts.start();
+}
+
+// 프로세스 작업 감사 로그
+const audit = createAuditLog({ file: config.auditFile });
+
+// 전체 프로세스 탐색과 상세 화면에서 연 프로세스 추적 (요청이 있을 때만 조회)
+const explorer = createProcessExplorer();
+
+// 네트워크 연결과 수신 대기 포트 (요청이 있을 때만 조회)
+const connectionExplorer = createConnectionExplorer();
+
+// 허브 자신은 직접 처리하고, 에이전트에는 요청을 전달
+async function onHost(host, event, payload, local) {
+    if (!hosts.has(host)) {
+        return { ok: false, status: 404, error: `호스트 "${host}"을(를) 찾을 수 없습니다.` };
     }
+    return host === LOCAL_ID ? local() : agents.request(host, event, payload);
+}
+
+// 호스트별 프로세스 조회와 작업
+const processes = {
+    query: (host, query) => onHost(host, 'process-query', query, async () => (
+        { ok: true, status: 200, result: await explorer.query(query) }
+    )),
+    detail: (host, request) => onHost(host, 'process-detail', request, () => getProcessDetail(explorer, request)),
+    execute: (host, action) => onHost(host, 'process-action', action, () => (
+        config.processActions
+            ? performAction(action)
+            : { ok: false, status: 403, error: '이 서버는 프로세스 작업을 허용하지 않습니다. (processActions)' }
+    ))
+};
+
+// 호스트별 네트워크 연결 조회
+const connections = {
+    query: (host, query) => onHost(host, 'connection-query', query, async () => (
+        { ok: true, status: 200, result: await connectionExplorer.query(query) }
+    ))
+};
+
+// 디스크 기반 메트릭 히스토리
+const historyStore = createHistoryStore({
+    dir: config.history.dir,
+    retention: config.history.retention
+});
+
+// 알림 기록과 확인/무음 상태 (서버에 저장되어 모든 운영자가 공유)
+const alertHistory = createAlertHistory({ file: config.alerts.historyFile });
+
+alertHistory.on('acknowledged', alert => io.emit('alert-acknowledged', alert));
+alertHistory.on('silences', silences => io.emit('alert-silences', silences));
+
+// 임계값 알림 엔진 (발생/해소 시 기록 후 모든 클라이언트에 전송)
+const alertEngine = createAlertEngine({
+    rules: loadRules(config.alerts.rulesFile),
+    isSilenced: alertHistory.isSilenced
+});
+
+alertEngine.on('fired', (alert) => {
+    console.warn(`[알림 발생] ${alert.name} (${alert.metric} ${alert.operator} ${alert.threshold}, 현재 ${alert.value})${alert.silenced ? ' [무음]' : ''}`);
+    io.emit('alert-fired', alertHistory.record(alert));
+});
+
+alertEngine.on('resolved', (alert) => {
+    console.log(`[알림 해소] ${alert.name} (${alert.metric})`);
+    io.emit('alert-resolved', alertHistory.record(alert));
+});
+
+// 알림 채널 (웹훅, 이메일, 설정이 잘못된 채널이 있으면 시작하지 않음)
+let notifier;
+try {
+    notifier = createNotificationDispatcher({ channels: loadChannels(config.notifiersFile) });
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
 }
+notifier.attach(alertEngine);
+
+// 모든 클라이언트가 공유하는 단일 샘플링 루프
+// 매 틱마다 주기가 된 메트릭 그룹만 수집하여 변경분을 전송
+const sampler = createSampler(collector.collectDue, { interval: config.interval });
+
+sampler.on('sample', (delta) => {
+    io.to(`host:${LOCAL_ID}`).emit('system-update', delta, LOCAL_ID);
+
+    // 히스토리 기록 및 알림 평가 (인벤토리가 병합된 전체 스냅샷 기준)
+    if (!delta.error) {
+        const metrics = extractMetrics(collector.getSnapshot());
+        historyStore.append(delta.timestamp, metrics);
+        alertEngine.evaluate(delta.timestamp, metrics);
+    }
+});
+
+sampler.on('skip', () => {
+    console.warn('이전 수집이 끝나지 않아 이번 샘플을 건너뜁니다.');
+});
+
+sampler.on('error', (error) => {
+    console.error('샘플링 오류:', error);
+});
+
+app.use(express.json());
+
+// 인증 (로그인 페이지와 로그인 API는 인증 없이 허용)
+app.use(auth.middleware({
+    publicPaths: ['/login.html', '/login.js', '/styles.css', '/api/auth/login', '/api/auth/me']
+}));
+
+// 정적 파일 서빙
+app.use(express.static(path.join(__dirname, 'public')));
+
+app.use('/api/auth', createAuthRouter(auth));
+
+// 조회 외의 API 요청(알림 확인/무음, 채널 테스트 등)은 관리자만 허용
+const requireAdmin = auth.requireRole('admin');
+app.use('/api', (req, res, next) => (req.method === 'GET' ? next() : requireAdmin(req, res, next)));
+
+// REST API
+app.use('/api/v1', createApiV1Router(collector));
+app.use('/api/history', createHistoryRouter(historyStore));
+app.use('/api/alerts', createAlertsRouter(alertEngine, alertHistory));
+app.use('/api/notifiers', createNotifiersRouter(notifier));
+app.use('/api/hosts', createHostsRouter(hosts));
+app.use('/api/processes', createProcessesRouter(processes, audit, {
+    requireAdmin,
+    // 프로세스 종료/우선순위 변경은 익명 사용자(인증 사용 안 함)를 거부
+    requireAction: auth.requireRole('admin', { anonymous: false })
+}));
+app.use('/api/connections', createConnectionsRouter(connections));
+
+// Prometheus 스크랩 엔드포인트
+app.use('/metrics', createMetricsRouter(collector));
+
+// Socket.IO 연결 처리 (핸드셰이크에서 세션 쿠키 또는 토큰 확인)
+io.use(auth.socketMiddleware());
 
-// Socket.IO 연결 처리
 io.on('connection', (socket) => {
-    console.log('클라이언트 연결됨:', socket.id);
+    console.log('클라이언트 연결됨:', socket.id, `(${socket.data.user.name})`);
 
-    // 매 1초마다 시스템 정보 전송
-    const interval = setInterval(async () => {
-        const info = await getSystemInfo();
-        socket.emit('system-info', info);
-    }, 1000);
+    // 선택한 호스트의 정적 인벤토리와 현재 스냅샷을 한 번 전송 (이후에는 변경분만 전송)
+    function selectHost(id) {
+        socket.rooms.forEach(room => {
+            if (room.startsWith('host:')) socket.leave(room);
+        });
+        socket.join(`host:${id}`);
+
+        if (id !== LOCAL_ID) {
+            socket.emit('system-inventory', hosts.getSnapshot(id), id);
+            return;
+        }
+        collector.collectInventory()
+            .then(() => socket.emit('system-inventory', collector.getSnapshot(), LOCAL_ID))
+            .catch((error) => console.error('인벤토리 수집 오류:', error));
+    }
 
-    // 초기 데이터 즉시 전송
-    (async () => {
-        const info = await getSystemInfo();
-        socket.emit('system-info', info);
-    })();
+    selectHost(LOCAL_ID);
+    socket.emit('hosts', hosts.list());
+
+    socket.on('select-host', (id) => {
+        if (typeof id === 'string' && hosts.has(id)) {
+            selectHost(id);
+        }
+    });
+
+    // 현재 발생 중인 알림 전송
+    socket.emit('alerts-active', alertEngine.getActive());
 
     socket.on('disconnect', () => {
         console.log('클라이언트 연결 해제:', socket.id);
-        clearInterval(interval);
     });
 });
 
-// 서버 시작
-httpServer.listen(PORT, async () => {
+// 서버 시작 (히스토리 기록을 위해 클라이언트 연결과 무관하게 샘플링)
+sampler.start();
+historyStore.start();
+
+// 에이전트의 최신 CPU/메모리 요약을 주기적으로 전송
+setInterval(() => io.emit('hosts', hosts.list()), HOSTS_BROADCAST_INTERVAL).unref();
+
+// 종료 시 진행 중인 롤업 구간과 알림 기록을 저장한 뒤 종료
+function shutdown() {
+    sampler.stop();
+    Promise.all([historyStore.stop(), alertHistory.flush(), audit.flush()])
+        .catch(error => console.error('종료 중 저장 오류:', error))
+        .then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// 모든 인터페이스에 바인드한 경우 브라우저에서는 localhost로 접속
+const ANY_HOSTS = [null, '0.0.0.0', '::'];
+const protocol = tlsOptions ? 'https' : 'http';
+const url = `${protocol}://${ANY_HOSTS.includes(config.host) ? 'localhost' : config.host}:${config.port}`;
+
+function onListenError(port, option) {
+    return (error) => {
+        if (error.code === 'EADDRINUSE') {
+            console.error(`포트 ${port}이(가) 이미 사용 중입니다. ${option} 옵션으로 다른 포트를 지정하세요.`);
+        } else if (error.code === 'EADDRNOTAVAIL' || error.code === 'ENOTFOUND') {
+            console.error(`바인드 주소 ${config.host}을(를) 사용할 수 없습니다.`);
+        } else {
+            console.error('서버 시작 오류:', error);
+        }
+        process.exit(1);
+    };
+}
+
+httpServer.on('error', onListenError(config.port, '--port'));
+
+// HTTP 요청을 같은 호스트의 HTTPS 포트로 리다이렉트
+if (tlsOptions && config.tls.redirectPort) {
+    const redirectServer = http.createServer((req, res) => {
+        // Host 헤더에서 포트 제거 (IPv6 주소는 대괄호 유지)
+        const host = String(req.headers.host || 'localhost').replace(/:\d+$/, '');
+        res.writeHead(301, { Location: `https://${host}:${config.port}${req.url}` });
+        res.end();
+    });
+    redirectServer.on('error', onListenError(config.tls.redirectPort, '--http-redirect-port'));
+    redirectServer.listen(config.tls.redirectPort, config.host || undefined, () => {
+        console.log(`HTTP 포트 ${config.tls.redirectPort}의 요청을 HTTPS로 리다이렉트합니다.`);
+    });
+}
+
+httpServer.listen(config.port, config.host || undefined, async () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║       System Resource Monitor 서버가 시작되었습니다!           ║
 ╠═══════════════════════════════════════════════════════════════╣
 ║                                                               ║
-║   브라우저에서 열기: http://localhost:${PORT}                    ║
+║   브라우저에서 열기: ${url.padEnd(41)}║
 ║                                                               ║
 ║   종료하려면 Ctrl+C를 누르세요.                                ║
 ║                                                               ║
 ╚═══════════════════════════════════════════════════════════════╝
   `);
 
-    // 브라우저 자동 열기
+    if (config.file) {
+        console.log(`설정 파일: ${config.file}`);
+    }
+    if (auth.enabled) {
+        console.log(`인증이 활성화되었습니다. (${authFile})`);
+    }
+    if (config.hub.enabled) {
+        console.log('허브 모드: 에이전트 연결을 받습니다.');
+    }
+
+    // 브라우저 자동 열기 (헤드리스 환경에서는 openBrowser: false)
+    if (!config.openBrowser) return;
     try {
         const open = (await import('open')).default;
-        await open(`http://localhost:${PORT}`);
+        await open(url);
     } catch (err) {
-        console.log('브라우저를 수동으로 열어주세요: http://localhost:' + PORT);
+        console.log('브라우저를 수동으로 열어주세요: ' + url);
     }
 });
@@ -0,0 +1,304 @@
+/**
+ * 수집기와 프로바이더 테스트
+ * systeminformation 대신 목 객체(createCollector({ si }))로 각 프로바이더의 인벤토리/주기 수집을 확인합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCollector, createSampler, defaultProviders } = require('../lib/collector');
+
+function provider(name) {
+    return defaultProviders.find(p => p.name === name);
+}
+
+// 테스트에 필요한 systeminformation 함수만 채운 목 객체
+function createStubSi(overrides = {}) {
+    return {
+        cpu: async () => ({ manufacturer: 'Intel', brand: 'Core i7', cores: 8, physicalCores: 4, speed: 3.2 }),
+        cpuCurrentSpeed: async () => ({ avg: 2.8, min: 2.1, max: 3.5 }),
+        cpuTemperature: async () => ({ main: 55, max: 61 }),
+        currentLoad: async () => ({ currentLoad: 42.5, cpus: [{ load: 40 }, { load: 45 }] }),
+        mem: async () => ({
+            total: 1000, used: 250, free: 750, active: 200, available: 700, swaptotal: 500, swapused: 50
+        }),
+        graphics: async () => ({
+            controllers: [{
+                vendor: 'NVIDIA', model: 'RTX', vram: 8192, vramDynamic: false,
+                temperatureGpu: 60, utilizationGpu: 30, memoryUsed: 1024, memoryTotal: 8192
+            }]
+        }),
+        diskLayout: async () => [{
+            device: '/dev/sda', type: 'SSD', name: 'Test SSD', size: 500e9, interfaceType: 'SATA', smartStatus: 'Ok',
+            smartData: {
+                smart_status: { passed: true },
+                temperature: { current: 35 },
+                power_on_time: { hours: 1000 },
+                ata_smart_attributes: { table: [{ id: 5, raw: { value: 0 } }, { id: 197, raw: { value: 2 } }] }
+            }
+        }],
+        fsSize: async () => [{ fs: '/dev/sda1', mount: '/', type: 'ext4', size: 100, used: 40, available: 60, use: 40 }],
+        fsStats: async () => ({ rx: 1000, wx: 2000, rx_sec: 10, wx_sec: -1 }),
+        disksIO: async () => ({ rIO_sec: 5, wIO_sec: 6 }),
+        networkStats: async () => [
+            { iface: 'lo', operstate: 'unknown', rx_bytes: 100, tx_bytes: 100, rx_sec: 1, tx_sec: 1, rx_dropped: 0, tx_dropped: 0, rx_errors: 0, tx_errors: 0 },
+            { iface: 'test0', operstate: 'up', rx_bytes: 1000, tx_bytes: 500, rx_sec: 10, tx_sec: 5, rx_dropped: 0, tx_dropped: 0, rx_errors: 0, tx_errors: 0 },
+            { iface: 'test1', operstate: 'up', rx_bytes: 2000, tx_bytes: 700, rx_sec: 20, tx_sec: null, rx_dropped: 1, tx_dropped: 0, rx_errors: 0, tx_errors: 0 }
+        ],
+        networkInterfaceDefault: async () => 'test1',
+        networkInterfaces: async () => [{
+            iface: 'test0', ifaceName: 'test0', type: 'wired', operstate: 'up', ip4: '10.0.0.2', ip6: '',
+            mac: 'aa:bb:cc:dd:ee:ff', mtu: 1500, speed: 1000, duplex: 'full', dhcp: true, internal: false, virtual: false
+        }],
+        processes: async () => ({
+            list: [
+                { name: 'idle', pid: 1, cpu: 0.1, mem: 0.1, memRss: 10, nice: 0 },
+                { name: 'busy', pid: 2, cpu: 90, mem: 5, memRss: 500, nice: 5 },
+                { name: 'medium', pid: 3, cpu: 20, mem: 1, memRss: 100, nice: 0 }
+            ]
+        }),
+        osInfo: async () => ({ platform: 'linux', distro: 'Debian', hostname: 'test-host' }),
+        system: async () => ({ manufacturer: 'QEMU', model: 'Standard PC' }),
+        time: async () => ({ uptime: 3600 }),
+        ...overrides
+    };
+}
+
+// /proc/diskstats, /sys/block 목 객체 (sda만 물리 디스크)
+function createStubFs(stats) {
+    return {
+        readdir: async () => ['sda', 'loop0'],
+        access: async (file) => {
+            if (!file.startsWith('/sys/block/sda/')) throw new Error('ENOENT');
+        },
+        readFile: async () => [
+            `   8       0 sda ${stats.reads} 0 ${stats.readSectors} 0 ${stats.writes} 0 ${stats.writeSectors} 0 0 ${stats.ioTime} 0 0 0 0`,
+            '   7       0 loop0 10 0 10 0 10 0 10 0 0 10 0 0 0 0'
+        ].join('\n')
+    };
+}
+
+test('cpu: 인벤토리와 주기 수집', async () => {
+    const si = createStubSi();
+    const cpu = provider('cpu');
+    const inventory = await cpu.inventory(si);
+    assert.deepStrictEqual(inventory, { manufacturer: 'Intel', brand: 'Core i7', cores: 8, physicalCores: 4, baseSpeed: 3.2 });
+
+    const result = await cpu.collect(si, {}, inventory);
+    assert.strictEqual(result.speed, 2.8);
+    assert.strictEqual(result.usage, 42.5);
+    assert.deepStrictEqual(result.coreLoads, [40, 45]);
+
+    // 현재 속도를 모르면 인벤토리의 기본 속도
+    const slow = await cpu.collect(createStubSi({ cpuCurrentSpeed: async () => ({}) }), {}, inventory);
+    assert.strictEqual(slow.speed, 3.2);
+});
+
+test('memory: 사용률 계산', async () => {
+    const result = await provider('memory').collect(createStubSi());
+    assert.strictEqual(result.usagePercent, 25);
+    assert.strictEqual(result.swapUsed, 50);
+});
+
+test('gpu: 첫 번째 그래픽 컨트롤러, 없으면 null', async () => {
+    const gpu = provider('gpu');
+    assert.strictEqual((await gpu.inventory(createStubSi())).model, 'RTX');
+    assert.strictEqual((await gpu.collect(createStubSi())).utilizationGpu, 30);
+
+    const none = createStubSi({ graphics: async () => ({ controllers: [] }) });
+    assert.strictEqual(await gpu.inventory(none), null);
+    assert.strictEqual(await gpu.collect(none), null);
+});
+
+test('disk: 물리 디스크 구성과 파티션 사용량', async () => {
+    const disk = provider('disk');
+    const inventory = await disk.inventory(createStubSi());
+    assert.deepStrictEqual(inventory.layout[0], { device: '/dev/sda', type: 'SSD', name: 'Test SSD', size: 500e9, interfaceType: 'SATA' });
+
+    const result = await disk.collect(createStubSi());
+    assert.deepStrictEqual(result.partitions[0], {
+        fs: '/dev/sda1', mount: '/', type: 'ext4', size: 100, used: 40, available: 60, usagePercent: 40
+    });
+});
+
+test('diskio: diskstats 차이로 장치별 속도와 사용률 계산', async () => {
+    const diskio = provider('diskio');
+    const stats = { reads: 100, readSectors: 1000, writes: 50, writeSectors: 2000, ioTime: 100 };
+    const options = { fs: createStubFs(stats) };
+    const state = {};
+
+    const first = await diskio.collect(createStubSi(), options, undefined, state);
+    assert.strictEqual(first.source, 'diskstats');
+    assert.deepStrictEqual(first.devices.map(d => d.device), ['sda']);
+    assert.strictEqual(first.readSec, null);
+
+    // 1초 전에 수집한 것으로 조정
+    state.previous.timestamp -= 1000;
+    Object.assign(stats, { reads: 200, readSectors: 3000, ioTime: 600 });
+    const second = await diskio.collect(createStubSi(), options, undefined, state);
+    // 경과 시간이 1초보다 조금 길 수 있으므로 1% 오차 허용
+    const near = (value, expected) => Math.abs(value - expected) <= expected * 0.01;
+    const [sda] = second.devices;
+    assert.ok(near(sda.readIops, 100), `readIops ${sda.readIops}`);
+    assert.ok(near(sda.readSec, 2000 * 512), `readSec ${sda.readSec}`);
+    assert.ok(near(sda.busy, 50), `busy ${sda.busy}`);
+    assert.strictEqual(second.busy, sda.busy);
+});
+
+test('diskio: /proc을 읽을 수 없으면 systeminformation 합계로 대체', async () => {
+    const options = {
+        fs: { readdir: async () => { throw new Error('EACCES'); }, access: async () => {}, readFile: async () => '' }
+    };
+    const result = await provider('diskio').collect(createStubSi(), options, undefined, {});
+    assert.strictEqual(result.source, 'systeminformation');
+    assert.strictEqual(result.readSec, 10);
+    // 음수 속도(첫 호출)는 null
+    assert.strictEqual(result.writeSec, null);
+    assert.strictEqual(result.readIops, 5);
+    assert.deepStrictEqual(result.devices, []);
+});
+
+test('diskhealth: S.M.A.R.T. 값과 경고', async () => {
+    const result = await provider('diskhealth').collect(createStubSi());
+    assert.strictEqual(result.available, true);
+
+    const [disk] = result.disks;
+    assert.strictEqual(disk.smartStatus, 'passed');
+    assert.strictEqual(disk.temperature, 35);
+    assert.strictEqual(disk.powerOnHours, 1000);
+    assert.strictEqual(disk.pendingSectors, 2);
+    assert.strictEqual(disk.health, 'warning');
+    assert.deepStrictEqual(disk.warnings, ['재할당 대기 섹터 2개']);
+
+    const unknown = await provider('diskhealth').collect(createStubSi({
+        diskLayout: async () => [{ device: '/dev/sdb', name: 'Old', smartStatus: 'unknown' }]
+    }));
+    assert.strictEqual(unknown.available, false);
+    assert.strictEqual(unknown.disks[0].health, 'unknown');
+});
+
+test('network: 기본 경로 인터페이스와 루프백을 제외한 합계', async () => {
+    const network = provider('network');
+    const result = await network.collect(createStubSi(), {});
+    assert.strictEqual(result.interface, 'test1');
+    assert.strictEqual(result.pinned, false);
+    assert.strictEqual(result.total.count, 2);
+    assert.strictEqual(result.total.rxSec, 30);
+    // 속도를 모르는 값은 0으로 합산
+    assert.strictEqual(result.total.txSec, 5);
+
+    const pinned = await network.collect(createStubSi(), { networkInterface: 'test0' });
+    assert.strictEqual(pinned.interface, 'test0');
+    assert.strictEqual(pinned.pinned, true);
+
+    const all = await network.collect(createStubSi(), { networkInterface: 'all' });
+    assert.strictEqual(all.interface, 'all');
+
+    assert.strictEqual(await network.collect(createStubSi({ networkStats: async () => [] }), {}), null);
+});
+
+test('interfaces: 주소, 링크 속도, 기본 경로 여부', async () => {
+    const [iface] = await provider('interfaces').collect(createStubSi({ networkInterfaceDefault: async () => 'test0' }));
+    assert.strictEqual(iface.interface, 'test0');
+    // os.networkInterfaces()에 없는 인터페이스는 si의 주소 사용
+    assert.deepStrictEqual(iface.ipv4, ['10.0.0.2']);
+    assert.deepStrictEqual(iface.ipv6, []);
+    assert.strictEqual(iface.speed, 1000);
+    assert.strictEqual(iface.duplex, 'full');
+    assert.strictEqual(iface.default, true);
+});
+
+test('processes: CPU 사용률 상위 N개', async () => {
+    const result = await provider('processes').collect(createStubSi(), { topProcesses: 2 });
+    assert.deepStrictEqual(result.map(p => p.name), ['busy', 'medium']);
+    assert.strictEqual(result[0].nice, 5);
+});
+
+test('system: 인벤토리와 업타임', async () => {
+    const system = provider('system');
+    assert.deepStrictEqual(await system.inventory(createStubSi()), {
+        platform: 'linux', distro: 'Debian', hostname: 'test-host', manufacturer: 'QEMU', model: 'Standard PC'
+    });
+    assert.deepStrictEqual(await system.collect(createStubSi()), { uptime: 3600 });
+});
+
+test('createCollector: 목 si로 전체 스냅샷과 주기별 변경분', async () => {
+    const collector = createCollector({
+        si: createStubSi(),
+        fs: createStubFs({ reads: 1, readSectors: 1, writes: 1, writeSectors: 1, ioTime: 1 })
+    });
+
+    const snapshot = await collector.getSystemInfo();
+    assert.strictEqual(snapshot.error, undefined);
+    defaultProviders.forEach(p => assert.ok(p.name in snapshot, p.name));
+    // 인벤토리와 동적 정보가 병합됨
+    assert.strictEqual(snapshot.cpu.brand, 'Core i7');
+    assert.strictEqual(snapshot.cpu.usage, 42.5);
+    assert.strictEqual(snapshot.system.hostname, 'test-host');
+
+    // 방금 모두 수집했으므로 1초 주기 항목만 다시 수집
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const delta = await collector.collectDue();
+    assert.ok('cpu' in delta && 'memory' in delta);
+    assert.ok(!('disk' in delta) && !('system' in delta));
+});
+
+test('createCollector: 수집 오류는 { error }로 반환', async () => {
+    const collector = createCollector({
+        si: createStubSi({ mem: async () => { throw new Error('mem 실패'); } }),
+        providers: [provider('memory')]
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepStrictEqual(await collector.collectDue(), { error: 'mem 실패' });
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('sampler: 이전 수집이 끝나지 않은 틱은 건너뜀', async () => {
+    let finish;
+    let calls = 0;
+    const sampler = createSampler(() => {
+        calls += 1;
+        return new Promise(resolve => { finish = resolve; });
+    });
+
+    const samples = [];
+    let skips = 0;
+    sampler.on('sample', sample => samples.push(sample));
+    sampler.on('skip', () => { skips += 1; });
+
+    const first = sampler.tick();
+    await sampler.tick();
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(skips, 1);
+
+    finish({ timestamp: 1 });
+    await first;
+    assert.deepStrictEqual(samples, [{ timestamp: 1 }]);
+    assert.deepStrictEqual(sampler.getLatest(), { timestamp: 1 });
+
+    // 끝난 뒤에는 다시 수집
+    const next = sampler.tick();
+    assert.strictEqual(calls, 2);
+    finish({ timestamp: 2 });
+    await next;
+    assert.strictEqual(samples.length, 2);
+});
+
+test('sampler: 수집 오류는 error 이벤트로 전달하고 계속 동작', async () => {
+    let fail = true;
+    const sampler = createSampler(async () => {
+        if (fail) throw new Error('실패');
+        return { ok: true };
+    });
+    const errors = [];
+    sampler.on('error', error => errors.push(error.message));
+
+    await sampler.tick();
+    fail = false;
+    await sampler.tick();
+    assert.deepStrictEqual(errors, ['실패']);
+    assert.deepStrictEqual(sampler.getLatest(), { ok: true });
+});
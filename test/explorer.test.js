@@ -0,0 +1,88 @@
+/**
+ * 프로세스 탐색기 테스트
+ * systeminformation 대신 목 객체(createProcessExplorer({ si }))로 상세 조회의 추적 동작을 확인합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProcessExplorer, MAX_TRACKED } = require('../lib/processes/explorer');
+
+// processes()가 현재 list를 돌려주는 목 객체 (list를 바꿔 프로세스 종료/PID 재사용을 흉내 냄)
+function createStubSi(list) {
+    const si = {
+        list,
+        processes: async () => ({ list: si.list })
+    };
+    return si;
+}
+
+function processInfo(pid, started, extra = {}) {
+    return { pid, parentPid: 1, name: `proc-${pid}`, user: 'root', cpu: 1, mem: 1, memRss: 100, started, ...extra };
+}
+
+// 캐시(maxAge)가 지나도록 잠시 기다림
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('추적 중인 프로세스가 종료되면 exited로 표시하고 기록을 유지한다', async () => {
+    const si = createStubSi([processInfo(100, '2024-01-01 10:00:00')]);
+    const explorer = createProcessExplorer({ si, maxAge: 1 });
+
+    const first = await explorer.detail(100);
+    assert.strictEqual(first.exited, false);
+    assert.strictEqual(first.history.length, 1);
+
+    si.list = [];
+    await tick();
+    const second = await explorer.detail(100);
+    assert.strictEqual(second.exited, true);
+    assert.strictEqual(second.process.started, '2024-01-01 10:00:00');
+    assert.strictEqual(second.history.length, 1);
+});
+
+test('종료된 프로세스의 PID를 새 프로세스가 쓰면 새로 추적한다', async () => {
+    const si = createStubSi([processInfo(200, '2024-01-01 10:00:00', { name: 'old' })]);
+    const explorer = createProcessExplorer({ si, maxAge: 1 });
+    await explorer.detail(200);
+
+    si.list = [];
+    await tick();
+    assert.strictEqual((await explorer.detail(200)).exited, true);
+
+    si.list = [processInfo(200, '2024-01-01 11:00:00', { name: 'new' })];
+    await tick();
+    const result = await explorer.detail(200);
+    assert.strictEqual(result.exited, false);
+    assert.strictEqual(result.process.name, 'new');
+    assert.strictEqual(result.history.length, 1);
+});
+
+test('추적 중에 PID가 재사용되어도 새 프로세스를 보여 준다', async () => {
+    const si = createStubSi([processInfo(300, '2024-01-01 10:00:00', { name: 'old' })]);
+    const explorer = createProcessExplorer({ si, maxAge: 1 });
+    await explorer.detail(300);
+
+    si.list = [processInfo(300, '2024-01-01 12:00:00', { name: 'new' })];
+    await tick();
+    const result = await explorer.detail(300);
+    assert.strictEqual(result.exited, false);
+    assert.strictEqual(result.process.name, 'new');
+});
+
+test('추적 개수가 MAX_TRACKED를 넘으면 가장 오래 조회하지 않은 항목을 버린다', async () => {
+    const count = MAX_TRACKED + 1;
+    const si = createStubSi(Array.from({ length: count }, (_, i) => processInfo(1000 + i, '2024-01-01 10:00:00')));
+    const explorer = createProcessExplorer({ si, maxAge: 1 });
+
+    for (let i = 0; i < count; i++) {
+        await explorer.detail(1000 + i);
+        await tick();
+    }
+
+    // 처음 추적한 1000번은 버려졌으므로 종료 후에는 찾을 수 없음
+    si.list = [];
+    await tick();
+    assert.strictEqual(await explorer.detail(1000), null);
+    assert.strictEqual((await explorer.detail(1000 + count - 1)).exited, true);
+});
@@ -0,0 +1,169 @@
+/**
+ * 알림 채널 테스트
+ * 로컬의 가짜 HTTP/SMTP 서버로 웹훅과 이메일 채널의 실제 전송을 확인합니다.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { createChannel } = require('../lib/notifiers/channel');
+const { createNotificationDispatcher } = require('../lib/notifiers');
+
+const PAYLOAD = {
+    event: 'fired',
+    host: 'test-host',
+    timestamp: 1700000000000,
+    alert: {
+        id: 'a1',
+        ruleId: 'cpu-high',
+        name: 'CPU 사용률 높음',
+        metric: 'cpu.usage',
+        severity: 'warning',
+        operator: '>',
+        threshold: 90,
+        value: 95,
+        state: 'firing',
+        startedAt: 1700000000000,
+        firedAt: 1700000000000,
+        resolvedAt: null
+    }
+};
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// 받은 요청을 기록하는 HTTP 서버 (status로 응답 코드 지정)
+async function startHttpServer(status = 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.statusCode = status;
+            res.end();
+        });
+    });
+    const port = await listen(server);
+    return { server, port, requests };
+}
+
+// 최소한의 SMTP 대화만 처리하는 서버 (받은 메일 원문을 기록)
+async function startSmtpServer() {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let data = null;
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push(data.join('\r\n'));
+                        data = null;
+                        socket.write('250 OK\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') socket.write('250-localhost\r\n250 8BITMIME\r\n');
+                else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+    });
+    const port = await listen(server);
+    return { server, port, messages };
+}
+
+test('웹훅 채널은 알림을 JSON으로 POST하고 헤더를 함께 보낸다', async (t) => {
+    const { server, port, requests } = await startHttpServer();
+    t.after(() => server.close());
+
+    const channel = createChannel({
+        id: 'hook',
+        type: 'webhook',
+        url: `http://127.0.0.1:${port}/hooks/monitor?token=secret`,
+        headers: { Authorization: 'Bearer TOKEN' }
+    });
+
+    const result = await channel.notify(PAYLOAD);
+    assert.deepStrictEqual(result, { ok: true, attempts: 1 });
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].url, '/hooks/monitor?token=secret');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer TOKEN');
+    assert.deepStrictEqual(JSON.parse(requests[0].body), PAYLOAD);
+
+    // 목록에는 쿼리 문자열을 표시하지 않음
+    assert.strictEqual(channel.describe().url, `http://127.0.0.1:${port}/hooks/monitor`);
+});
+
+test('웹훅 응답이 실패하면 재시도 후 오류를 반환한다', async (t) => {
+    const { server, port, requests } = await startHttpServer(500);
+    t.after(() => server.close());
+
+    const channel = createChannel({
+        id: 'hook',
+        type: 'webhook',
+        url: `http://127.0.0.1:${port}/`,
+        retries: 2,
+        retryDelay: '10ms'
+    });
+
+    const result = await channel.notify(PAYLOAD);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.attempts, 3);
+    assert.match(result.error, /HTTP 500/);
+    assert.strictEqual(requests.length, 3);
+});
+
+test('웹훅 url이 올바르지 않으면 채널을 만들 때 거부한다', () => {
+    assert.throws(
+        () => createChannel({ id: 'bad', type: 'webhook', url: 'not a url' }),
+        /알림 채널 "bad": url 형식이 올바르지 않습니다/
+    );
+    assert.throws(
+        () => createChannel({ id: 'ftp', type: 'webhook', url: 'ftp://example.com/hook' }),
+        /http 또는 https/
+    );
+    assert.throws(
+        () => createNotificationDispatcher({ channels: [{ id: 'bad', type: 'webhook', url: 'http://' }] }),
+        /url 형식이 올바르지 않습니다/
+    );
+});
+
+test('이메일 채널은 SMTP로 알림 메일을 보낸다', async (t) => {
+    const { server, port, messages } = await startSmtpServer();
+    t.after(() => server.close());
+
+    const channel = createChannel({
+        id: 'mail',
+        type: 'email',
+        host: '127.0.0.1',
+        port,
+        from: 'monitor@example.com',
+        to: ['ops@example.com'],
+        retries: 0
+    });
+
+    const result = await channel.test(PAYLOAD);
+    assert.deepStrictEqual(result, { ok: true });
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0], /^From: monitor@example\.com$/m);
+    assert.match(messages[0], /^To: ops@example\.com$/m);
+    assert.match(messages[0], /^X-System-Monitor-Event: fired$/m);
+});